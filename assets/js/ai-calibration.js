@@ -0,0 +1,187 @@
+/**
+ * AI calibration report (index.html).
+ *
+ * Compares the AI's `confidence` with how often its `aiSuggestedScore` matched the score a human
+ * gave. Only manually graded items (`manualStatus` >= 1) with a final score count as evidence.
+ *
+ * Items with a confidence at or above the AI confidence threshold skip review (see
+ * determineCategory), so for every candidate threshold the report shows how many items would be
+ * auto-accepted and how often the AI was wrong on the evidence above it. The recommendation is the
+ * lowest threshold whose error rate stays within the target.
+ */
+
+export const CALIBRATION_DEFAULTS = {
+    targetErrorRate: 10, // Percent
+    tolerance: 0, // Points the AI may be off and still count as agreeing
+    minSamples: 5 // Evidence needed above a threshold before it can be recommended
+};
+
+const THRESHOLD_STEP = 5;
+const RELIABILITY_BINS = 10;
+
+/**
+ * Collects the AI-graded items of a repository.
+ * @param {Object} repository - The repository.
+ * @param {number} tolerance - Points the AI may be off and still agree.
+ * @returns {{items: Array<{confidence: number}>, samples: Array<{confidence: number, agrees: boolean}>}}
+ *   `items` has every grade with an AI suggestion, `samples` the manually graded ones.
+ */
+export function collectCalibrationSamples(repository, tolerance = CALIBRATION_DEFAULTS.tolerance) {
+    const items = [];
+    const samples = [];
+    (repository.studentSubmissions || []).forEach(student => {
+        (student.grades || []).forEach(grade => {
+            if (typeof grade.confidence !== 'number' || typeof grade.aiSuggestedScore !== 'number') return;
+            items.push({ confidence: grade.confidence });
+            if ((grade.manualStatus || 0) >= 1 && typeof grade.score === 'number') {
+                samples.push({
+                    confidence: grade.confidence,
+                    agrees: Math.abs(grade.aiSuggestedScore - grade.score) <= tolerance + 1e-9
+                });
+            }
+        });
+    });
+    return { items, samples };
+}
+
+/**
+ * Groups the samples by confidence: the reliability diagram.
+ * @returns {Array<{from: number, to: number, count: number, meanConfidence: number|null, agreement: number|null}>}
+ *   Agreement and confidence in percent.
+ */
+export function buildReliabilityBins(samples) {
+    const width = 100 / RELIABILITY_BINS;
+    return Array.from({ length: RELIABILITY_BINS }, (_, i) => {
+        const from = i * width;
+        const to = from + width;
+        const inBin = samples.filter(s => s.confidence >= from && (s.confidence < to || (i === RELIABILITY_BINS - 1 && s.confidence <= to)));
+        return {
+            from,
+            to,
+            count: inBin.length,
+            meanConfidence: inBin.length > 0 ? inBin.reduce((sum, s) => sum + s.confidence, 0) / inBin.length : null,
+            agreement: inBin.length > 0 ? inBin.filter(s => s.agrees).length / inBin.length * 100 : null
+        };
+    });
+}
+
+/**
+ * Evaluates every candidate threshold.
+ * @returns {Array<{threshold: number, accepted: number, acceptedShare: number, samples: number, errorRate: number|null}>}
+ */
+export function evaluateThresholds({ items, samples }) {
+    const thresholds = [];
+    for (let threshold = 0; threshold <= 100; threshold += THRESHOLD_STEP) {
+        const accepted = items.filter(item => item.confidence >= threshold).length;
+        const evidence = samples.filter(s => s.confidence >= threshold);
+        thresholds.push({
+            threshold,
+            accepted,
+            acceptedShare: items.length > 0 ? accepted / items.length * 100 : 0,
+            samples: evidence.length,
+            errorRate: evidence.length > 0 ? evidence.filter(s => !s.agrees).length / evidence.length * 100 : null
+        });
+    }
+    return thresholds;
+}
+
+/**
+ * Picks the lowest threshold (most items auto-accepted) whose error rate meets the target with
+ * enough evidence.
+ * @returns {Object|null} The row of evaluateThresholds, or null if no threshold qualifies.
+ */
+export function recommendThreshold(thresholds, { targetErrorRate = CALIBRATION_DEFAULTS.targetErrorRate, minSamples = CALIBRATION_DEFAULTS.minSamples } = {}) {
+    return thresholds.find(row => row.samples >= minSamples && row.errorRate !== null && row.errorRate <= targetErrorRate) || null;
+}
+
+// --- UI ---
+
+/**
+ * Renders the reliability diagram as an SVG string: observed agreement per confidence bin, against
+ * the diagonal of a perfectly calibrated AI. Dot size follows the number of samples.
+ */
+function reliabilitySvg(bins) {
+    const size = 220;
+    const pad = 24;
+    const scale = value => pad + value / 100 * (size - 2 * pad);
+    const largest = Math.max(1, ...bins.map(b => b.count));
+    const filled = bins.filter(b => b.count > 0);
+    const line = filled.map((b, i) => `${i === 0 ? 'M' : 'L'}${scale(b.meanConfidence)} ${size - scale(b.agreement)}`).join(' ');
+
+    return `
+        <svg viewBox="0 0 ${size} ${size}" class="w-full max-w-xs h-auto">
+            <rect x="${pad}" y="${pad}" width="${size - 2 * pad}" height="${size - 2 * pad}" fill="none" class="stroke-gray-300 dark:stroke-gray-600" stroke-width="0.75"></rect>
+            <line x1="${pad}" y1="${size - pad}" x2="${size - pad}" y2="${pad}" stroke="#9CA3AF" stroke-dasharray="4 3"></line>
+            ${line ? `<path d="${line}" fill="none" stroke="#3B82F6" stroke-width="1.5"></path>` : ''}
+            ${filled.map(b => `
+                <circle cx="${scale(b.meanConfidence)}" cy="${size - scale(b.agreement)}" r="${3 + 5 * Math.sqrt(b.count / largest)}" fill="#3B82F6" fill-opacity="0.6">
+                    <title>Confidence ${Math.round(b.from)}–${Math.round(b.to)}%: ${Math.round(b.agreement)}% agreement (${b.count} items)</title>
+                </circle>`).join('')}
+            ${[0, 50, 100].map(v => `
+                <text x="${scale(v)}" y="${size - pad + 12}" text-anchor="middle" class="fill-gray-500" font-size="9">${v}</text>
+                <text x="${pad - 4}" y="${size - scale(v) + 3}" text-anchor="end" class="fill-gray-500" font-size="9">${v}</text>`).join('')}
+            <text x="${size / 2}" y="${size - 2}" text-anchor="middle" class="fill-gray-500" font-size="9">AI confidence (%)</text>
+            <text x="8" y="${size / 2}" text-anchor="middle" class="fill-gray-500" font-size="9" transform="rotate(-90 8 ${size / 2})">Agreement with grader (%)</text>
+        </svg>`;
+}
+
+/**
+ * Renders the calibration report.
+ * @param {Object} repository - The repository.
+ * @param {HTMLElement} container - Where to render.
+ * @param {Object} options
+ * @param {number} options.currentThreshold - The AI confidence threshold in use.
+ * @param {number} [options.targetErrorRate] - Maximum acceptable error rate (%).
+ * @param {number} [options.tolerance] - Points the AI may be off and still agree.
+ * @param {Function} options.onApply - Called with a threshold when the grader applies it.
+ */
+export function renderCalibrationReport(repository, container, { currentThreshold, targetErrorRate = CALIBRATION_DEFAULTS.targetErrorRate, tolerance = CALIBRATION_DEFAULTS.tolerance, onApply }) {
+    const collected = collectCalibrationSamples(repository, tolerance);
+    if (collected.samples.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No manually graded items with an AI suggestion yet. Grade some items by hand to calibrate the AI.</p>';
+        return;
+    }
+
+    const thresholds = evaluateThresholds(collected);
+    const recommended = recommendThreshold(thresholds, { targetErrorRate });
+    const overallAgreement = collected.samples.filter(s => s.agrees).length / collected.samples.length * 100;
+    const th = 'px-3 py-1.5 text-left text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase';
+    const td = 'px-3 py-1';
+
+    container.innerHTML = `
+        <div class="grid grid-cols-1 md:grid-cols-[auto_1fr] gap-6">
+            <div>
+                <h3 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Reliability</h3>
+                ${reliabilitySvg(buildReliabilityBins(collected.samples))}
+                <p class="mt-2 text-xs text-gray-500 dark:text-gray-400">${collected.samples.length} manually graded items, ${Math.round(overallAgreement)}% agreement overall. Points below the diagonal mean the AI is overconfident.</p>
+            </div>
+            <div class="min-w-0">
+                <div class="mb-3 p-3 rounded-lg ${recommended ? 'bg-primary/10 text-primary' : 'bg-amber-50 dark:bg-amber-900/20 text-amber-700 dark:text-amber-300'} text-sm flex items-center justify-between gap-3">
+                    <span>${recommended
+                        ? `Recommended threshold: <strong>${recommended.threshold}%</strong>, auto-accepting ${recommended.accepted} items (${Math.round(recommended.acceptedShare)}%) with an expected error rate of ${recommended.errorRate.toFixed(1)}%.`
+                        : `No threshold reaches an error rate of ${targetErrorRate}% or less with at least ${CALIBRATION_DEFAULTS.minSamples} graded items above it.`}</span>
+                    ${recommended && recommended.threshold !== currentThreshold ? '<button class="apply-threshold-btn px-3 py-1 rounded-md bg-primary text-white text-xs font-medium hover:bg-primary/90 whitespace-nowrap">Apply</button>' : ''}
+                </div>
+                <div class="overflow-auto max-h-80 border border-gray-200 dark:border-gray-700 rounded-lg">
+                    <table class="min-w-full text-sm text-gray-800 dark:text-gray-200">
+                        <thead class="bg-gray-50 dark:bg-gray-700/50 sticky top-0">
+                            <tr><th class="${th}">Threshold</th><th class="${th}">Auto-accepted</th><th class="${th}">Evidence</th><th class="${th}">Expected error</th></tr>
+                        </thead>
+                        <tbody class="divide-y divide-gray-200 dark:divide-gray-700">
+                            ${thresholds.map(row => `
+                                <tr class="${row.threshold === currentThreshold ? 'bg-gray-100 dark:bg-gray-700/60 font-semibold' : ''} ${row === recommended ? 'text-primary' : ''}">
+                                    <td class="${td}">${row.threshold}%${row.threshold === currentThreshold ? ' (current)' : ''}</td>
+                                    <td class="${td}">${row.accepted} (${Math.round(row.acceptedShare)}%)</td>
+                                    <td class="${td}">${row.samples}</td>
+                                    <td class="${td} ${row.errorRate !== null && row.errorRate > targetErrorRate ? 'text-red-500' : ''}">${row.errorRate === null ? '–' : `${row.errorRate.toFixed(1)}%`}</td>
+                                </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+
+    const applyButton = container.querySelector('.apply-threshold-btn');
+    if (applyButton) applyButton.addEventListener('click', () => onApply(recommended.threshold));
+}
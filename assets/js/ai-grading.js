@@ -0,0 +1,332 @@
+import { saveRepositoryChange, resolveFileUrl } from './repository-store.js';
+
+/**
+ * AI grading behind the "Run AI grading" process card (index.html).
+ *
+ * A grading provider is any object with
+ *   name: string
+ *   gradeQuestion(request) -> Promise<result>
+ *
+ * request: {
+ *   student:     { id, name },
+ *   question:    { id, name, maxPoints },
+ *   pageImages:  [{ page, dataUrl }]   - the question's pages of the submission (JPEG data URLs)
+ *   rubricText:  string                 - the text of the repository's rubric PDFs
+ * }
+ * result: {
+ *   score:            number           - 0..maxPoints
+ *   confidence:       number           - 0..100
+ *   comment:          string
+ *   attentionRegions: [{ page, x, y, width, height }]  - percentages of the page size
+ * }
+ *
+ * Results are written into `student.grades` as `aiSuggestedScore`, `confidence`, `aiComment` and
+ * `attentionRegions`. Manual scores and comments are never touched; the grading view offers the AI
+ * comment as a suggestion.
+ */
+
+const PDF_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.6.347/pdf.worker.min.js';
+const PAGE_IMAGE_WIDTH = 1000;
+
+export const DEFAULT_PROVIDER_CONFIG = { type: 'mock', fixturesUrl: 'data/ai-grading-fixtures.json' };
+
+// --- Providers ---
+
+/**
+ * Checks a provider result and clamps it to the question's range.
+ * @throws {Error} If the result has no numeric score.
+ */
+function normalizeResult(result, maxPoints) {
+    if (!result || typeof result.score !== 'number' || isNaN(result.score)) {
+        throw new Error('The provider returned no score.');
+    }
+    const confidence = typeof result.confidence === 'number' ? result.confidence : 0;
+    return {
+        score: Math.min(Math.max(result.score, 0), maxPoints),
+        confidence: Math.round(Math.min(Math.max(confidence, 0), 100)),
+        comment: typeof result.comment === 'string' ? result.comment : '',
+        attentionRegions: Array.isArray(result.attentionRegions) ? result.attentionRegions : []
+    };
+}
+
+/**
+ * Small string hash (FNV-1a), used to make mock results deterministic.
+ */
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * A local provider for development and demos. Results come from a fixtures file
+ * ({ "<studentId>": { "<questionId>": result } }) and, for anything not in it, are derived
+ * deterministically from the student and question IDs.
+ *
+ * @param {Object} [config]
+ * @param {string} [config.fixturesUrl] - URL of the fixtures JSON file.
+ * @returns {Object} The provider.
+ */
+export function createMockProvider({ fixturesUrl } = {}) {
+    let fixturesPromise = null;
+    const loadFixtures = () => {
+        if (!fixturesPromise) {
+            fixturesPromise = fixturesUrl
+                ? fetch(fixturesUrl).then(r => (r.ok ? r.json() : {})).catch(() => ({}))
+                : Promise.resolve({});
+        }
+        return fixturesPromise;
+    };
+
+    return {
+        name: 'mock',
+        async gradeQuestion({ student, question, pageImages }) {
+            const fixtures = await loadFixtures();
+            const fixture = fixtures[student.id]?.[question.id];
+            if (fixture) return normalizeResult(fixture, question.maxPoints);
+
+            const hash = hashString(`${student.id}/${question.id}`);
+            const score = Math.round((hash % 1000) / 999 * question.maxPoints * 2) / 2;
+            const confidence = 50 + (hash >>> 10) % 51;
+            const page = pageImages.length > 0 ? pageImages[0].page : 1;
+            return normalizeResult({
+                score,
+                confidence,
+                comment: `Mock grading: ${score} of ${question.maxPoints} points.`,
+                attentionRegions: confidence < 75 ? [{ page, x: 10, y: 20 + (hash % 50), width: 80, height: 15 }] : []
+            }, question.maxPoints);
+        }
+    };
+}
+
+/**
+ * A provider that posts every request as JSON to a grading service and expects a result object back.
+ *
+ * @param {Object} config
+ * @param {string} config.endpoint - The service URL.
+ * @param {string} [config.apiKey] - Sent as a bearer token.
+ * @param {Object} [config.headers] - Additional request headers.
+ * @param {number} [config.timeoutMs=60000] - Per-request timeout.
+ * @returns {Object} The provider.
+ */
+export function createHttpProvider({ endpoint, apiKey, headers = {}, timeoutMs = 60000 } = {}) {
+    if (!endpoint) throw new Error('The HTTP grading provider needs an endpoint URL.');
+
+    return {
+        name: 'http',
+        async gradeQuestion(request) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+                        ...headers
+                    },
+                    body: JSON.stringify(request),
+                    signal: controller.signal
+                });
+                if (!response.ok) throw new Error(`The grading service answered ${response.status}.`);
+                return normalizeResult(await response.json(), request.question.maxPoints);
+            } catch (error) {
+                if (error.name === 'AbortError') throw new Error(`The grading service did not answer within ${timeoutMs / 1000}s.`);
+                throw error;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+/**
+ * Creates the provider described by a configuration object.
+ * @param {Object} config - { type: 'mock' | 'http', ... } (see the factories above).
+ * @returns {Object} The provider.
+ * @throws {Error} If the type is unknown.
+ */
+export function createGradingProvider(config = DEFAULT_PROVIDER_CONFIG) {
+    switch (config.type) {
+        case 'mock': return createMockProvider(config);
+        case 'http': return createHttpProvider(config);
+        default: throw new Error(`Unknown grading provider '${config.type}'.`);
+    }
+}
+
+// --- Inputs ---
+
+/**
+ * Parses a page specification like "1-2", "3" or "1,3-4".
+ * @returns {Array<number>} The page numbers.
+ */
+export function parsePageList(pages) {
+    const result = [];
+    String(pages || '').split(',').forEach(part => {
+        const [start, end] = part.split('-').map(n => parseInt(n, 10));
+        if (isNaN(start)) return;
+        for (let page = start; page <= (isNaN(end) ? start : end); page++) result.push(page);
+    });
+    return result;
+}
+
+/**
+ * Lists the gradable items of a repository: questions without subquestions, and subquestions.
+ * Subquestions without their own pages use their parent's.
+ * @returns {Array<{id: string, name: string, maxPoints: number, pages: Array<number>}>}
+ */
+export function listGradableQuestions(questions) {
+    const items = [];
+    (questions || []).forEach(q => {
+        if (q.subquestions && q.subquestions.length > 0) {
+            q.subquestions.forEach(sq => items.push({
+                id: sq.id, name: sq.name, maxPoints: sq.points || 0, pages: parsePageList(sq.pages || q.pages)
+            }));
+        } else {
+            items.push({ id: q.id, name: q.name, maxPoints: q.points || 0, pages: parsePageList(q.pages) });
+        }
+    });
+    return items;
+}
+
+async function openPdf(url) {
+    const pdfjsLib = window.pdfjsLib;
+    if (!pdfjsLib) throw new Error('PDF.js library not loaded.');
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+    return pdfjsLib.getDocument(await resolveFileUrl(url)).promise;
+}
+
+/**
+ * Renders pages of a PDF to JPEG data URLs.
+ * @param {Object} pdf - A PDF.js document.
+ * @param {Array<number>} pages - The pages to render (all pages if empty).
+ */
+async function renderPageImages(pdf, pages) {
+    const pageNumbers = (pages.length > 0 ? pages : Array.from({ length: pdf.numPages }, (_, i) => i + 1))
+        .filter(page => page >= 1 && page <= pdf.numPages);
+    const images = [];
+    for (const pageNum of pageNumbers) {
+        const page = await pdf.getPage(pageNum);
+        const viewport = page.getViewport({ scale: PAGE_IMAGE_WIDTH / page.getViewport({ scale: 1 }).width });
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        images.push({ page: pageNum, dataUrl: canvas.toDataURL('image/jpeg', 0.8) });
+    }
+    return images;
+}
+
+/**
+ * Extracts the text of all rubric PDFs of a repository.
+ */
+async function extractRubricText(rubrics) {
+    const parts = [];
+    for (const rubric of rubrics || []) {
+        if (!rubric.url) continue;
+        let pdf = null;
+        try {
+            pdf = await openPdf(rubric.url);
+            for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+                const content = await (await pdf.getPage(pageNum)).getTextContent();
+                parts.push(content.items.map(item => item.str).join(' '));
+            }
+        } catch (error) {
+            console.warn(`[AiGrading] Could not read rubric '${rubric.name}':`, error);
+        } finally {
+            // Releases the document and its worker transport
+            if (pdf) pdf.destroy();
+        }
+    }
+    return parts.join('\n');
+}
+
+// --- Running ---
+
+/**
+ * Runs a grading provider over the submissions of a repository.
+ *
+ * @param {Object} repository - The repository (its grades are updated in place and saved).
+ * @param {Object} provider - A grading provider.
+ * @param {Object} [options]
+ * @param {boolean} [options.regrade=false] - Also grade items that already have an AI score.
+ * @param {Function} [options.onProgress] - Called with (done, total, label) after every item.
+ * @returns {Promise<{graded: number, failed: number, skipped: number}>}
+ */
+export async function runAiGrading(repository, provider, { regrade = false, onProgress } = {}) {
+    const questions = listGradableQuestions(repository.questions);
+    const rubricText = await extractRubricText(repository.rubrics);
+
+    const jobs = [];
+    let skipped = 0;
+    repository.studentSubmissions.forEach(student => {
+        questions.forEach(question => {
+            const grade = student.grades.find(g => g.questionId === question.id);
+            if (!regrade && grade && typeof grade.aiSuggestedScore === 'number') {
+                skipped++;
+                return;
+            }
+            jobs.push({ student, question });
+        });
+    });
+
+    let graded = 0;
+    let failed = 0;
+    let openDocument = { url: null, pdf: null };
+
+    try {
+        for (let i = 0; i < jobs.length; i++) {
+            const { student, question } = jobs[i];
+            const label = `${student.name} – ${question.name}`;
+            try {
+                if (!student.url) throw new Error('The student has no submission.');
+                if (openDocument.url !== student.url) {
+                    // Only one submission is kept open at a time
+                    if (openDocument.pdf) openDocument.pdf.destroy();
+                    // Forget the destroyed document even if the next one cannot be opened
+                    openDocument = { url: null, pdf: null };
+                    openDocument = { url: student.url, pdf: await openPdf(student.url) };
+                }
+                const pageImages = await renderPageImages(openDocument.pdf, question.pages);
+                const result = await provider.gradeQuestion({
+                    student: { id: student.id, name: student.name },
+                    question: { id: question.id, name: question.name, maxPoints: question.maxPoints },
+                    pageImages,
+                    rubricText
+                });
+
+                const suggestion = {
+                    aiSuggestedScore: result.score,
+                    confidence: result.confidence,
+                    aiComment: result.comment || '',
+                    attentionRegions: result.attentionRegions || []
+                };
+                const existing = student.grades.find(g => g.questionId === question.id);
+                if (existing) Object.assign(existing, suggestion);
+                else student.grades.push({ questionId: question.id, ...suggestion });
+
+                // Only the AI's fields: a TA may save the score or comment of this grade meanwhile
+                for (const [field, value] of Object.entries(suggestion)) {
+                    await saveRepositoryChange(repository.id, {
+                        op: 'set',
+                        path: ['studentSubmissions', { id: student.id }, 'grades', { questionId: question.id }, field],
+                        value
+                    });
+                }
+                graded++;
+            } catch (error) {
+                console.error(`[AiGrading] Failed to grade ${label}:`, error);
+                failed++;
+            }
+            if (onProgress) onProgress(i + 1, jobs.length, label);
+        }
+    } finally {
+        if (openDocument.pdf) openDocument.pdf.destroy();
+    }
+
+    console.log(`[AiGrading] ${provider.name}: graded ${graded}, failed ${failed}, skipped ${skipped}.`);
+    return { graded, failed, skipped };
+}
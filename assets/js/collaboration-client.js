@@ -0,0 +1,279 @@
+/**
+ * Client of the collaboration server (server/index.js), which lets a team of TAs grade one
+ * repository together.
+ *
+ * When the app is opened from the collaboration server, repository-store.js reads and writes the
+ * repositories there instead of in IndexedDB, and changes made by others arrive over a WebSocket
+ * (see repository-sync.js). The server only answers pages of its own origin that carry the team
+ * token, which the browser keeps in a cookie after the token link was opened. Stored files (PDFs
+ * from the wizard, a bulk upload or an imported archive) are uploaded to the server as well, so
+ * every TA can open them.
+ */
+
+const STATUS_TIMEOUT = 1500; // ms to wait for the server before falling back to IndexedDB
+const RECONNECT_DELAY = 2000;
+
+// Identifies this tab's writes, so it does not apply its own changes twice
+const clientId = `client_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+
+const seenRevisions = new Map(); // repositoryId -> latest revision this tab has received
+const messageListeners = new Set();
+const connectionListeners = new Set();
+let serverPromise = null;
+let socket = null;
+let wasConnected = false;
+
+// Changes waiting to be sent, oldest first: { repositoryId, change, seen, resolve, reject }
+const pendingChanges = [];
+let sendingChanges = false;
+let retrying = false; // The last attempt to send a change did not reach the server
+let retryTimer = null;
+
+/**
+ * Returns the collaboration server in use, looking for one on the first call.
+ * @returns {Promise<string|null>} The server's base URL, or null to keep the repositories in this browser.
+ */
+export function getCollaborationServer() {
+    if (!serverPromise) serverPromise = detectServer();
+    return serverPromise;
+}
+
+async function detectServer() {
+    // Opened as a file: there is no server
+    if (!/^https?:$/.test(window.location.protocol)) return null;
+
+    const base = new URL('.', window.location.href);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), STATUS_TIMEOUT);
+    try {
+        const response = await fetch(new URL('api/status', base), { cache: 'no-store', signal: controller.signal });
+        const status = response.ok ? await response.json() : null;
+        if (status?.server !== 'grading-ui') throw new Error('Not a collaboration server.');
+        console.log(`[Collaboration] Sharing repositories through ${base.href}`);
+        connectLiveUpdates(base);
+        return base.href;
+    } catch (error) {
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function markSeen(repositoryId, revision) {
+    seenRevisions.set(repositoryId, Math.max(seenRevisions.get(repositoryId) || 0, revision || 0));
+}
+
+// --- Live updates ---
+
+function connectLiveUpdates(base) {
+    const url = new URL('api/live', base);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    socket = new WebSocket(url);
+
+    socket.addEventListener('open', () => {
+        // Ask for what happened while this tab was loading or disconnected
+        if (seenRevisions.size > 0) socket.send(JSON.stringify({ type: 'resume', revisions: Object.fromEntries(seenRevisions) }));
+        wasConnected = true;
+        notifyConnectionListeners();
+        sendPendingChanges();
+    });
+    socket.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch (error) {
+            return;
+        }
+        if (!message?.repositoryId || message.clientId === clientId) return;
+        markSeen(message.repositoryId, message.revision);
+        messageListeners.forEach(listener => listener(message));
+    });
+    socket.addEventListener('close', () => {
+        console.warn('[Collaboration] Lost the connection to the server. Reconnecting...');
+        notifyConnectionListeners();
+        setTimeout(() => connectLiveUpdates(base), RECONNECT_DELAY);
+    });
+}
+
+function isConnected() {
+    return socket?.readyState === WebSocket.OPEN && !retrying;
+}
+
+function notifyConnectionListeners() {
+    // Nothing to report while the page is still connecting for the first time
+    if (!wasConnected && !retrying) return;
+    const status = { connected: isConnected(), pendingChanges: pendingChanges.length };
+    connectionListeners.forEach(listener => listener(status));
+}
+
+/**
+ * Registers a listener for the connection to the server, called with `{ connected, pendingChanges }`
+ * when it was lost or is back, and when the number of changes waiting for it changes.
+ * @param {Function} listener - The listener.
+ */
+export function onConnectionChange(listener) {
+    connectionListeners.add(listener);
+}
+
+/**
+ * Registers a listener for the changes other clients make, called with
+ * `{ type: 'change', repositoryId, revision, seen, change }` or `{ type: 'replaced', repositoryId, revision }`.
+ * @param {Function} listener - The listener.
+ */
+export function onServerMessage(listener) {
+    messageListeners.add(listener);
+}
+
+// --- REST API ---
+
+async function request(path, { method = 'GET', body } = {}) {
+    const base = await getCollaborationServer();
+    const headers = { 'X-Client-Id': clientId };
+    // Files are sent as they are, everything else as JSON
+    if (body instanceof Blob) headers['Content-Type'] = body.type || 'application/octet-stream';
+    else if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const response = await fetch(new URL(path, base), {
+        method,
+        cache: 'no-store',
+        headers,
+        body: body === undefined || body instanceof Blob ? body : JSON.stringify(body)
+    });
+    if (!response.ok) {
+        const error = new Error((await response.json().catch(() => null))?.error || `${method} ${path} failed (${response.status}).`);
+        error.status = response.status;
+        throw error;
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Loads a repository from the server.
+ * @returns {Promise<Object|null>} The repository, or null if the server has none with this ID.
+ */
+export async function fetchServerRepository(repositoryId) {
+    try {
+        const repository = await request(`api/repositories/${encodeURIComponent(repositoryId)}`);
+        markSeen(repositoryId, repository.revision);
+        return repository;
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+}
+
+/**
+ * Lists the repositories on the server.
+ * @returns {Promise<Array<{id: string, name: string, updatedAt: string|null, revision: number}>>}
+ */
+export function listServerRepositories() {
+    return request('api/repositories');
+}
+
+/**
+ * Replaces a whole repository on the server.
+ * @returns {Promise<number>} The new revision.
+ */
+export async function putServerRepository(repository) {
+    const { revision } = await request(`api/repositories/${encodeURIComponent(repository.id)}`, { method: 'PUT', body: repository });
+    markSeen(repository.id, revision);
+    return revision;
+}
+
+/**
+ * Deletes a repository from the server.
+ */
+export function deleteServerRepository(repositoryId) {
+    return request(`api/repositories/${encodeURIComponent(repositoryId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Applies a change to a repository on the server, which passes it on to everyone else.
+ * Changes are sent one after another in the order they were made. While the server cannot be
+ * reached they wait and are sent again once it is back, so the promise only settles then.
+ * @param {string} repositoryId - The repository ID.
+ * @param {Object} change - The change (see applyChange in repository-changes.js).
+ * @returns {Promise<number>} The revision of the change; rejected if the server refused it.
+ */
+export function postServerChange(repositoryId, change) {
+    return new Promise((resolve, reject) => {
+        // `seen` is the revision the change was made on, not the one it is finally sent with
+        pendingChanges.push({ repositoryId, change, seen: seenRevisions.get(repositoryId) || 0, resolve, reject });
+        if (!isConnected()) notifyConnectionListeners();
+        sendPendingChanges();
+    });
+}
+
+async function sendPendingChanges() {
+    if (sendingChanges) return;
+    sendingChanges = true;
+    clearTimeout(retryTimer);
+
+    while (pendingChanges.length > 0) {
+        const pending = pendingChanges[0];
+        try {
+            const { revision } = await request(`api/repositories/${encodeURIComponent(pending.repositoryId)}/changes`, {
+                method: 'POST',
+                body: { change: pending.change, seen: pending.seen, clientId }
+            });
+            pendingChanges.shift();
+            markSeen(pending.repositoryId, revision);
+            retrying = false;
+            pending.resolve(revision);
+        } catch (error) {
+            // Not reachable (no response, or the server failed): keep this change and the later ones
+            if (!error.status || error.status >= 500) {
+                console.warn(`[Collaboration] Could not send a change, ${pendingChanges.length} waiting. Retrying...`, error);
+                retrying = true;
+                retryTimer = setTimeout(sendPendingChanges, RECONNECT_DELAY);
+                break;
+            }
+            pendingChanges.shift();
+            pending.reject(error);
+        }
+    }
+
+    sendingChanges = false;
+    notifyConnectionListeners();
+}
+
+// --- Files ---
+
+function filePath(repositoryId, path) {
+    return `api/repositories/${encodeURIComponent(repositoryId)}/files/${path.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Uploads a file of a repository (see saveRepositoryFile in repository-store.js).
+ * @param {string} repositoryId - The repository ID.
+ * @param {string} path - The file path inside the repository.
+ * @param {Blob} blob - The file contents.
+ */
+export async function putServerFile(repositoryId, path, blob) {
+    await request(filePath(repositoryId, path), { method: 'PUT', body: blob });
+}
+
+/**
+ * Deletes every file of a repository from the server.
+ */
+export function deleteServerFiles(repositoryId) {
+    return request(`api/repositories/${encodeURIComponent(repositoryId)}/files`, { method: 'DELETE' });
+}
+
+/**
+ * Downloads a file of a repository.
+ * @returns {Promise<Blob|null>} The file contents, or null if the server has no such file.
+ */
+export async function fetchServerFile(repositoryId, path) {
+    const response = await fetch(await getServerFileUrl(repositoryId, path), { cache: 'no-store' });
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Loading '${path}' failed (${response.status}).`);
+    return response.blob();
+}
+
+/**
+ * Returns the URL a file of a repository is served at (the team token travels in the cookie).
+ * @returns {Promise<string>} The URL.
+ */
+export async function getServerFileUrl(repositoryId, path) {
+    return new URL(filePath(repositoryId, path), await getCollaborationServer()).href;
+}
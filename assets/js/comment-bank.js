@@ -0,0 +1,283 @@
+import { saveRepositoryChange } from './repository-store.js';
+import { recordGradeEvent } from './grading-audit.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Reusable feedback snippets per question, stored in `appState.commentBank`:
+ *   [{ id, questionId, text, deduction }]   (deduction: points taken off when applied, or null)
+ *
+ * Where a snippet was applied is recorded on the target, so usage counts and propagation of
+ * edits never go stale:
+ *   - checkpoint comments: `grade.appliedSnippets` (snippet IDs)
+ *   - free comments:       `comment.snippetIds`
+ */
+
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Returns the comment bank of a repository, creating it if needed.
+ * @param {Object} repository - The repository.
+ * @returns {Array<Object>} The snippets.
+ */
+export function getCommentBank(repository) {
+    if (!repository.appState.commentBank) repository.appState.commentBank = [];
+    return repository.appState.commentBank;
+}
+
+function saveCommentBank(repository) {
+    return saveRepositoryChange(repository.id, { op: 'set', path: ['appState', 'commentBank'], value: getCommentBank(repository) })
+        .catch(error => console.error('[CommentBank] Failed to save the comment bank:', error));
+}
+
+/**
+ * Counts how often each snippet was applied.
+ * @param {Object} repository - The repository.
+ * @returns {Map<string, number>} Snippet ID -> number of grades and comments it was applied to.
+ */
+export function countSnippetUsage(repository) {
+    const counts = new Map();
+    const count = id => counts.set(id, (counts.get(id) || 0) + 1);
+    repository.studentSubmissions.forEach(student => {
+        student.grades.forEach(grade => (grade.appliedSnippets || []).forEach(count));
+    });
+    (repository.appState.comments || []).forEach(comment => (comment.snippetIds || []).forEach(count));
+    return counts;
+}
+
+/**
+ * Adds a snippet to the bank.
+ * @param {Object} repository - The repository.
+ * @param {Object} snippet - { questionId, text, deduction? }.
+ * @returns {Object|null} The new snippet, or null if the text is empty or already in the bank.
+ */
+export function addSnippet(repository, { questionId, text, deduction = null }) {
+    const trimmed = (text || '').trim();
+    const bank = getCommentBank(repository);
+    if (!trimmed || bank.some(s => s.questionId === questionId && s.text === trimmed)) return null;
+
+    const snippet = { id: `snippet_${Date.now().toString(36)}`, questionId, text: trimmed, deduction };
+    bank.push(snippet);
+    saveCommentBank(repository);
+    return snippet;
+}
+
+/**
+ * Finds the snippets of a question that match what is being typed. The most used come first.
+ * @param {Object} repository - The repository.
+ * @param {string} questionId - The question.
+ * @param {string} typed - The text of the line being typed.
+ * @returns {Array<Object>} Up to MAX_SUGGESTIONS snippets.
+ */
+export function findSnippetSuggestions(repository, questionId, typed) {
+    const query = (typed || '').trim().toLowerCase();
+    if (query.length < 2) return [];
+    const usage = countSnippetUsage(repository);
+    return getCommentBank(repository)
+        .filter(s => s.questionId === questionId && s.text.toLowerCase().includes(query) && s.text.toLowerCase() !== query)
+        .sort((a, b) => (usage.get(b.id) || 0) - (usage.get(a.id) || 0))
+        .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Updates a snippet. With `propagate`, every comment the snippet was applied to gets the new text.
+ *
+ * @param {Object} repository - The repository.
+ * @param {string} snippetId - The snippet.
+ * @param {Object} changes - { text?, deduction? }.
+ * @param {Object} [options]
+ * @param {boolean} [options.propagate=false] - Rewrite the comments it was applied to.
+ * @returns {Promise<number>} The number of comments that were rewritten.
+ */
+export async function updateSnippet(repository, snippetId, changes, { propagate = false } = {}) {
+    const snippet = getCommentBank(repository).find(s => s.id === snippetId);
+    if (!snippet) return 0;
+    const oldText = snippet.text;
+    Object.assign(snippet, changes);
+    await saveCommentBank(repository);
+
+    if (!propagate || snippet.text === oldText) return 0;
+
+    let rewritten = 0;
+    for (const student of repository.studentSubmissions) {
+        for (const grade of student.grades) {
+            if (!(grade.appliedSnippets || []).includes(snippetId) || !grade.comment?.includes(oldText)) continue;
+            const oldComment = grade.comment;
+            grade.comment = grade.comment.split(oldText).join(snippet.text);
+            recordGradeEvent(repository, { studentId: student.id, questionId: grade.questionId, type: 'comment', oldValue: oldComment, newValue: grade.comment });
+            await saveRepositoryChange(repository.id, {
+                op: 'set',
+                path: ['studentSubmissions', { id: student.id }, 'grades', { questionId: grade.questionId }],
+                value: grade
+            });
+            rewritten++;
+        }
+    }
+
+    const comments = repository.appState.comments || [];
+    const changedComments = comments.filter(comment => (comment.snippetIds || []).includes(snippetId) && comment.text?.includes(oldText));
+    changedComments.forEach(comment => {
+        comment.text = comment.text.split(oldText).join(snippet.text);
+        rewritten++;
+    });
+    for (const comment of changedComments) {
+        await saveRepositoryChange(repository.id, { op: 'set', path: ['appState', 'comments', { id: comment.id }], value: comment });
+    }
+
+    console.log(`[CommentBank] Propagated snippet ${snippetId} to ${rewritten} comments.`);
+    return rewritten;
+}
+
+/**
+ * Removes a snippet from the bank. Comments it was applied to keep their text.
+ */
+export function deleteSnippet(repository, snippetId) {
+    const bank = getCommentBank(repository);
+    const index = bank.findIndex(s => s.id === snippetId);
+    if (index === -1) return;
+    bank.splice(index, 1);
+    saveCommentBank(repository);
+}
+
+// --- UI ---
+
+/**
+ * Shows snippet suggestions below a textarea while typing. Picking one replaces the current line.
+ *
+ * @param {HTMLTextAreaElement} textarea - The comment textarea.
+ * @param {Object} options
+ * @param {Function} options.getQuestionId - Returns the question the comment belongs to.
+ * @param {Function} options.onApply - Called with the snippet after it was inserted.
+ */
+export function attachSnippetSuggestions(textarea, { getQuestionId, onApply }) {
+    const list = document.createElement('div');
+    list.className = 'snippet-suggestions hidden mt-1 bg-[#0f172a] border border-gray-700 rounded-md overflow-hidden text-left';
+    textarea.after(list);
+
+    const currentLineRange = () => {
+        const end = textarea.selectionEnd;
+        const start = textarea.value.lastIndexOf('\n', end - 1) + 1;
+        return { start, end };
+    };
+
+    const hide = () => list.classList.add('hidden');
+
+    textarea.addEventListener('input', () => {
+        const repository = window.currentRepository;
+        if (!repository) return;
+        const { start, end } = currentLineRange();
+        const suggestions = findSnippetSuggestions(repository, getQuestionId(), textarea.value.slice(start, end));
+        list.innerHTML = '';
+        if (suggestions.length === 0) {
+            hide();
+            return;
+        }
+
+        suggestions.forEach(snippet => {
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'w-full flex justify-between gap-2 px-2 py-1 text-xs text-gray-200 hover:bg-blue-500/20';
+            option.innerHTML = `<span class="truncate"></span>${snippet.deduction ? `<span class="text-red-400 font-bold whitespace-nowrap">−${escapeHtml(snippet.deduction)}</span>` : ''}`;
+            option.querySelector('span').textContent = snippet.text;
+            option.addEventListener('mousedown', e => e.preventDefault()); // keep the textarea focused
+            option.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const range = currentLineRange();
+                textarea.value = textarea.value.slice(0, range.start) + snippet.text + textarea.value.slice(range.end);
+                hide();
+                onApply(snippet);
+            });
+            list.appendChild(option);
+        });
+        list.classList.remove('hidden');
+    });
+
+    textarea.addEventListener('blur', hide);
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hide();
+    });
+}
+
+/**
+ * Asks for an optional point deduction and saves a comment as a snippet.
+ * @returns {Object|null} The new snippet.
+ */
+export function saveCommentAsSnippet(repository, questionId, text) {
+    if (!(text || '').trim()) {
+        alert('Type a comment first.');
+        return null;
+    }
+    const answer = prompt('Point deduction when this snippet is applied (leave empty for none):', '');
+    if (answer === null) return null;
+    const deduction = parseFloat(answer);
+    const snippet = addSnippet(repository, { questionId, text, deduction: isNaN(deduction) || deduction <= 0 ? null : deduction });
+    if (!snippet) alert('This comment is already in the bank.');
+    return snippet;
+}
+
+/**
+ * Renders the comment bank of a question with usage counts and editing.
+ *
+ * @param {HTMLElement} container - The panel to render into.
+ * @param {Array<string>} questionIds - The questions whose snippets are shown (a question and its subquestions).
+ * @param {Object} [options]
+ * @param {Function} [options.onPropagated] - Called after an edit was propagated to comments.
+ */
+export function renderCommentBankPanel(container, questionIds, { onPropagated } = {}) {
+    const repository = window.currentRepository;
+    container.innerHTML = '';
+    if (!repository || questionIds.length === 0) {
+        container.innerHTML = `<div class="text-center text-gray-500 dark:text-gray-400 pt-8">Select an exam to see its comment bank.</div>`;
+        return;
+    }
+
+    const usage = countSnippetUsage(repository);
+    const snippets = getCommentBank(repository).filter(s => questionIds.includes(s.questionId));
+    const header = document.createElement('p');
+    header.className = 'text-sm text-gray-500 dark:text-gray-400 mb-3';
+    header.textContent = `${snippets.length} snippet(s) for ${questionIds[0]}. Type in a comment to get suggestions.`;
+    container.appendChild(header);
+
+    snippets
+        .sort((a, b) => (usage.get(b.id) || 0) - (usage.get(a.id) || 0))
+        .forEach(snippet => {
+            const item = document.createElement('div');
+            item.className = 'p-3 mb-2 bg-gray-50 dark:bg-gray-700/50 rounded-lg space-y-2';
+            item.innerHTML = `
+                <textarea rows="2" class="w-full text-sm bg-transparent border-gray-200 dark:border-gray-600 rounded-md resize-y"></textarea>
+                <div class="flex items-center justify-between gap-2 text-xs text-gray-500 dark:text-gray-400">
+                    <span>${questionIds.length > 1 ? `${escapeHtml(snippet.questionId)} · ` : ''}Used ${usage.get(snippet.id) || 0}×</span>
+                    <label class="flex items-center gap-1">Deduction
+                        <input type="number" min="0" step="0.5" class="snippet-deduction w-14 p-0.5 text-center bg-transparent border-gray-200 dark:border-gray-600 rounded-md">
+                    </label>
+                    <button class="delete-snippet-btn p-1 rounded-full hover:bg-red-500/20 text-red-500" title="Delete snippet">
+                        <span class="material-symbols-outlined text-base">delete</span>
+                    </button>
+                </div>
+            `;
+            const textarea = item.querySelector('textarea');
+            textarea.value = snippet.text;
+            item.querySelector('.snippet-deduction').value = snippet.deduction ?? '';
+
+            textarea.addEventListener('change', async (e) => {
+                const text = e.target.value.trim();
+                if (!text) {
+                    e.target.value = snippet.text;
+                    return;
+                }
+                const propagate = (usage.get(snippet.id) || 0) > 0
+                    && confirm(`Also update the ${usage.get(snippet.id)} comment(s) this snippet was applied to?`);
+                const rewritten = await updateSnippet(repository, snippet.id, { text }, { propagate });
+                if (rewritten > 0 && onPropagated) onPropagated();
+            });
+            item.querySelector('.snippet-deduction').addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                updateSnippet(repository, snippet.id, { deduction: isNaN(value) || value <= 0 ? null : value });
+            });
+            item.querySelector('.delete-snippet-btn').addEventListener('click', () => {
+                if (!confirm('Delete this snippet? Comments it was applied to keep their text.')) return;
+                deleteSnippet(repository, snippet.id);
+                renderCommentBankPanel(container, questionIds, { onPropagated });
+            });
+            container.appendChild(item);
+        });
+}
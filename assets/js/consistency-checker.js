@@ -0,0 +1,153 @@
+import { listGradableQuestions } from './ai-grading.js';
+import { getDoubleMarkingSettings, isReconciled } from './reconciliation.js';
+import { buildGradingUrl } from './grading-router.js';
+
+/**
+ * Grading consistency checker (index.html, "Grading Consistency Checker" card).
+ *
+ * Finds three kinds of conflicts:
+ * - pass-mismatch:    the first and second manual pass of an item disagree (beyond the reconciliation
+ *                     tolerance, and not reconciled yet)
+ * - ai-deviation:     the manual score deviates from the AI suggestion by more than a share of the max points
+ * - similar-comments: two students got near-identical AI comments (`aiComment`) for a question but different scores
+ *
+ * Every conflict links to grading.html (`?student=&question=`) so it can be resolved there.
+ */
+
+export const DEFAULT_CHECKER_SETTINGS = {
+    passTolerance: 0,           // points the two passes may differ by (default: the reconciliation tolerance)
+    aiDeviationThreshold: 0.25, // share of the max points
+    commentSimilarity: 0.85     // Jaccard similarity of the AI comment words
+};
+
+/**
+ * Builds the grading.html link for a student and question.
+ * @param {string} studentId - The student ID.
+ * @param {string} questionId - The question ID.
+ * @returns {string}
+ */
+export function buildGradingLink(studentId, questionId) {
+    return buildGradingUrl({ student: studentId, question: questionId });
+}
+
+/**
+ * Returns the set of lower-case words of a comment.
+ */
+function commentWords(comment) {
+    return new Set((comment || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2));
+}
+
+function jaccardSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(word => { if (b.has(word)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * The score a student currently has for an item: the manual score, or else the AI suggestion.
+ */
+function effectiveScore(grade) {
+    if (typeof grade.score === 'number') return grade.score;
+    return typeof grade.aiSuggestedScore === 'number' ? grade.aiSuggestedScore : null;
+}
+
+/**
+ * Compares the grades of a repository and lists every conflict.
+ *
+ * @param {Object} repository - The repository.
+ * @param {Object} [settings] - Overrides for DEFAULT_CHECKER_SETTINGS.
+ * @returns {Array<Object>} The conflicts: { id, type, studentId, studentName, questionId, message, link, relatedStudentId? }.
+ */
+export function findConsistencyConflicts(repository, settings = {}) {
+    const { passTolerance, aiDeviationThreshold, commentSimilarity } = {
+        ...DEFAULT_CHECKER_SETTINGS,
+        passTolerance: getDoubleMarkingSettings(repository).reconciliationTolerance,
+        ...settings
+    };
+    const conflicts = [];
+
+    listGradableQuestions(repository.questions).forEach(question => {
+        const graded = [];
+
+        repository.studentSubmissions.forEach(student => {
+            const grade = student.grades.find(g => g.questionId === question.id);
+            if (!grade) return;
+            const base = { studentId: student.id, studentName: student.name, questionId: question.id, link: buildGradingLink(student.id, question.id) };
+
+            const first = grade.passScores?.first;
+            const second = grade.passScores?.second;
+            if (typeof first === 'number' && typeof second === 'number' && Math.abs(first - second) > passTolerance && !isReconciled(grade)) {
+                conflicts.push({
+                    ...base,
+                    id: `pass-mismatch/${student.id}/${question.id}`,
+                    type: 'pass-mismatch',
+                    message: `${question.name}: first and second pass differ for ${student.name} (${first} vs ${second} of ${question.maxPoints})`
+                });
+            }
+
+            if (typeof grade.score === 'number' && typeof grade.aiSuggestedScore === 'number' && question.maxPoints > 0) {
+                const deviation = Math.abs(grade.score - grade.aiSuggestedScore) / question.maxPoints;
+                if (deviation > aiDeviationThreshold) {
+                    conflicts.push({
+                        ...base,
+                        id: `ai-deviation/${student.id}/${question.id}`,
+                        type: 'ai-deviation',
+                        message: `${question.name}: ${student.name} scored ${grade.score}, the AI suggested ${grade.aiSuggestedScore} (${Math.round(deviation * 100)}% of the points)`
+                    });
+                }
+            }
+
+            if (grade.aiComment && effectiveScore(grade) !== null) {
+                graded.push({ student, score: effectiveScore(grade), words: commentWords(grade.aiComment) });
+            }
+        });
+
+        // Pairwise comparison of the AI comments for this question
+        for (let i = 0; i < graded.length; i++) {
+            for (let j = i + 1; j < graded.length; j++) {
+                const a = graded[i];
+                const b = graded[j];
+                if (a.score === b.score || jaccardSimilarity(a.words, b.words) < commentSimilarity) continue;
+                conflicts.push({
+                    studentId: a.student.id,
+                    studentName: a.student.name,
+                    relatedStudentId: b.student.id,
+                    questionId: question.id,
+                    link: buildGradingLink(a.student.id, question.id),
+                    id: `similar-comments/${a.student.id}/${b.student.id}/${question.id}`,
+                    type: 'similar-comments',
+                    message: `${question.name}: ${a.student.name} (${a.score}) and ${b.student.name} (${b.score}) have near-identical AI comments but different scores`
+                });
+            }
+        }
+    });
+
+    return conflicts;
+}
+
+/**
+ * Runs the checker and builds the new `appState.automatedProcesses.consistencyChecker` entry.
+ * Conflicts dismissed in an earlier run stay dismissed.
+ *
+ * @param {Object} repository - The repository.
+ * @returns {Object} The process entry: { lastRun, status, conflictCount, conflicts, settings? }.
+ */
+export function runConsistencyCheck(repository) {
+    const previous = repository.appState.automatedProcesses?.consistencyChecker || {};
+    const dismissed = new Set((previous.conflicts || []).filter(c => c.dismissed).map(c => c.id));
+
+    const conflicts = findConsistencyConflicts(repository, previous.settings).map(conflict => (
+        dismissed.has(conflict.id) ? { ...conflict, dismissed: true } : conflict
+    ));
+    const openCount = conflicts.filter(c => !c.dismissed).length;
+
+    console.log(`[ConsistencyChecker] Found ${conflicts.length} conflicts (${openCount} open).`);
+    return {
+        ...previous,
+        lastRun: new Date().toLocaleString(),
+        status: openCount > 0 ? 'conflicts-found' : 'no-conflicts',
+        conflictCount: openCount,
+        conflicts
+    };
+}
@@ -0,0 +1,378 @@
+import { resolveFileUrl } from './repository-store.js';
+import { getQuestionResult } from './grading-logic.js';
+
+/**
+ * Annotated feedback PDFs for returning graded papers to students.
+ *
+ * Each student's submission gets a cover page with the per-question and total scores, and on the
+ * pages themselves:
+ *   - the final score of every grading checkpoint, with the checkpoint comment (`grade.comment`)
+ *   - the free comments (`appState.comments`)
+ *   - the freehand and shape annotations (`appState.annotations`)
+ * Positions are page percentages (see page-coordinates.js), so they map straight onto PDF points.
+ *
+ * Runs entirely in the browser with pdf-lib (`window.PDFLib`) and, for the batch export, JSZip
+ * (`window.JSZip`), both loaded from the CDN.
+ */
+
+const MARGIN = 50;
+const NOTE_FONT_SIZE = 8;
+const NOTE_WIDTH = 190;
+const NOTE_PADDING = 4;
+
+// Characters that the standard PDF fonts cannot encode, with a close replacement
+const CHARACTER_REPLACEMENTS = { '′': "'", '″': '"', '⋅': '·', '−': '-', '≤': '<=', '≥': '>=', '→': '->', '≠': '!=' };
+
+function hexToRgb(hex) {
+    const { rgb } = window.PDFLib;
+    const value = parseInt((hex || '#ef4444').slice(1), 16);
+    return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+}
+
+/**
+ * Replaces characters the font cannot draw, so a stray symbol never fails the export.
+ */
+function toDrawableText(font, text) {
+    return Array.from(String(text ?? ''), char => {
+        if (char === '\n') return char;
+        for (const candidate of [char, CHARACTER_REPLACEMENTS[char], char.normalize('NFKD')[0]]) {
+            if (!candidate) continue;
+            try {
+                font.encodeText(candidate);
+                return candidate;
+            } catch (error) {
+                // Not in the font's encoding; try the next candidate
+            }
+        }
+        return '?';
+    }).join('');
+}
+
+/**
+ * Splits text into lines that fit a width.
+ */
+function wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Draws a boxed note with its top-left corner at (x, top), kept inside the page.
+ * @returns {number} The height of the note.
+ */
+function drawNote(page, { x, top, text, font, color, background, border }) {
+    const lines = wrapText(toDrawableText(font, text), font, NOTE_FONT_SIZE, NOTE_WIDTH - 2 * NOTE_PADDING);
+    const lineHeight = NOTE_FONT_SIZE * 1.25;
+    const height = lines.length * lineHeight + 2 * NOTE_PADDING;
+    const { width: pageWidth, height: pageHeight } = page.getSize();
+    const left = Math.min(Math.max(x, 4), pageWidth - NOTE_WIDTH - 4);
+    const bottom = Math.max(Math.min(top, pageHeight - 4) - height, 4);
+
+    page.drawRectangle({ x: left, y: bottom, width: NOTE_WIDTH, height, color: background, opacity: 0.92, borderColor: border, borderWidth: 0.75 });
+    lines.forEach((line, i) => {
+        page.drawText(line, {
+            x: left + NOTE_PADDING,
+            y: bottom + height - NOTE_PADDING - (i + 1) * lineHeight + 2,
+            size: NOTE_FONT_SIZE,
+            font,
+            color
+        });
+    });
+    return height;
+}
+
+// --- Scores ---
+
+/**
+ * Finds a question or subquestion by ID.
+ */
+function findQuestion(questions, id) {
+    for (const q of questions || []) {
+        if (q.id === id) return q;
+        const sub = q.subquestions?.find(s => s.id === id);
+        if (sub) return sub;
+    }
+    return null;
+}
+
+const formatScore = score => (score === null ? '–' : String(+score.toFixed(2)));
+
+// --- Drawing ---
+
+/**
+ * Adds the cover page with the score summary in front of the submission.
+ */
+function drawCoverPage(doc, repository, student, fonts) {
+    const { rgb } = window.PDFLib;
+    const firstPage = doc.getPageCount() > 0 ? doc.getPage(0) : null;
+    const size = firstPage ? [firstPage.getWidth(), firstPage.getHeight()] : [612, 792];
+    let page = doc.insertPage(0, size);
+    let pagesAdded = 1;
+    const [width, height] = size;
+    const gray = rgb(0.4, 0.4, 0.45);
+    const text = (value, x, y, { font = fonts.regular, fontSize = 11, color = rgb(0.1, 0.1, 0.12) } = {}) => {
+        page.drawText(toDrawableText(font, value), { x, y, size: fontSize, font, color });
+    };
+
+    let y = height - MARGIN - 10;
+    text(repository.name || repository.id, MARGIN, y, { font: fonts.bold, fontSize: 20 });
+    y -= 26;
+    text(`Feedback for ${student.name}`, MARGIN, y, { fontSize: 14 });
+    y -= 16;
+    text([student.id, student.email].filter(Boolean).join(' · '), MARGIN, y, { fontSize: 9, color: gray });
+    y -= 36;
+
+    const scoreColumn = width - MARGIN - 110;
+    const maxColumn = width - MARGIN - 40;
+    const drawRow = (label, result, { indent = 0, font = fonts.regular } = {}) => {
+        if (y < MARGIN + 40) {
+            // Long exams continue on another summary page
+            page = doc.insertPage(pagesAdded++, size);
+            y = height - MARGIN;
+        }
+        text(label, MARGIN + indent, y, { font });
+        text(formatScore(result.score), scoreColumn, y, { font });
+        text(String(result.max), maxColumn, y, { font, color: gray });
+        y -= 8;
+        page.drawLine({ start: { x: MARGIN, y }, end: { x: width - MARGIN, y }, thickness: 0.5, color: rgb(0.85, 0.85, 0.88) });
+        y -= 14;
+    };
+
+    text('Question', MARGIN, y, { font: fonts.bold, fontSize: 10, color: gray });
+    text('Score', scoreColumn, y, { font: fonts.bold, fontSize: 10, color: gray });
+    text('Max', maxColumn, y, { font: fonts.bold, fontSize: 10, color: gray });
+    y -= 20;
+
+    let totalScore = 0;
+    let totalMax = 0;
+    repository.questions.forEach(question => {
+        const result = getQuestionResult(student, question);
+        totalScore += result.score || 0;
+        totalMax += result.max;
+        drawRow(question.name || question.id, result, { font: fonts.bold });
+        (question.subquestions || []).forEach(sub => drawRow(sub.name || sub.id, getQuestionResult(student, sub), { indent: 16 }));
+    });
+
+    y -= 6;
+    text('Total', MARGIN, y, { font: fonts.bold, fontSize: 13 });
+    text(`${formatScore(totalScore)} / ${totalMax}`, scoreColumn, y, { font: fonts.bold, fontSize: 13 });
+    if (totalMax > 0) text(`${Math.round(totalScore / totalMax * 100)}%`, scoreColumn, y - 16, { fontSize: 10, color: gray });
+
+    text(`Generated ${new Date().toLocaleDateString()}`, MARGIN, MARGIN - 20, { fontSize: 8, color: gray });
+}
+
+/**
+ * Draws the score of a checkpoint at its position, with the checkpoint comment below it.
+ */
+function drawCheckpoint(page, checkpoint, question, grade, result, fonts) {
+    const { rgb } = window.PDFLib;
+    const { width, height } = page.getSize();
+    const cx = parseFloat(checkpoint.position.x) / 100 * width;
+    const cy = height - parseFloat(checkpoint.position.y) / 100 * height;
+    const red = rgb(0.86, 0.15, 0.15);
+
+    const label = toDrawableText(fonts.bold, `${question.id}: ${formatScore(result.score)} / ${result.max}`);
+    const labelWidth = fonts.bold.widthOfTextAtSize(label, 11) + 12;
+    const left = Math.min(Math.max(cx - labelWidth / 2, 4), width - labelWidth - 4);
+    const bottom = Math.min(Math.max(cy - 9, 4), height - 22);
+    page.drawRectangle({ x: left, y: bottom, width: labelWidth, height: 18, color: rgb(1, 1, 1), opacity: 0.9, borderColor: red, borderWidth: 1.25 });
+    page.drawText(label, { x: left + 6, y: bottom + 5, size: 11, font: fonts.bold, color: red });
+
+    if (grade?.comment) {
+        drawNote(page, {
+            x: cx - NOTE_WIDTH / 2,
+            top: bottom - 3,
+            text: grade.comment,
+            font: fonts.regular,
+            color: rgb(0.45, 0.08, 0.08),
+            background: rgb(1, 0.95, 0.95),
+            border: red
+        });
+    }
+}
+
+/**
+ * Draws one freehand or shape annotation.
+ */
+function drawAnnotation(page, annotation, fonts) {
+    const { LineCapStyle } = window.PDFLib;
+    const { width, height } = page.getSize();
+    const color = hexToRgb(annotation.color);
+    const toPoint = ([x, y]) => [x / 100 * width, y / 100 * height]; // Top-left origin, as in SVG paths
+    const points = annotation.points.map(toPoint);
+    const stroke = { borderColor: color, borderWidth: 2, borderLineCap: LineCapStyle.Round };
+    const drawPath = (path, options = stroke) => page.drawSvgPath(path, { x: 0, y: height, ...options });
+
+    switch (annotation.tool) {
+        case 'pen':
+        case 'underline':
+            drawPath(points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x} ${y}`).join(' '));
+            break;
+        case 'highlighter':
+            drawPath(points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x} ${y}`).join(' '), { ...stroke, borderWidth: 12, borderOpacity: 0.35 });
+            break;
+        case 'rectangle': {
+            const [[x1, y1], [x2, y2]] = points;
+            page.drawRectangle({ x: Math.min(x1, x2), y: height - Math.max(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1), borderColor: color, borderWidth: 2 });
+            break;
+        }
+        case 'tick': {
+            const [x, y] = points[0];
+            drawPath(`M${x - 9} ${y} L${x - 3} ${y + 7} L${x + 10} ${y - 8}`, { ...stroke, borderWidth: 3 });
+            break;
+        }
+        case 'cross': {
+            const [x, y] = points[0];
+            drawPath(`M${x - 8} ${y - 8} L${x + 8} ${y + 8} M${x + 8} ${y - 8} L${x - 8} ${y + 8}`, { ...stroke, borderWidth: 3 });
+            break;
+        }
+        case 'stamp': {
+            const [x, y] = points[0];
+            const text = toDrawableText(fonts.bold, (annotation.text || '').toUpperCase());
+            const textWidth = fonts.bold.widthOfTextAtSize(text, 9);
+            page.drawRectangle({ x: x - textWidth / 2 - 6, y: height - y - 8, width: textWidth + 12, height: 16, color: window.PDFLib.rgb(1, 1, 1), opacity: 0.7, borderColor: color, borderWidth: 1.5 });
+            page.drawText(text, { x: x - textWidth / 2, y: height - y - 3, size: 9, font: fonts.bold, color });
+            break;
+        }
+    }
+}
+
+/**
+ * Reads the submission PDF of a student.
+ */
+async function readSubmission(repository, student) {
+    if (!student.url) throw new Error(`${student.name} has no submission.`);
+    const url = await resolveFileUrl(student.url, repository.id);
+    if (!url) throw new Error(`The submission of ${student.name} is missing.`);
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`The submission of ${student.name} could not be loaded (${response.status}).`);
+    return response.arrayBuffer();
+}
+
+/**
+ * Builds the feedback PDF of one student.
+ * @param {Object} repository - The repository.
+ * @param {Object} student - The student submission.
+ * @returns {Promise<Uint8Array>} The PDF.
+ */
+export async function buildFeedbackPdf(repository, student) {
+    const PDFLib = window.PDFLib;
+    if (!PDFLib) throw new Error('The PDF editing library is not loaded.');
+
+    const doc = await PDFLib.PDFDocument.load(await readSubmission(repository, student), { ignoreEncryption: true });
+    const fonts = {
+        regular: await doc.embedFont(PDFLib.StandardFonts.Helvetica),
+        bold: await doc.embedFont(PDFLib.StandardFonts.HelveticaBold)
+    };
+    const pages = doc.getPages(); // The submission pages, before the cover is added
+    const pageAt = number => pages[number - 1] || null;
+    const appState = repository.appState || {};
+
+    (appState.annotations || [])
+        .filter(a => a.studentId === student.id && pageAt(a.page))
+        .forEach(annotation => drawAnnotation(pageAt(annotation.page), annotation, fonts));
+
+    (repository.gradingCheckpoints || []).forEach(checkpoint => {
+        const question = findQuestion(repository.questions, checkpoint.questionId);
+        const page = pageAt(checkpoint.page);
+        if (!question || !page || !checkpoint.position) return;
+        const grade = student.grades?.find(g => g.questionId === checkpoint.questionId);
+        drawCheckpoint(page, checkpoint, question, grade, getQuestionResult(student, question), fonts);
+    });
+
+    const { rgb } = PDFLib;
+    (appState.comments || [])
+        .filter(c => c.studentId === student.id && c.text && c.position && pageAt(c.page))
+        .forEach(comment => {
+            const page = pageAt(comment.page);
+            const { width, height } = page.getSize();
+            drawNote(page, {
+                x: parseFloat(comment.position.x) / 100 * width,
+                top: height - parseFloat(comment.position.y) / 100 * height,
+                text: `${comment.questionId}: ${comment.text}`,
+                font: fonts.regular,
+                color: rgb(0.12, 0.16, 0.23),
+                background: rgb(1, 0.98, 0.84),
+                border: rgb(0.85, 0.62, 0.1)
+            });
+        });
+
+    drawCoverPage(doc, repository, student, fonts);
+    return doc.save();
+}
+
+/**
+ * File name of a student's feedback PDF.
+ */
+export function feedbackFileName(student) {
+    return `${student.name.replace(/[^\w.-]+/g, '_')}-${student.id}-feedback.pdf`;
+}
+
+function downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Builds and downloads the feedback PDF of one student.
+ * @param {Object} repository - The repository.
+ * @param {Object} student - The student submission.
+ * @returns {Promise<void>}
+ */
+export async function downloadStudentFeedback(repository, student) {
+    const bytes = await buildFeedbackPdf(repository, student);
+    downloadBlob(new Blob([bytes], { type: 'application/pdf' }), feedbackFileName(student));
+}
+
+/**
+ * Builds the feedback PDFs of every student into one zip and downloads it.
+ * Students whose PDF cannot be built are skipped and listed in `skipped.txt` in the zip.
+ *
+ * @param {Object} repository - The repository.
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (done, total) after each student.
+ * @returns {Promise<{exported: number, skipped: Array<{student: Object, error: string}>}>}
+ */
+export async function downloadAllFeedback(repository, { onProgress } = {}) {
+    const JSZip = window.JSZip;
+    if (!JSZip) throw new Error('The zip library is not loaded.');
+    if (!repository || !repository.id) throw new Error('No repository is loaded.');
+
+    const zip = new JSZip();
+    const students = repository.studentSubmissions || [];
+    const skipped = [];
+
+    for (let i = 0; i < students.length; i++) {
+        const student = students[i];
+        try {
+            zip.file(feedbackFileName(student), await buildFeedbackPdf(repository, student));
+        } catch (error) {
+            console.warn(`[FeedbackExport] Skipped ${student.name}:`, error);
+            skipped.push({ student, error: error.message });
+        }
+        if (onProgress) onProgress(i + 1, students.length);
+    }
+
+    if (skipped.length > 0) {
+        zip.file('skipped.txt', skipped.map(({ student, error }) => `${student.name} (${student.id}): ${error}`).join('\n'));
+    }
+    downloadBlob(await zip.generateAsync({ type: 'blob' }), `${repository.id}-feedback.zip`);
+    console.log(`[FeedbackExport] Exported ${students.length - skipped.length} feedback PDFs for '${repository.id}'.`);
+    return { exported: students.length - skipped.length, skipped };
+}
@@ -0,0 +1,291 @@
+/**
+ * Grade distribution analytics for the dashboard (index.html).
+ *
+ * Everything is computed from `studentSubmissions[].grades` on each render:
+ * - per item (a subquestion, or a question without subquestions): the distribution of final scores,
+ *   mean, median, standard deviation, difficulty (mean / max) and discrimination index
+ * - the distribution of total scores
+ * - the correlation between items
+ * - AI suggested vs final scores, with the mean absolute error per item
+ *
+ * Item statistics use every student graded on that item. Totals, discrimination and correlations
+ * need the whole exam, so they use the fully graded students only.
+ */
+
+const DISCRIMINATION_GROUP = 0.27; // Upper and lower 27% of students by total score
+
+// --- Statistics ---
+
+export function mean(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+export function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+export function standardDeviation(values) {
+    if (values.length < 2) return null;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Pearson correlation of two equally long lists; null if either does not vary.
+ */
+export function correlation(xs, ys) {
+    if (xs.length < 2) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    xs.forEach((x, i) => {
+        sxy += (x - mx) * (ys[i] - my);
+        sxx += (x - mx) ** 2;
+        syy += (ys[i] - my) ** 2;
+    });
+    return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * Lists the items that are graded: subquestions, and questions without subquestions.
+ */
+function listItems(questions) {
+    return (questions || []).flatMap(q => (q.subquestions?.length > 0 ? q.subquestions : [q]));
+}
+
+/**
+ * Computes the analytics of a repository.
+ * @param {Object} repository - The repository.
+ * @returns {Object} `{ items, totals, maxTotal, correlations }`; see the module description.
+ */
+export function computeGradeAnalytics(repository) {
+    const items = listItems(repository.questions);
+    const students = repository.studentSubmissions || [];
+    const scoreOf = (student, item) => student.grades?.find(g => g.questionId === item.id)?.score ?? null;
+
+    const complete = students.filter(student => items.every(item => scoreOf(student, item) !== null));
+    const totals = complete.map(student => items.reduce((sum, item) => sum + scoreOf(student, item), 0));
+    const maxTotal = items.reduce((sum, item) => sum + (item.points || 0), 0);
+
+    // Upper and lower groups for the discrimination index
+    const ranked = complete.map((student, i) => ({ student, total: totals[i] })).sort((a, b) => b.total - a.total);
+    const groupSize = Math.max(1, Math.round(ranked.length * DISCRIMINATION_GROUP));
+    const upper = ranked.slice(0, groupSize).map(r => r.student);
+    const lower = ranked.slice(-groupSize).map(r => r.student);
+
+    const itemStats = items.map(item => {
+        const max = item.points || 0;
+        const scores = students.map(s => scoreOf(s, item)).filter(score => score !== null);
+        const aiPairs = students.map(student => {
+            const grade = student.grades?.find(g => g.questionId === item.id);
+            return grade && grade.score !== null && grade.score !== undefined && typeof grade.aiSuggestedScore === 'number'
+                ? { ai: grade.aiSuggestedScore, human: grade.score }
+                : null;
+        }).filter(Boolean);
+        const itemMean = mean(scores);
+
+        return {
+            id: item.id,
+            max,
+            scores,
+            count: scores.length,
+            mean: itemMean,
+            median: median(scores),
+            sd: standardDeviation(scores),
+            difficulty: itemMean !== null && max > 0 ? itemMean / max : null,
+            discrimination: ranked.length >= 4 && max > 0
+                ? (mean(upper.map(s => scoreOf(s, item))) - mean(lower.map(s => scoreOf(s, item)))) / max
+                : null,
+            aiPairs,
+            aiMae: aiPairs.length > 0 ? mean(aiPairs.map(p => Math.abs(p.ai - p.human))) : null
+        };
+    });
+
+    const correlations = items.map(a => items.map(b => correlation(complete.map(s => scoreOf(s, a)), complete.map(s => scoreOf(s, b)))));
+
+    return {
+        items: itemStats,
+        totals: {
+            values: totals,
+            count: totals.length,
+            mean: mean(totals),
+            median: median(totals),
+            sd: standardDeviation(totals)
+        },
+        maxTotal,
+        correlations
+    };
+}
+
+// --- Charts ---
+
+const format = (value, digits = 1) => (value === null || value === undefined ? '–' : (+value.toFixed(digits)).toString());
+
+/**
+ * Counts values into bins over [0, max]. Small integer ranges get one bin per score.
+ */
+function binValues(values, max, maxBins = 10) {
+    const binCount = max > 0 && max <= 20 && Number.isInteger(max) ? max + 1 : maxBins;
+    const width = binCount === max + 1 ? 1 : (max || 1) / binCount;
+    const bins = Array.from({ length: binCount }, (_, i) => ({ from: i * width, count: 0 }));
+    values.forEach(value => {
+        const index = binCount === max + 1 ? Math.round(value) : Math.floor(value / width);
+        bins[Math.min(Math.max(index, 0), binCount - 1)].count++;
+    });
+    return { bins, width, perScore: binCount === max + 1 };
+}
+
+/**
+ * Renders a histogram as an SVG string.
+ */
+function histogramSvg(values, max, { width = 320, height = 120, color = '#3B82F6' } = {}) {
+    const { bins, width: binWidth, perScore } = binValues(values, max);
+    const highest = Math.max(1, ...bins.map(b => b.count));
+    const plotHeight = height - 16;
+    const barWidth = width / bins.length;
+
+    const bars = bins.map((bin, i) => {
+        const barHeight = bin.count / highest * (plotHeight - 4);
+        const label = perScore ? `${bin.from}` : `${format(bin.from)}–${format(bin.from + binWidth)}`;
+        return `
+            <rect x="${i * barWidth + 1}" y="${plotHeight - barHeight}" width="${Math.max(barWidth - 2, 1)}" height="${barHeight}" fill="${color}" rx="1">
+                <title>${label}: ${bin.count} student${bin.count === 1 ? '' : 's'}</title>
+            </rect>`;
+    }).join('');
+    const labelStep = bins.length > 12 ? 2 : 1;
+    const labels = bins.map((bin, i) => (i % labelStep === 0
+        ? `<text x="${i * barWidth + barWidth / 2}" y="${height - 3}" text-anchor="middle" class="fill-gray-500" font-size="9">${perScore ? bin.from : format(bin.from, 0)}</text>`
+        : '')).join('');
+
+    return `<svg viewBox="0 0 ${width} ${height}" class="w-full h-auto">${bars}${labels}</svg>`;
+}
+
+/**
+ * Renders an AI vs final score scatter plot as an SVG string. The diagonal marks agreement.
+ */
+function scatterSvg(pairs, max, { size = 120 } = {}) {
+    const pad = 12;
+    const scale = value => pad + (max > 0 ? value / max : 0) * (size - 2 * pad);
+    const points = pairs.map(({ ai, human }) => `<circle cx="${scale(ai)}" cy="${size - scale(human)}" r="3" fill="#3B82F6" fill-opacity="0.45"><title>AI ${ai}, final ${human}</title></circle>`).join('');
+    return `
+        <svg viewBox="0 0 ${size} ${size}" class="w-full h-auto">
+            <rect x="${pad}" y="${pad}" width="${size - 2 * pad}" height="${size - 2 * pad}" fill="none" class="stroke-gray-300 dark:stroke-gray-600" stroke-width="0.5"></rect>
+            <line x1="${pad}" y1="${size - pad}" x2="${size - pad}" y2="${pad}" stroke="#9CA3AF" stroke-dasharray="3 3" stroke-width="0.75"></line>
+            ${points}
+            <text x="${size / 2}" y="${size - 1}" text-anchor="middle" class="fill-gray-500" font-size="8">AI</text>
+            <text x="4" y="${size / 2}" text-anchor="middle" class="fill-gray-500" font-size="8" transform="rotate(-90 4 ${size / 2})">Final</text>
+        </svg>`;
+}
+
+/**
+ * Background color of a correlation cell: blue for positive, red for negative.
+ */
+function correlationColor(r) {
+    if (r === null) return 'transparent';
+    return r >= 0 ? `rgba(59, 130, 246, ${Math.abs(r) * 0.8})` : `rgba(239, 68, 68, ${Math.abs(r) * 0.8})`;
+}
+
+// --- UI ---
+
+/**
+ * Renders the analytics panel.
+ * @param {Object|null} repository - The repository, or null for the empty state.
+ * @param {string} [containerId='grade-analytics-container'] - The container element ID.
+ */
+export function renderGradeAnalytics(repository, containerId = 'grade-analytics-container') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    const analytics = repository && repository.questions?.length > 0 ? computeGradeAnalytics(repository) : null;
+    if (!analytics || analytics.items.every(item => item.count === 0)) {
+        container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No final scores yet. Analytics appear as grades are entered.</p>';
+        return;
+    }
+
+    const { items, totals, maxTotal, correlations } = analytics;
+    const statCard = (label, value) => `
+        <div class="p-3 rounded-lg bg-gray-50 dark:bg-gray-700/40">
+            <div class="text-xs text-gray-500 dark:text-gray-400">${label}</div>
+            <div class="text-lg font-semibold text-gray-900 dark:text-white">${value}</div>
+        </div>`;
+    const th = 'px-2 py-1.5 text-left text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase whitespace-nowrap';
+    const td = 'px-2 py-1 whitespace-nowrap';
+    // Discrimination below 0.2 usually means the item does not separate strong from weak students
+    const discriminationClass = d => (d === null ? '' : d < 0.2 ? 'text-red-500' : d < 0.3 ? 'text-amber-500' : 'text-green-600 dark:text-green-400');
+
+    container.innerHTML = `
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            ${statCard('Fully graded', `${totals.count} / ${(repository.studentSubmissions || []).length}`)}
+            ${statCard('Mean total', totals.count > 0 ? `${format(totals.mean)} / ${maxTotal}` : '–')}
+            ${statCard('Median total', format(totals.median))}
+            ${statCard('Std. deviation', format(totals.sd))}
+        </div>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+            <div>
+                <h3 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Total scores</h3>
+                ${totals.count > 0 ? histogramSvg(totals.values, maxTotal) : '<p class="text-sm text-gray-500 dark:text-gray-400">No student is fully graded yet.</p>'}
+            </div>
+            <div class="overflow-x-auto">
+                <h3 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Items</h3>
+                <table class="min-w-full text-sm text-gray-800 dark:text-gray-200">
+                    <thead>
+                        <tr>
+                            <th class="${th}">Item</th><th class="${th}">n</th><th class="${th}">Mean</th><th class="${th}">Median</th><th class="${th}">SD</th>
+                            <th class="${th}" title="Mean score / max points">Difficulty</th>
+                            <th class="${th}" title="Upper 27% minus lower 27% by total, / max points">Discrim.</th>
+                            <th class="${th}" title="Mean absolute error of the AI suggestion">AI MAE</th>
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-200 dark:divide-gray-700">
+                        ${items.map(item => `
+                            <tr>
+                                <td class="${td} font-medium">${item.id}</td>
+                                <td class="${td}">${item.count}</td>
+                                <td class="${td}">${format(item.mean)} / ${item.max}</td>
+                                <td class="${td}">${format(item.median)}</td>
+                                <td class="${td}">${format(item.sd)}</td>
+                                <td class="${td}">${format(item.difficulty, 2)}</td>
+                                <td class="${td} ${discriminationClass(item.discrimination)}">${format(item.discrimination, 2)}</td>
+                                <td class="${td}">${format(item.aiMae, 2)}</td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        <h3 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Score distribution per item</h3>
+        <div class="grid grid-cols-2 md:grid-cols-4 xl:grid-cols-6 gap-4 mb-6">
+            ${items.map(item => `
+                <div>
+                    <div class="text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">${item.id} <span class="text-gray-400">(${item.count})</span></div>
+                    ${histogramSvg(item.scores, item.max, { width: 160, height: 70, color: '#60A5FA' })}
+                </div>`).join('')}
+        </div>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div class="overflow-x-auto">
+                <h3 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Correlation between items <span class="font-normal text-gray-400">(fully graded students)</span></h3>
+                <table class="text-xs text-gray-800 dark:text-gray-200">
+                    <tr><th></th>${items.map(item => `<th class="px-1.5 py-1 font-medium">${item.id}</th>`).join('')}</tr>
+                    ${items.map((row, i) => `
+                        <tr>
+                            <th class="px-1.5 py-1 font-medium text-left">${row.id}</th>
+                            ${items.map((_, j) => `<td class="px-1.5 py-1 text-center" style="background-color: ${i === j ? 'transparent' : correlationColor(correlations[i][j])}">${i === j ? '' : format(correlations[i][j], 2)}</td>`).join('')}
+                        </tr>`).join('')}
+                </table>
+            </div>
+            <div>
+                <h3 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">AI suggestion vs final score</h3>
+                <div class="grid grid-cols-3 md:grid-cols-4 gap-3">
+                    ${items.filter(item => item.aiPairs.length > 0).map(item => `
+                        <div>
+                            <div class="flex justify-between text-xs text-gray-600 dark:text-gray-400"><span class="font-medium">${item.id}</span><span>MAE ${format(item.aiMae, 2)}</span></div>
+                            ${scatterSvg(item.aiPairs, item.max)}
+                        </div>`).join('') || '<p class="text-sm text-gray-500 dark:text-gray-400">No graded items with an AI suggestion yet.</p>'}
+                </div>
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,307 @@
+import { getQuestionResult } from './grading-logic.js';
+import { getDoubleMarkingSettings, needsReconciliation } from './reconciliation.js';
+
+/**
+ * Gradebook: one row per student with the scores per question and subquestion, the total and the
+ * grading status, and its export as CSV, XLSX or an LMS grade-import CSV.
+ *
+ * Only final scores (`grade.score`) count. An item without a score is "ungraded"; an item whose
+ * grading was only done once (`manualStatus` 1) is "first pass only", and one whose passes disagree
+ * is "unreconciled" (see reconciliation.js). All are reported as warnings before an export.
+ *
+ * XLSX files are written with JSZip (`window.JSZip`, loaded from the CDN).
+ */
+
+export const GRADING_STATUS_LABELS = ['Not reviewed', 'First pass', 'Second pass'];
+
+/**
+ * Builds the gradebook of a repository.
+ * @param {Object} repository - The repository.
+ * @returns {{columns: Array<Object>, rows: Array<Object>, warnings: {ungraded: number, firstPassOnly: number, unreconciled: number, students: number}}}
+ *   `columns` lists the score columns ({ id, label, max, isSubquestion }); a question with
+ *   subquestions gets a column per subquestion followed by one for the question.
+ */
+export function buildGradebook(repository) {
+    const columns = [];
+    const leaves = []; // The items that are actually graded
+    repository.questions.forEach(question => {
+        const subquestions = question.subquestions || [];
+        subquestions.forEach(sub => {
+            columns.push({ id: sub.id, label: sub.id, max: sub.points || 0, question: sub, isSubquestion: true });
+            leaves.push(sub);
+        });
+        columns.push({ id: question.id, label: question.id, max: getQuestionResult({}, question).max, question, isSubquestion: false });
+        if (subquestions.length === 0) leaves.push(question);
+    });
+
+    const { reconciliationTolerance } = getDoubleMarkingSettings(repository);
+    const warnings = { ungraded: 0, firstPassOnly: 0, unreconciled: 0, students: 0 };
+    const rows = (repository.studentSubmissions || []).map(student => {
+        const scores = {};
+        columns.forEach(column => { scores[column.id] = getQuestionResult(student, column.question).score; });
+
+        const grades = leaves.map(item => student.grades?.find(g => g.questionId === item.id));
+        const ungraded = grades.filter(g => g?.score === null || g?.score === undefined).length;
+        const firstPassOnly = grades.filter(g => g && g.score !== null && g.score !== undefined && (g.manualStatus || 0) === 1).length;
+        const unreconciled = grades.filter(g => needsReconciliation(g, reconciliationTolerance)).length;
+        const status = Math.min(...grades.map(g => g?.manualStatus || 0), 2);
+
+        let total = 0;
+        let max = 0;
+        repository.questions.forEach(question => {
+            const result = getQuestionResult(student, question);
+            total += result.score || 0;
+            max += result.max;
+        });
+
+        warnings.ungraded += ungraded;
+        warnings.firstPassOnly += firstPassOnly;
+        warnings.unreconciled += unreconciled;
+        if (ungraded > 0 || firstPassOnly > 0 || unreconciled > 0) warnings.students++;
+
+        return {
+            student,
+            scores,
+            total: +total.toFixed(2),
+            max,
+            percentage: max > 0 ? +(total / max * 100).toFixed(1) : 0,
+            status: leaves.length > 0 ? GRADING_STATUS_LABELS[status] : '',
+            ungraded,
+            firstPassOnly,
+            unreconciled
+        };
+    });
+
+    return { columns, rows, warnings };
+}
+
+/**
+ * Describes the export warnings of a gradebook, or returns null if everything is fully graded.
+ * @param {Object} gradebook - The result of buildGradebook.
+ * @returns {string|null}
+ */
+export function describeGradebookWarnings({ warnings }) {
+    if (warnings.students === 0) return null;
+    const parts = [];
+    if (warnings.ungraded > 0) parts.push(`${warnings.ungraded} ungraded item${warnings.ungraded === 1 ? '' : 's'}`);
+    if (warnings.firstPassOnly > 0) parts.push(`${warnings.firstPassOnly} item${warnings.firstPassOnly === 1 ? '' : 's'} graded in the first pass only`);
+    if (warnings.unreconciled > 0) parts.push(`${warnings.unreconciled} item${warnings.unreconciled === 1 ? '' : 's'} awaiting reconciliation`);
+    const list = parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+    return `${warnings.students} student${warnings.students === 1 ? ' has' : 's have'} ${list}.`;
+}
+
+// --- Export Layouts ---
+
+const splitName = name => {
+    const parts = String(name || '').trim().split(/\s+/);
+    return { first: parts.slice(0, -1).join(' ') || parts[0] || '', last: parts.length > 1 ? parts[parts.length - 1] : '' };
+};
+const formatCell = value => (value === null || value === undefined ? '' : value);
+
+/**
+ * Export layouts. Each builds a table (array of rows) from a gradebook.
+ * The LMS layouts carry the total as one grade column named after the exam, matched to students by
+ * their ID and email.
+ */
+export const GRADEBOOK_FORMATS = {
+    csv: {
+        label: 'CSV (all columns)',
+        extension: 'csv',
+        build: (gradebook) => [
+            ['Student', 'ID', 'Email', ...gradebook.columns.map(c => `${c.label} (${c.max})`), 'Total', 'Max', 'Percentage', 'Status', 'Ungraded items', 'First pass only'],
+            ...gradebook.rows.map(row => [
+                row.student.name, row.student.id, row.student.email || '',
+                ...gradebook.columns.map(c => formatCell(row.scores[c.id])),
+                row.total, row.max, row.percentage, row.status, row.ungraded, row.firstPassOnly
+            ])
+        ]
+    },
+    xlsx: {
+        label: 'Excel (all columns)',
+        extension: 'xlsx',
+        build: gradebook => GRADEBOOK_FORMATS.csv.build(gradebook)
+    },
+    canvas: {
+        label: 'Canvas grade import',
+        extension: 'csv',
+        build: (gradebook, repository) => [
+            ['Student', 'ID', 'SIS User ID', 'SIS Login ID', 'Section', repository.name],
+            ['Points Possible', '', '', '', '', gradebook.rows[0]?.max ?? ''],
+            ...gradebook.rows.map(row => [row.student.name, '', row.student.id, row.student.email || '', '', row.total])
+        ]
+    },
+    moodle: {
+        label: 'Moodle grade import',
+        extension: 'csv',
+        build: (gradebook, repository) => [
+            ['ID number', 'Email address', 'First name', 'Last name', repository.name],
+            ...gradebook.rows.map(row => {
+                const { first, last } = splitName(row.student.name);
+                return [row.student.id, row.student.email || '', first, last, row.total];
+            })
+        ]
+    },
+    blackboard: {
+        label: 'Blackboard grade center',
+        extension: 'csv',
+        build: (gradebook, repository) => [
+            ['Last Name', 'First Name', 'Username', 'Student ID', `${repository.name} [Total Pts: ${gradebook.rows[0]?.max ?? 0} Score]`],
+            ...gradebook.rows.map(row => {
+                const { first, last } = splitName(row.student.name);
+                return [last, first, row.student.email ? row.student.email.split('@')[0] : row.student.id, row.student.id, row.total];
+            })
+        ]
+    }
+};
+
+/**
+ * Serializes a table as CSV (RFC 4180 quoting).
+ * Text that a spreadsheet would run as a formula (starting with =, +, -, @, tab or carriage return,
+ * e.g. a student name) is prefixed with an apostrophe. Numbers are written as they are.
+ * @param {Array<Array>} table - The rows.
+ * @returns {string}
+ */
+export function toCsv(table) {
+    const escape = value => {
+        let text = String(value ?? '');
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return table.map(row => row.map(escape).join(',')).join('\r\n');
+}
+
+const escapeXml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    return name;
+}
+
+/**
+ * Builds a single-sheet XLSX workbook from a table. Numbers stay numbers; everything else is text.
+ * @param {Array<Array>} table - The rows.
+ * @param {string} [sheetName='Gradebook'] - The worksheet name.
+ * @returns {Promise<Blob>}
+ */
+export async function toXlsx(table, sheetName = 'Gradebook') {
+    const JSZip = window.JSZip;
+    if (!JSZip) throw new Error('The zip library is not loaded.');
+
+    const rowsXml = table.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => {
+        const ref = `${columnName(c)}${r + 1}`;
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+        if (value === null || value === undefined || value === '') return '';
+        return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+    }).join('')}</row>`).join('');
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>');
+    zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>');
+    zip.file('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>');
+    zip.file('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>');
+    zip.file('xl/worksheets/sheet1.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${rowsXml}</sheetData>`
+        + '</worksheet>');
+
+    return zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+/**
+ * Exports the gradebook of a repository in one of the GRADEBOOK_FORMATS and downloads it.
+ * @param {Object} repository - The repository.
+ * @param {string} format - A key of GRADEBOOK_FORMATS.
+ * @returns {Promise<void>}
+ */
+export async function exportGradebook(repository, format) {
+    const layout = GRADEBOOK_FORMATS[format];
+    if (!layout) throw new Error(`Unknown gradebook format '${format}'.`);
+
+    const table = layout.build(buildGradebook(repository), repository);
+    const blob = layout.extension === 'xlsx'
+        ? await toXlsx(table)
+        : new Blob(['\uFEFF', toCsv(table)], { type: 'text/csv;charset=utf-8' }); // BOM so Excel reads UTF-8
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${repository.id}-gradebook${format === 'csv' || format === 'xlsx' ? '' : `-${format}`}.${layout.extension}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// --- UI ---
+
+/**
+ * Renders the gradebook table (index.html dashboard).
+ * @param {Object|null} repository - The repository, or null for the empty state.
+ * @param {string} [containerId='gradebook-container'] - The container element ID.
+ */
+export function renderGradebook(repository, containerId = 'gradebook-container') {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    if (!repository || !repository.questions || repository.questions.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No grades to show.</p>';
+        return;
+    }
+
+    const gradebook = buildGradebook(repository);
+    const warning = describeGradebookWarnings(gradebook);
+    const headerCell = 'px-3 py-2 text-left text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase whitespace-nowrap';
+    const cell = 'px-3 py-1.5 whitespace-nowrap';
+    const statusClass = {
+        'Not reviewed': 'text-gray-500 dark:text-gray-400',
+        'First pass': 'text-amber-600 dark:text-amber-400',
+        'Second pass': 'text-green-600 dark:text-green-400'
+    };
+
+    container.innerHTML = `
+        ${warning ? `<p class="mb-3 flex items-center gap-2 text-sm text-amber-700 dark:text-amber-300"><span class="material-symbols-outlined text-base">warning</span>${warning}</p>` : ''}
+        <div class="overflow-auto max-h-96 border border-gray-200 dark:border-gray-700 rounded-lg">
+            <table class="min-w-full text-sm text-gray-800 dark:text-gray-200">
+                <thead class="bg-gray-50 dark:bg-gray-700/50 sticky top-0">
+                    <tr>
+                        <th class="${headerCell}">Student</th>
+                        ${gradebook.columns.map(c => `<th class="${headerCell} ${c.isSubquestion ? 'font-normal' : ''}" title="Max ${c.max}">${c.label}</th>`).join('')}
+                        <th class="${headerCell}">Total</th>
+                        <th class="${headerCell}">%</th>
+                        <th class="${headerCell}">Status</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200 dark:divide-gray-700"></tbody>
+            </table>
+        </div>
+    `;
+
+    const body = container.querySelector('tbody');
+    gradebook.rows.forEach(row => {
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td class="${cell} font-medium"></td>
+            ${gradebook.columns.map(c => {
+                const score = row.scores[c.id];
+                return `<td class="${cell} ${c.isSubquestion ? 'text-gray-500 dark:text-gray-400' : 'font-semibold'} ${score === null ? 'text-red-500' : ''}">${score === null ? '–' : score}</td>`;
+            }).join('')}
+            <td class="${cell} font-bold">${row.total} / ${row.max}</td>
+            <td class="${cell}">${row.percentage}%</td>
+            <td class="${cell} ${statusClass[row.status] || ''}">${row.status}${row.ungraded > 0 ? ` · ${row.ungraded} ungraded` : ''}</td>
+        `;
+        tr.firstElementChild.textContent = row.student.name;
+        body.appendChild(tr);
+    });
+}
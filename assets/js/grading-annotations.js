@@ -0,0 +1,561 @@
+import { saveRepositoryChange } from './repository-store.js';
+import { getCurrentGrader } from './grading-audit.js';
+import { getMarkPass, isMarkHiddenInBlindPass } from './reconciliation.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Freehand and shape annotations on student PDFs (grading.html).
+ *
+ * Marks are drawn on the `.page-overlay` of each page and kept in `appState.annotations`, one entry
+ * per mark:
+ *   { id, studentId, questionId, page, tool, color, points: [[x, y], ...], text?, pass, graderId }
+ * During a blind second pass the first pass's marks are not shown (see reconciliation.js).
+ * Points are percentages of the page (like answer regions), so marks stay in place at any zoom and
+ * in cropped views. Pen and highlighter strokes keep every point; underlines and rectangles keep
+ * their two ends; ticks, crosses and text stamps keep the point they were placed at.
+ *
+ * Undo/redo covers the marks drawn or erased since the current paper was opened. Marks of a
+ * question can be hidden (per repository, in this browser).
+ */
+
+export const ANNOTATION_TOOLS = {
+    pen: { label: 'Pen', icon: 'edit' },
+    highlighter: { label: 'Highlighter', icon: 'ink_highlighter' },
+    underline: { label: 'Underline', icon: 'format_underlined' },
+    tick: { label: 'Tick', icon: 'check' },
+    cross: { label: 'Cross', icon: 'close' },
+    rectangle: { label: 'Rectangle', icon: 'crop_square' },
+    stamp: { label: 'Text stamp', icon: 'approval' },
+    eraser: { label: 'Eraser', icon: 'ink_eraser' }
+};
+
+export const ANNOTATION_COLORS = ['#ef4444', '#3b82f6', '#22c55e', '#facc15'];
+
+export const STAMP_TEXTS = ['Good', 'See comment', 'Unclear', 'Incomplete', 'Check working'];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const HIDDEN_STORAGE_PREFIX = 'hiddenAnnotationQuestions:';
+const MIN_POINT_DISTANCE = 0.3; // Percent of the page between two recorded pen points
+
+// Stroke widths in screen pixels (strokes do not scale with the page)
+const STROKE_STYLES = {
+    pen: { width: 2.5, opacity: 1 },
+    highlighter: { width: 14, opacity: 0.35 },
+    underline: { width: 2.5, opacity: 1 },
+    rectangle: { width: 2.5, opacity: 1 }
+};
+
+let currentTarget = { studentId: null, questionId: null };
+let activeTool = null;
+let activeColor = ANNOTATION_COLORS[0];
+let stampText = STAMP_TEXTS[0];
+let undoStack = [];
+let redoStack = [];
+
+const round = value => Math.round(value * 100) / 100;
+const clamp = value => Math.min(Math.max(value, 0), 100);
+
+function getAnnotations() {
+    const appState = window.currentRepository.appState;
+    if (!appState.annotations) appState.annotations = [];
+    return appState.annotations;
+}
+
+/**
+ * Returns the marks on the current paper the grader may see.
+ */
+function getPaperAnnotations() {
+    const repository = window.currentRepository;
+    const student = repository.studentSubmissions.find(s => s.id === currentTarget.studentId);
+    return getAnnotations().filter(a => a.studentId === currentTarget.studentId && !isMarkHiddenInBlindPass(repository, student, a));
+}
+
+// --- Visibility ---
+
+const hiddenStorageKey = () => `${HIDDEN_STORAGE_PREFIX}${window.currentRepository?.id}`;
+
+function loadHiddenQuestions() {
+    try {
+        return new Set(JSON.parse(localStorage.getItem(hiddenStorageKey()) || '[]'));
+    } catch (error) {
+        return new Set();
+    }
+}
+
+/**
+ * Shows or hides the marks of a question.
+ * @param {string} questionId - The question.
+ * @param {boolean} visible - Whether its marks are shown.
+ */
+export function setAnnotationQuestionVisible(questionId, visible) {
+    const hidden = loadHiddenQuestions();
+    if (visible) hidden.delete(questionId);
+    else hidden.add(questionId);
+    localStorage.setItem(hiddenStorageKey(), JSON.stringify([...hidden]));
+    redrawAnnotations();
+}
+
+// --- Storage ---
+
+/**
+ * Adds a mark to the repository and draws it.
+ * @param {Object} annotation - The mark.
+ * @param {Object} [options]
+ * @param {boolean} [options.record=true] - Add the change to the undo history.
+ */
+function addAnnotation(annotation, { record = true } = {}) {
+    if (!window.currentRepository) return;
+    getAnnotations().push(annotation);
+    saveRepositoryChange(window.currentRepository.id, {
+        op: 'set',
+        path: ['appState', 'annotations', { id: annotation.id }],
+        value: annotation
+    }).catch(error => console.error('[Annotations] Failed to save annotation:', error));
+
+    if (record) {
+        undoStack.push({ type: 'add', annotation });
+        redoStack = [];
+    }
+    redrawAnnotations();
+}
+
+/**
+ * Removes a mark from the repository.
+ * @param {Object} annotation - The mark.
+ * @param {Object} [options]
+ * @param {boolean} [options.record=true] - Add the change to the undo history.
+ */
+function removeAnnotation(annotation, { record = true } = {}) {
+    if (!window.currentRepository) return;
+    const annotations = getAnnotations();
+    const index = annotations.findIndex(a => a.id === annotation.id);
+    if (index === -1) return;
+    annotations.splice(index, 1);
+    saveRepositoryChange(window.currentRepository.id, {
+        op: 'remove',
+        path: ['appState', 'annotations', { id: annotation.id }]
+    }).catch(error => console.error('[Annotations] Failed to remove annotation:', error));
+
+    if (record) {
+        undoStack.push({ type: 'remove', annotation });
+        redoStack = [];
+    }
+    redrawAnnotations();
+}
+
+/**
+ * Reverts the last mark drawn or erased on the current paper.
+ */
+export function undoAnnotation() {
+    const change = undoStack.pop();
+    if (!change) return;
+    if (change.type === 'add') removeAnnotation(change.annotation, { record: false });
+    else addAnnotation(change.annotation, { record: false });
+    redoStack.push(change);
+    updateAnnotationToolbar();
+}
+
+/**
+ * Repeats the last undone change.
+ */
+export function redoAnnotation() {
+    const change = redoStack.pop();
+    if (!change) return;
+    if (change.type === 'add') addAnnotation(change.annotation, { record: false });
+    else removeAnnotation(change.annotation, { record: false });
+    undoStack.push(change);
+    updateAnnotationToolbar();
+}
+
+// --- Drawing ---
+
+function createSvgElement(name, attributes) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+}
+
+/**
+ * Creates the element showing a mark on a page layer.
+ */
+function drawAnnotation(layer, annotation) {
+    const { tool, color, points } = annotation;
+    let el;
+
+    if (tool === 'tick' || tool === 'cross' || tool === 'stamp') {
+        el = document.createElement('div');
+        el.className = 'annotation-mark absolute -translate-x-1/2 -translate-y-1/2 select-none';
+        el.style.left = `${points[0][0]}%`;
+        el.style.top = `${points[0][1]}%`;
+        el.style.color = color;
+        if (tool === 'stamp') {
+            el.className += ' px-2 py-0.5 border-2 rounded-md text-xs font-bold uppercase tracking-wide whitespace-nowrap bg-white/70';
+            el.style.borderColor = color;
+            el.textContent = annotation.text;
+        } else {
+            el.innerHTML = `<span class="material-symbols-outlined text-3xl font-bold">${tool === 'tick' ? 'check' : 'close'}</span>`;
+        }
+        layer.appendChild(el);
+    } else {
+        const style = STROKE_STYLES[tool];
+        const common = {
+            fill: 'none',
+            stroke: color,
+            'stroke-width': style.width,
+            'stroke-opacity': style.opacity,
+            'stroke-linecap': 'round',
+            'stroke-linejoin': 'round',
+            'vector-effect': 'non-scaling-stroke'
+        };
+        if (tool === 'rectangle') {
+            const [[x1, y1], [x2, y2]] = points;
+            el = createSvgElement('rect', { ...common, x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) });
+        } else {
+            el = createSvgElement('path', { ...common, d: points.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x} ${y}`).join(' ') });
+        }
+        el.classList.add('annotation-mark');
+        layer.querySelector('svg').appendChild(el);
+    }
+
+    el.dataset.annotationId = annotation.id;
+    return el;
+}
+
+/**
+ * Works out the points of a mark from the pointer positions of a gesture.
+ */
+function gesturePoints(tool, start, current, trail) {
+    if (tool === 'pen' || tool === 'highlighter') return trail;
+    if (tool === 'underline') return [start, [current[0], start[1]]]; // Always horizontal
+    if (tool === 'rectangle') return [start, current];
+    return [start];
+}
+
+function pointFromEvent(layer, e) {
+    const rect = layer.getBoundingClientRect();
+    return [round(clamp((e.clientX - rect.left) / rect.width * 100)), round(clamp((e.clientY - rect.top) / rect.height * 100))];
+}
+
+/**
+ * Lets the grader draw on a page layer with the active tool.
+ */
+function attachDrawing(layer, page) {
+    let gesture = null;
+
+    const eraseAt = (e) => {
+        const mark = e.target.closest('[data-annotation-id]');
+        const annotation = mark && getAnnotations().find(a => a.id === mark.dataset.annotationId);
+        if (annotation) removeAnnotation(annotation);
+    };
+
+    layer.addEventListener('pointerdown', (e) => {
+        if (!activeTool || e.button !== 0 || !currentTarget.studentId) return;
+        e.preventDefault();
+        if (activeTool === 'eraser') {
+            gesture = { tool: 'eraser' };
+            eraseAt(e);
+            return;
+        }
+
+        const start = pointFromEvent(layer, e);
+        gesture = {
+            tool: activeTool,
+            start,
+            trail: [start],
+            preview: null
+        };
+        layer.setPointerCapture(e.pointerId);
+    });
+
+    layer.addEventListener('pointermove', (e) => {
+        if (!gesture) return;
+        if (gesture.tool === 'eraser') {
+            if (e.buttons & 1) eraseAt(e);
+            else gesture = null; // Released outside this page
+            return;
+        }
+        if (gesture.tool === 'tick' || gesture.tool === 'cross' || gesture.tool === 'stamp') return;
+
+        const point = pointFromEvent(layer, e);
+        const last = gesture.trail[gesture.trail.length - 1];
+        if (Math.hypot(point[0] - last[0], point[1] - last[1]) < MIN_POINT_DISTANCE) return;
+        gesture.trail.push(point);
+        gesture.current = point;
+
+        if (gesture.preview) gesture.preview.remove();
+        gesture.preview = drawAnnotation(layer, {
+            id: 'preview',
+            tool: gesture.tool,
+            color: activeColor,
+            points: gesturePoints(gesture.tool, gesture.start, point, gesture.trail)
+        });
+    });
+
+    const finish = (e) => {
+        if (!gesture) return;
+        const { tool, start, trail, preview } = gesture;
+        gesture = null;
+        if (tool === 'eraser') return;
+        if (preview) preview.remove();
+
+        const current = pointFromEvent(layer, e);
+        const points = gesturePoints(tool, start, current, trail.length > 1 ? [...trail, current] : trail);
+        // A click with a stroke tool draws nothing
+        if ((tool === 'underline' || tool === 'rectangle') && Math.hypot(current[0] - start[0], current[1] - start[1]) < 1) return;
+        if ((tool === 'pen' || tool === 'highlighter') && points.length < 2) return;
+
+        const annotation = {
+            id: `ann_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            studentId: currentTarget.studentId,
+            questionId: currentTarget.questionId,
+            page,
+            tool,
+            color: activeColor,
+            points,
+            pass: getMarkPass(window.currentRepository, window.currentRepository.studentSubmissions.find(s => s.id === currentTarget.studentId), currentTarget.questionId),
+            graderId: getCurrentGrader(window.currentRepository)?.id ?? null
+        };
+        if (tool === 'stamp') annotation.text = stampText;
+
+        // Drawing for a hidden question shows its marks again
+        if (loadHiddenQuestions().has(currentTarget.questionId)) setAnnotationQuestionVisible(currentTarget.questionId, true);
+        addAnnotation(annotation);
+        updateAnnotationToolbar();
+    };
+
+    layer.addEventListener('pointerup', finish);
+    layer.addEventListener('pointercancel', () => {
+        if (gesture?.preview) gesture.preview.remove();
+        gesture = null;
+    });
+}
+
+/**
+ * Returns the annotation layer of a page overlay, creating it on first use. It sits below the
+ * checkpoints and comments of the overlay.
+ */
+function getLayer(pageOverlay) {
+    let layer = pageOverlay.querySelector('.annotation-layer');
+    if (layer) return layer;
+
+    layer = document.createElement('div');
+    layer.className = 'annotation-layer absolute inset-0';
+    layer.appendChild(createSvgElement('svg', {
+        class: 'absolute inset-0 w-full h-full overflow-visible',
+        viewBox: '0 0 100 100',
+        preserveAspectRatio: 'none'
+    }));
+    attachDrawing(layer, parseInt(pageOverlay.dataset.pageNumber, 10));
+    pageOverlay.prepend(layer);
+    return layer;
+}
+
+/**
+ * Limits a layer to the visible part of a cropped page, so it neither shows marks nor catches the
+ * pointer outside the answer region.
+ */
+function clipLayerToPage(layer, pageOverlay) {
+    const wrapper = pageOverlay.closest('.page-wrapper');
+    if (!wrapper?.dataset.cropped) {
+        layer.style.clipPath = '';
+        return;
+    }
+    const page = pageOverlay.getBoundingClientRect();
+    const visible = wrapper.getBoundingClientRect();
+    const inset = [
+        (visible.top - page.top) / page.height,
+        (page.right - visible.right) / page.width,
+        (page.bottom - visible.bottom) / page.height,
+        (visible.left - page.left) / page.width
+    ];
+    layer.style.clipPath = `inset(${inset.map(value => `${round(value * 100)}%`).join(' ')})`;
+}
+
+/**
+ * Redraws the marks of the current paper on every shown page.
+ */
+function redrawAnnotations() {
+    const container = document.getElementById('pdf-page-container');
+    if (!container || !window.currentRepository) return;
+
+    const hidden = loadHiddenQuestions();
+    const marks = getPaperAnnotations().filter(a => !hidden.has(a.questionId));
+
+    container.querySelectorAll('.page-overlay').forEach(pageOverlay => {
+        const layer = getLayer(pageOverlay);
+        clipLayerToPage(layer, pageOverlay);
+        layer.querySelectorAll('.annotation-mark').forEach(el => el.remove());
+        layer.classList.toggle('pointer-events-auto', Boolean(activeTool));
+        layer.classList.toggle('cursor-crosshair', Boolean(activeTool) && activeTool !== 'eraser');
+        layer.classList.toggle('cursor-cell', activeTool === 'eraser');
+
+        const page = parseInt(pageOverlay.dataset.pageNumber, 10);
+        marks.filter(a => a.page === page).forEach(annotation => drawAnnotation(layer, annotation));
+    });
+}
+
+/**
+ * Shows the marks of a student's paper. Call after the PDF of the student was rendered.
+ * Opening another student or question starts a new undo history.
+ * @param {string} studentId - The student.
+ * @param {string} questionId - The question being graded; new marks belong to it.
+ */
+export function renderAnnotations(studentId, questionId) {
+    if (currentTarget.studentId !== studentId || currentTarget.questionId !== questionId) {
+        undoStack = [];
+        redoStack = [];
+    }
+    currentTarget = { studentId, questionId };
+    document.getElementById('annotation-toolbar')?.classList.remove('hidden');
+    redrawAnnotations();
+    updateAnnotationToolbar();
+}
+
+// --- Toolbar ---
+
+/**
+ * Selects a drawing tool.
+ * @param {string|null} tool - A key of ANNOTATION_TOOLS, or null to stop drawing.
+ */
+export function setAnnotationTool(tool) {
+    activeTool = tool && ANNOTATION_TOOLS[tool] ? tool : null;
+    redrawAnnotations();
+    updateAnnotationToolbar();
+}
+
+/**
+ * Lists the questions with marks on the current paper, plus the current question.
+ */
+function renderVisibilityMenu() {
+    const menu = document.getElementById('annotation-visibility-menu');
+    if (!menu || !window.currentRepository) return;
+
+    const marks = getPaperAnnotations();
+    const questionIds = [...new Set([currentTarget.questionId, ...marks.map(a => a.questionId)])].filter(Boolean);
+    const hidden = loadHiddenQuestions();
+
+    menu.innerHTML = '<p class="px-2 pb-1 text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Show marks for</p>';
+    questionIds.forEach(questionId => {
+        const count = marks.filter(a => a.questionId === questionId).length;
+        const row = document.createElement('label');
+        row.className = 'flex items-center gap-2 px-2 py-1 rounded text-sm text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700 cursor-pointer';
+        row.innerHTML = `
+            <input type="checkbox" class="form-checkbox rounded text-primary focus:ring-primary" ${hidden.has(questionId) ? '' : 'checked'}>
+            <span class="flex-1">${escapeHtml(questionId)}</span>
+            <span class="text-xs text-gray-400">${count}</span>
+        `;
+        row.querySelector('input').addEventListener('change', (e) => {
+            setAnnotationQuestionVisible(questionId, e.target.checked);
+            updateAnnotationToolbar();
+        });
+        menu.appendChild(row);
+    });
+}
+
+/**
+ * Updates the toolbar buttons: the active tool and color, undo/redo, visibility.
+ */
+function updateAnnotationToolbar() {
+    const toolbar = document.getElementById('annotation-toolbar');
+    if (!toolbar) return;
+
+    toolbar.querySelectorAll('[data-annotation-tool]').forEach(btn => {
+        const isActive = btn.dataset.annotationTool === activeTool;
+        btn.classList.toggle('bg-primary/20', isActive);
+        btn.classList.toggle('text-primary', isActive);
+    });
+    toolbar.querySelectorAll('[data-annotation-color]').forEach(btn => {
+        btn.classList.toggle('ring-2', btn.dataset.annotationColor === activeColor);
+    });
+    document.getElementById('annotation-stamp-text')?.classList.toggle('hidden', activeTool !== 'stamp');
+    document.getElementById('annotation-undo-btn').disabled = undoStack.length === 0;
+    document.getElementById('annotation-redo-btn').disabled = redoStack.length === 0;
+
+    const hidden = window.currentRepository && loadHiddenQuestions().has(currentTarget.questionId);
+    const visibilityIcon = document.querySelector('#annotation-visibility-btn .material-symbols-outlined');
+    if (visibilityIcon) visibilityIcon.textContent = hidden ? 'visibility_off' : 'visibility';
+    renderVisibilityMenu();
+}
+
+/**
+ * Builds the drawing toolbar and wires up its shortcuts (Ctrl+Z, Ctrl+Shift+Z / Ctrl+Y, Escape).
+ * Call once after the DOM is ready.
+ */
+export function initializeAnnotations() {
+    const toolbar = document.getElementById('annotation-toolbar');
+    if (!toolbar) return;
+
+    const buttonClass = 'p-1.5 rounded-md text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors flex items-center';
+    const toolsContainer = document.getElementById('annotation-tools');
+    Object.entries(ANNOTATION_TOOLS).forEach(([tool, { label, icon }]) => {
+        const btn = document.createElement('button');
+        btn.className = buttonClass;
+        btn.title = label;
+        btn.dataset.annotationTool = tool;
+        btn.innerHTML = `<span class="material-symbols-outlined text-base">${icon}</span>`;
+        btn.addEventListener('click', () => setAnnotationTool(activeTool === tool ? null : tool));
+        toolsContainer.appendChild(btn);
+    });
+
+    const colorsContainer = document.getElementById('annotation-colors');
+    ANNOTATION_COLORS.forEach(color => {
+        const btn = document.createElement('button');
+        btn.className = 'w-4 h-4 rounded-full ring-offset-1 ring-primary dark:ring-offset-gray-800';
+        btn.style.backgroundColor = color;
+        btn.title = 'Ink color';
+        btn.dataset.annotationColor = color;
+        btn.addEventListener('click', () => {
+            activeColor = color;
+            updateAnnotationToolbar();
+        });
+        colorsContainer.appendChild(btn);
+    });
+
+    const stampSelect = document.getElementById('annotation-stamp-text');
+    stampSelect.innerHTML = [...STAMP_TEXTS, 'Custom…'].map(text => `<option value="${text}">${text}</option>`).join('');
+    stampSelect.addEventListener('change', () => {
+        if (stampSelect.selectedIndex === STAMP_TEXTS.length) {
+            const text = prompt('Stamp text:', stampText);
+            if (text && text.trim()) {
+                stampText = text.trim();
+                const option = stampSelect.options[stampSelect.selectedIndex];
+                option.value = stampText;
+                option.textContent = stampText;
+            } else {
+                stampSelect.value = stampText;
+            }
+        } else {
+            stampText = stampSelect.value;
+        }
+    });
+
+    document.getElementById('annotation-undo-btn').addEventListener('click', undoAnnotation);
+    document.getElementById('annotation-redo-btn').addEventListener('click', redoAnnotation);
+
+    const visibilityMenu = document.getElementById('annotation-visibility-menu');
+    document.getElementById('annotation-visibility-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        renderVisibilityMenu();
+        visibilityMenu.classList.toggle('hidden');
+    });
+    document.addEventListener('click', (e) => {
+        if (!visibilityMenu.contains(e.target)) visibilityMenu.classList.add('hidden');
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && key === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) redoAnnotation();
+            else undoAnnotation();
+        } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+            e.preventDefault();
+            redoAnnotation();
+        } else if (e.key === 'Escape' && activeTool) {
+            setAnnotationTool(null);
+        }
+    });
+
+    updateAnnotationToolbar();
+}
@@ -0,0 +1,289 @@
+import { saveRepositoryChange } from './repository-store.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Grader identity and grade audit trail (grading.html).
+ *
+ * At the start of a grading session the grader picks who they are from the TAs in
+ * `appState.taskAllocation.tas`; the choice lasts for the browser tab (sessionStorage).
+ *
+ * Every change to a grade is appended to `appState.auditLog` and never edited afterwards:
+ * `{ id, timestamp, graderId, graderName, studentId, questionId, type, pass?, oldValue, newValue }`
+ * where `type` is one of GRADE_EVENT_TYPES. Score and comment inputs change on every keystroke, so
+ * consecutive edits of the same field are merged into one event once the grader pauses.
+ */
+
+export const GRADE_EVENT_TYPES = {
+    score: 'Score',
+    comment: 'Comment',
+    status: 'Status',
+    finalize: 'Finalized',
+    reconcile: 'Reconciled'
+};
+
+const STATUS_LABELS = ['Not graded', 'First pass', 'Second pass'];
+const GRADER_STORAGE_PREFIX = 'grader:';
+const MERGE_DELAY = 2000; // ms without typing before an edit is recorded
+
+const pendingEvents = new Map(); // `${studentId}|${questionId}|${type}` -> { repository, event, timer }
+
+// --- Grader identity ---
+
+/**
+ * Returns the TAs who can grade the repository.
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function getGraders(repository) {
+    return repository?.appState?.taskAllocation?.tas || [];
+}
+
+/**
+ * Returns the grader of this session, or null if none has been chosen.
+ * @returns {{id: string, name: string}|null}
+ */
+export function getCurrentGrader(repository) {
+    if (!repository) return null;
+    const graderId = sessionStorage.getItem(GRADER_STORAGE_PREFIX + repository.id);
+    return getGraders(repository).find(ta => ta.id === graderId) || null;
+}
+
+/**
+ * Sets the grader of this session.
+ * @param {Object} repository - The repository.
+ * @param {string} graderId - The TA id.
+ */
+export function setCurrentGrader(repository, graderId) {
+    sessionStorage.setItem(GRADER_STORAGE_PREFIX + repository.id, graderId);
+    renderGraderIdentity(repository);
+}
+
+// --- Events ---
+
+/**
+ * Records a change to a grade. Score and comment edits are merged with the pending edit of the same
+ * field; status changes and finalizing are recorded right away.
+ * @param {Object} repository - The repository.
+ * @param {Object} change
+ * @param {string} change.studentId - The student.
+ * @param {string} change.questionId - The question (or subquestion).
+ * @param {string} change.type - A key of GRADE_EVENT_TYPES.
+ * @param {string} [change.pass] - 'first' or 'second' for scores.
+ * @param {*} change.oldValue - The value before the change.
+ * @param {*} change.newValue - The value after the change.
+ */
+export function recordGradeEvent(repository, { studentId, questionId, type, pass, oldValue, newValue }) {
+    if (!repository) return;
+    const key = `${studentId}|${questionId}|${type}`;
+    const pending = pendingEvents.get(key);
+
+    if (pending) {
+        clearTimeout(pending.timer);
+        pending.event.newValue = newValue;
+        pending.event.timestamp = new Date().toISOString();
+        pending.timer = setTimeout(() => flushGradeEvent(key), MERGE_DELAY);
+        return;
+    }
+
+    const grader = getCurrentGrader(repository);
+    const event = {
+        id: `evt_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+        timestamp: new Date().toISOString(),
+        graderId: grader?.id ?? null,
+        graderName: grader?.name ?? null,
+        studentId,
+        questionId,
+        type,
+        ...(pass ? { pass } : {}),
+        oldValue: oldValue ?? null,
+        newValue: newValue ?? null
+    };
+
+    if (type === 'score' || type === 'comment') {
+        pendingEvents.set(key, { repository, event, timer: setTimeout(() => flushGradeEvent(key), MERGE_DELAY) });
+    } else {
+        // Keep the log in order: edits typed before finalizing come first
+        flushGradeEvents();
+        appendEvent(repository, event);
+    }
+}
+
+/**
+ * Records all pending edits now (e.g. before the page is left).
+ */
+export function flushGradeEvents() {
+    [...pendingEvents.keys()].forEach(flushGradeEvent);
+}
+
+function flushGradeEvent(key) {
+    const pending = pendingEvents.get(key);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingEvents.delete(key);
+    // Typing and deleting again is not a change
+    if (pending.event.oldValue === pending.event.newValue) return;
+    appendEvent(pending.repository, pending.event);
+}
+
+function appendEvent(repository, event) {
+    if (!repository.appState.auditLog) repository.appState.auditLog = [];
+    repository.appState.auditLog.push(event);
+    saveRepositoryChange(repository.id, { op: 'insert', path: ['appState', 'auditLog'], value: event })
+        .catch(error => console.error('[GradingAudit] Failed to save grade event:', error));
+}
+
+/**
+ * Returns the recorded events of a grade, oldest first.
+ */
+export function getGradeEvents(repository, studentId, questionId) {
+    return (repository?.appState?.auditLog || []).filter(e => e.studentId === studentId && e.questionId === questionId);
+}
+
+/**
+ * Summarizes a grade per pass: the AI suggestion, and the score, grader and time of the first and
+ * second manual pass.
+ * @returns {{ai: Object, first: Object, second: Object}} Each with `score` and, for the manual passes,
+ *   `graderId`, `graderName` and `timestamp` of the last score event of that pass (null if unknown).
+ */
+export function summarizeGradePasses(repository, student, questionId) {
+    const grade = student?.grades?.find(g => g.questionId === questionId) || {};
+    const events = getGradeEvents(repository, student?.id, questionId);
+    const pass = (name) => {
+        const last = [...events].reverse().find(e => e.type === 'score' && e.pass === name);
+        return {
+            score: grade.passScores?.[name] ?? null,
+            graderId: last?.graderId ?? null,
+            graderName: last?.graderName ?? null,
+            timestamp: last?.timestamp ?? null
+        };
+    };
+    return {
+        ai: { score: grade.aiSuggestedScore ?? null, confidence: grade.confidence ?? null },
+        first: pass('first'),
+        second: pass('second')
+    };
+}
+
+/**
+ * Returns who did the first pass of a grade: the grader who finalized it, or else the grader of its
+ * last first-pass score.
+ * @returns {string|null} The TA id, or null if unknown.
+ */
+export function getFirstPassGraderId(repository, student, questionId) {
+    const finalized = getGradeEvents(repository, student?.id, questionId)
+        .filter(e => (e.type === 'finalize' || e.type === 'status') && e.oldValue === 0 && e.newValue === 1)
+        .pop();
+    return finalized?.graderId ?? summarizeGradePasses(repository, student, questionId).first.graderId;
+}
+
+// --- UI ---
+
+function formatTimestamp(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : '';
+}
+
+function formatValue(type, value) {
+    if (value === null || value === undefined || value === '') return '–';
+    if (type === 'status' || type === 'finalize') return STATUS_LABELS[value] || `Pass ${value}`;
+    if (type === 'comment') return `“${escapeHtml(String(value).length > 60 ? `${String(value).slice(0, 60)}…` : String(value))}”`;
+    return String(value);
+}
+
+/**
+ * Renders the history of a grade into a (popover) element: the AI suggestion and both manual passes
+ * side by side, then every recorded change, newest first.
+ * @param {HTMLElement} container - Where to render.
+ * @param {Object} repository - The repository.
+ * @param {Object} student - The student submission.
+ * @param {string} questionId - The question (or subquestion).
+ */
+export function renderGradeHistory(container, repository, student, questionId) {
+    flushGradeEvents();
+    const passes = summarizeGradePasses(repository, student, questionId);
+    const events = getGradeEvents(repository, student.id, questionId).slice().reverse();
+    const column = (title, score, detail) => `
+        <div class="flex-1 rounded bg-gray-800/60 border border-gray-700 p-2 text-center">
+            <div class="text-[10px] text-gray-400 font-bold uppercase tracking-wider">${title}</div>
+            <div class="text-base font-bold text-gray-100">${score ?? '–'}</div>
+            <div class="text-[10px] text-gray-400 truncate">${detail}</div>
+        </div>`;
+    const passDetail = (p) => p.graderName ? `${escapeHtml(p.graderName)} · ${formatTimestamp(p.timestamp)}` : (p.timestamp ? formatTimestamp(p.timestamp) : '&nbsp;');
+
+    container.innerHTML = `
+        <div class="flex gap-2 mb-3">
+            ${column('AI Sugg.', passes.ai.score, passes.ai.confidence !== null ? `${passes.ai.confidence}% conf.` : '&nbsp;')}
+            ${column('1st Pass', passes.first.score, passDetail(passes.first))}
+            ${column('2nd Pass', passes.second.score, passDetail(passes.second))}
+        </div>
+        ${events.length === 0 ? '<p class="text-xs text-gray-400">No recorded changes.</p>' : `
+        <ul class="space-y-1 max-h-48 overflow-y-auto text-xs">
+            ${events.map(e => `
+                <li class="flex gap-2 text-gray-300">
+                    <span class="text-gray-500 whitespace-nowrap">${formatTimestamp(e.timestamp)}</span>
+                    <span class="font-semibold whitespace-nowrap">${escapeHtml(e.graderName || 'Unknown grader')}</span>
+                    <span class="min-w-0">${GRADE_EVENT_TYPES[e.type] || e.type}${e.pass ? ` (${e.pass} pass)` : ''}: ${formatValue(e.type, e.oldValue)} → ${formatValue(e.type, e.newValue)}</span>
+                </li>`).join('')}
+        </ul>`}
+    `;
+}
+
+/**
+ * Shows the current grader in #grader-identity.
+ */
+function renderGraderIdentity(repository) {
+    const label = document.getElementById('grader-identity-name');
+    if (!label) return;
+    const grader = getCurrentGrader(repository);
+    label.textContent = grader ? grader.name : (getGraders(repository).length > 0 ? 'Choose grader' : 'Unknown grader');
+}
+
+/**
+ * Opens the grader picker (#grader-picker-modal).
+ * @param {Object} repository - The repository.
+ * @param {Object} [options]
+ * @param {boolean} [options.required=false] - No grader has been chosen yet: the picker cannot be dismissed.
+ */
+export function openGraderPicker(repository, { required = false } = {}) {
+    const modal = document.getElementById('grader-picker-modal');
+    const list = document.getElementById('grader-picker-list');
+    if (!modal || !list) return;
+    const current = getCurrentGrader(repository);
+
+    list.innerHTML = '';
+    getGraders(repository).forEach(ta => {
+        const button = document.createElement('button');
+        button.className = `w-full flex items-center gap-2 px-3 py-2 rounded-md text-sm text-left hover:bg-gray-100 dark:hover:bg-gray-700 ${ta.id === current?.id ? 'bg-primary/10 text-primary font-semibold' : ''}`;
+        button.innerHTML = `<span class="material-symbols-outlined text-base">person</span><span></span>`;
+        button.lastElementChild.textContent = ta.name;
+        button.addEventListener('click', () => {
+            flushGradeEvents(); // Pending edits belong to the previous grader
+            setCurrentGrader(repository, ta.id);
+            modal.classList.add('hidden');
+        });
+        list.appendChild(button);
+    });
+
+    document.getElementById('close-grader-picker-btn').classList.toggle('hidden', required);
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Shows the grader of this session and asks for one if none has been chosen.
+ * @param {Object} repository - The repository.
+ */
+export function initializeGraderIdentity(repository) {
+    renderGraderIdentity(repository);
+    const switchButton = document.getElementById('grader-identity');
+    if (switchButton) switchButton.addEventListener('click', () => openGraderPicker(repository));
+    const closeButton = document.getElementById('close-grader-picker-btn');
+    if (closeButton) closeButton.addEventListener('click', () => document.getElementById('grader-picker-modal').classList.add('hidden'));
+
+    window.addEventListener('pagehide', flushGradeEvents);
+
+    if (!getCurrentGrader(repository)) {
+        if (getGraders(repository).length > 0) {
+            openGraderPicker(repository, { required: true });
+        } else {
+            console.warn('[GradingAudit] The repository has no TAs; grade events are recorded without a grader.');
+        }
+    }
+}
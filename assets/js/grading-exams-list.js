@@ -1,4 +1,6 @@
 import { determineCategory } from './grading-logic.js';
+import { saveRepositoryChange } from './repository-store.js';
+import { recordGradeEvent } from './grading-audit.js';
 
 /**
  * Renders the Student Exams List and populates filters.
@@ -315,6 +317,8 @@ function createExamListItem(taskName, confidence, category, container, studentNa
     const item = document.createElement('div');
     item.className = `completion-checklist-item relative py-0 px-0 rounded-lg transition duration-200 font-medium hover:bg-gray-100 dark:hover:bg-gray-700/50 hover:text-primary dark:hover:text-primary-light text-gray-500 dark:text-gray-400 cursor-pointer`;
     item.dataset.status = category; // Store category for potential sorting
+    item.dataset.studentName = studentName;
+    item.dataset.questionId = questionId;
 
     // Check if this item is the currently selected one
     const currentExamTitle = document.getElementById('exam-title');
@@ -395,13 +399,17 @@ function createExamListItem(taskName, confidence, category, container, studentNa
  * @param {string} questionId - The question ID.
  * @param {number} status - The new status (0, 1, or 2).
  * @param {Function} onRenderComplete - Callback to re-attach listeners.
+ * @param {Object} [options]
+ * @param {string} [options.eventType='status'] - How the change is recorded in the audit trail ('status' or 'finalize').
  */
-export function updateManualGradingStatus(repository, studentName, questionId, status, onRenderComplete) {
+export function updateManualGradingStatus(repository, studentName, questionId, status, onRenderComplete, { eventType = 'status' } = {}) {
     if (!repository) return;
 
     const student = repository.studentSubmissions.find(s => s.name === studentName);
     if (!student) return;
 
+    const changedGrades = [];
+
     // Helper to set status for a single question
     const setStatus = (qId, newStatus) => {
         let gradeData = student.grades.find(g => g.questionId === qId);
@@ -410,7 +418,13 @@ export function updateManualGradingStatus(repository, studentName, questionId, s
             gradeData = { questionId: qId, confidence: 0, aiSuggestedScore: 0 }; // Defaults
             student.grades.push(gradeData);
         }
+        const oldStatus = gradeData.manualStatus || 0;
         gradeData.manualStatus = newStatus;
+        changedGrades.push(gradeData);
+        // Finalizing is recorded even if the status does not change
+        if (oldStatus !== newStatus || eventType === 'finalize') {
+            recordGradeEvent(repository, { studentId: student.id, questionId: qId, type: eventType, oldValue: oldStatus, newValue: newStatus });
+        }
     };
 
     const question = repository.questions.find(q => q.id === questionId);
@@ -423,10 +437,14 @@ export function updateManualGradingStatus(repository, studentName, questionId, s
         setStatus(questionId, status);
     }
 
-    // Save to session storage (handled by caller or helper?)
-    // Let's assume the caller handles saving or we do it here.
-    // Ideally, we should have a save helper.
-    sessionStorage.setItem('currentRepository', JSON.stringify(repository));
+    // Save each grade on its own, so grades changed in another tab in the meantime are kept
+    changedGrades.forEach(gradeData => {
+        saveRepositoryChange(repository.id, {
+            op: 'set',
+            path: ['studentSubmissions', { id: student.id }, 'grades', { questionId: gradeData.questionId }],
+            value: gradeData
+        }).catch(error => console.error('[ExamsList] Failed to save grading status:', error));
+    });
 
     // Re-render
     renderStudentExamsList(repository, onRenderComplete);
@@ -443,23 +461,12 @@ export function populateRubrics(repository) {
     if (rubricSelector && repository) {
         rubricSelector.innerHTML = ''; // Clear hardcoded options
 
-        let hasRubrics = false;
         if (repository.rubrics && repository.rubrics.length > 0) {
-            hasRubrics = true;
             repository.rubrics.forEach(rubric => {
                 rubricSelector.add(new Option(rubric.name, rubric.url));
             });
-        }
-
-        // FALLBACK: If JSON has no rubrics (like testing-exam.json), 
-        // but we know it's the "Testing Exam", inject the correct PDF manually.
-        if (!hasRubrics) {
-            if (repository.id === 'testing-exam') {
-                rubricSelector.add(new Option('Testing Exam Rubric', 'assets/rubric/Testing_exam_rubric.pdf'));
-            } else {
-                // Default generic fallback
-                rubricSelector.add(new Option('General Exam Rubric', 'assets/rubric/general-rubric.pdf'));
-            }
+        } else {
+            rubricSelector.add(new Option('No rubrics available', ''));
         }
     }
 
@@ -0,0 +1,257 @@
+import {
+    getCurrentGradingTarget, getCheckpointCount, getSelectedCheckpointIndex, selectCheckpoint,
+    setCheckpointScore, acceptAiSuggestion, toggleCheckpointComment, finalizeCurrentGrade
+} from './grading-view.js';
+import { isGradingQueueActive, stepGradingQueue, skipQueueItem, toggleQueueFlag } from './grading-queue.js';
+
+/**
+ * Keyboard-driven grading in grading.html.
+ *
+ * Digits type the score of the selected checkpoint (several digits in quick succession form one
+ * number). All other bindings are configurable in the cheat sheet and saved in this browser
+ * (localStorage), so every grader keeps their own layout.
+ */
+
+const KEY_BINDINGS_STORAGE_KEY = 'gradingKeyBindings';
+const DIGIT_SEQUENCE_TIMEOUT = 800;
+
+export const KEYBOARD_ACTIONS = {
+    nextCheckpoint: { label: 'Next checkpoint', defaultKey: 'j' },
+    previousCheckpoint: { label: 'Previous checkpoint', defaultKey: 'k' },
+    acceptAi: { label: 'Accept AI suggestion', defaultKey: 'a' },
+    clearScore: { label: 'Clear score', defaultKey: 'x' },
+    toggleComment: { label: 'Toggle comment', defaultKey: 'c' },
+    finalize: { label: 'Finalize grade', defaultKey: 'f' },
+    nextStudent: { label: 'Next student (same question)', defaultKey: 'n' },
+    previousStudent: { label: 'Previous student (same question)', defaultKey: 'p' },
+    finalizeAndNext: { label: 'Finalize and go to next student', defaultKey: 'Enter' },
+    skipInQueue: { label: 'Skip student (question queue)', defaultKey: 's' },
+    flagInQueue: { label: 'Flag student (question queue)', defaultKey: 'm' },
+    cheatSheet: { label: 'Show this cheat sheet', defaultKey: '?' }
+};
+
+let keyBindings = loadKeyBindings();
+let digitBuffer = '';
+let digitTimer = null;
+
+/**
+ * Loads the saved bindings, falling back to the defaults for anything not saved.
+ * @returns {Object} Action -> key.
+ */
+export function loadKeyBindings() {
+    const defaults = Object.fromEntries(Object.entries(KEYBOARD_ACTIONS).map(([action, { defaultKey }]) => [action, defaultKey]));
+    try {
+        const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_STORAGE_KEY) || '{}');
+        return { ...defaults, ...saved };
+    } catch (error) {
+        return defaults;
+    }
+}
+
+function saveKeyBindings(bindings) {
+    keyBindings = bindings;
+    localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+}
+
+const describeKey = key => (key === ' ' ? 'Space' : key.length === 1 ? key.toUpperCase() : key);
+
+/**
+ * Opens the neighbouring student for the same question: in the running question queue, or else
+ * in the order of the exams list.
+ * @param {number} direction - 1 for the next student, -1 for the previous one.
+ */
+function goToAdjacentStudent(direction) {
+    if (isGradingQueueActive()) {
+        stepGradingQueue(direction);
+        return;
+    }
+
+    const { student, questionId } = getCurrentGradingTarget();
+    if (!student || !questionId) return;
+
+    const items = Array.from(document.querySelectorAll('#student-exams-list .completion-checklist-item'))
+        .filter(item => item.dataset.questionId === questionId);
+    const index = items.findIndex(item => item.dataset.studentName === student.name);
+    const target = items[index + direction];
+    if (target) {
+        target.click();
+        target.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Selects the first checkpoint if none is selected yet.
+ * @returns {number} The selected index, or -1 if there are no checkpoints.
+ */
+function ensureCheckpointSelected() {
+    if (getCheckpointCount() === 0) return -1;
+    if (getSelectedCheckpointIndex() === -1) selectCheckpoint(0);
+    return getSelectedCheckpointIndex();
+}
+
+function handleDigit(digit) {
+    const index = ensureCheckpointSelected();
+    if (index === -1) return;
+    digitBuffer += digit;
+    clearTimeout(digitTimer);
+    digitTimer = setTimeout(() => { digitBuffer = ''; }, DIGIT_SEQUENCE_TIMEOUT);
+    setCheckpointScore(index, parseInt(digitBuffer, 10));
+}
+
+function runAction(action) {
+    switch (action) {
+        case 'nextCheckpoint':
+            selectCheckpoint(getSelectedCheckpointIndex() + 1);
+            break;
+        case 'previousCheckpoint':
+            selectCheckpoint(getSelectedCheckpointIndex() === -1 ? -1 : getSelectedCheckpointIndex() - 1);
+            break;
+        case 'acceptAi': {
+            const index = ensureCheckpointSelected();
+            if (index !== -1) acceptAiSuggestion(index);
+            break;
+        }
+        case 'clearScore': {
+            const index = ensureCheckpointSelected();
+            if (index !== -1) setCheckpointScore(index, null);
+            break;
+        }
+        case 'toggleComment': {
+            const index = ensureCheckpointSelected();
+            if (index !== -1) toggleCheckpointComment(index);
+            break;
+        }
+        case 'finalize':
+            finalizeCurrentGrade();
+            break;
+        case 'nextStudent':
+            goToAdjacentStudent(1);
+            break;
+        case 'previousStudent':
+            goToAdjacentStudent(-1);
+            break;
+        case 'finalizeAndNext':
+            // The question queue already moves on when a grade is finalized
+            if (finalizeCurrentGrade() && !isGradingQueueActive()) goToAdjacentStudent(1);
+            break;
+        case 'skipInQueue':
+            skipQueueItem();
+            break;
+        case 'flagInQueue':
+            toggleQueueFlag();
+            break;
+        case 'cheatSheet':
+            toggleCheatSheet();
+            break;
+    }
+}
+
+function handleKeydown(e) {
+    const cheatSheet = document.getElementById('keyboard-cheat-sheet');
+    if (cheatSheet && !cheatSheet.classList.contains('hidden')) {
+        if (e.key === 'Escape') toggleCheatSheet(false);
+        return; // The cheat sheet handles its own keys while open
+    }
+
+    // Typing in a field: only Escape, which hands control back to the shortcuts
+    const target = e.target;
+    if (target.closest('input, textarea, select, [contenteditable="true"]')) {
+        if (e.key === 'Escape') target.blur();
+        return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (/^[0-9]$/.test(e.key)) {
+        e.preventDefault();
+        handleDigit(e.key);
+        return;
+    }
+
+    const action = Object.keys(keyBindings).find(name => keyBindings[name] === e.key);
+    if (action) {
+        e.preventDefault();
+        runAction(action);
+    }
+}
+
+// --- Cheat Sheet ---
+
+/**
+ * Renders the cheat sheet rows. Clicking a key lets the grader press a new one.
+ */
+function renderCheatSheet() {
+    const list = document.getElementById('keyboard-bindings-list');
+    list.innerHTML = `
+        <div class="flex items-center justify-between py-1.5 text-sm">
+            <span>Type score (selected checkpoint)</span>
+            <kbd class="px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700 font-mono text-xs">0–9</kbd>
+        </div>
+    `;
+
+    Object.entries(KEYBOARD_ACTIONS).forEach(([action, { label }]) => {
+        const row = document.createElement('div');
+        row.className = 'flex items-center justify-between py-1.5 text-sm';
+        row.innerHTML = `
+            <span>${label}</span>
+            <button class="rebind-key-btn px-2 py-0.5 rounded bg-gray-100 dark:bg-gray-700 hover:ring-2 hover:ring-primary font-mono text-xs min-w-[3rem]" title="Click to change">${describeKey(keyBindings[action])}</button>
+        `;
+        const button = row.querySelector('button');
+        button.addEventListener('click', () => {
+            button.textContent = 'Press a key…';
+            const capture = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                document.removeEventListener('keydown', capture, true);
+                if (e.key === 'Escape') {
+                    renderCheatSheet();
+                    return;
+                }
+                if (/^[0-9]$/.test(e.key)) {
+                    alert('Digits are reserved for entering scores.');
+                    renderCheatSheet();
+                    return;
+                }
+                // A key can only do one thing: the action that had it loses it
+                const bindings = { ...keyBindings };
+                Object.keys(bindings).forEach(other => { if (bindings[other] === e.key) bindings[other] = ''; });
+                bindings[action] = e.key;
+                saveKeyBindings(bindings);
+                renderCheatSheet();
+            };
+            document.addEventListener('keydown', capture, true);
+        });
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Shows or hides the cheat sheet.
+ * @param {boolean} [show] - Force a state; toggles if omitted.
+ */
+export function toggleCheatSheet(show) {
+    const cheatSheet = document.getElementById('keyboard-cheat-sheet');
+    if (!cheatSheet) return;
+    const shouldShow = show ?? cheatSheet.classList.contains('hidden');
+    if (shouldShow) renderCheatSheet();
+    cheatSheet.classList.toggle('hidden', !shouldShow);
+}
+
+/**
+ * Wires up the keyboard shortcuts and the cheat sheet. Call once after the DOM is ready.
+ */
+export function initializeKeyboardGrading() {
+    document.addEventListener('keydown', handleKeydown);
+
+    const openButton = document.getElementById('keyboard-shortcuts-btn');
+    if (openButton) openButton.addEventListener('click', () => toggleCheatSheet(true));
+
+    document.getElementById('close-cheat-sheet-btn').addEventListener('click', () => toggleCheatSheet(false));
+    document.getElementById('reset-key-bindings-btn').addEventListener('click', () => {
+        localStorage.removeItem(KEY_BINDINGS_STORAGE_KEY);
+        keyBindings = loadKeyBindings();
+        renderCheatSheet();
+    });
+    document.getElementById('keyboard-cheat-sheet').addEventListener('click', (e) => {
+        if (e.target.id === 'keyboard-cheat-sheet') toggleCheatSheet(false);
+    });
+}
@@ -114,3 +114,20 @@ export function calculateGradingStats(repository, parameters) {
     return { globalStats, questionStats };
 }
 
+/**
+ * The final score and maximum of a question for a student. A question with subquestions adds up
+ * the subquestions; its score is null until at least one of them is graded.
+ *
+ * @param {Object} student - The student submission.
+ * @param {Object} question - A question or subquestion.
+ * @returns {{score: number|null, max: number}}
+ */
+export function getQuestionResult(student, question) {
+    const items = question.subquestions?.length > 0 ? question.subquestions : [question];
+    const scores = items.map(item => student.grades?.find(g => g.questionId === item.id)?.score ?? null);
+    const graded = scores.filter(score => score !== null);
+    return {
+        score: graded.length > 0 ? graded.reduce((sum, score) => sum + score, 0) : null,
+        max: items.reduce((sum, item) => sum + (item.points || 0), 0)
+    };
+}
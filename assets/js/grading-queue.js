@@ -0,0 +1,293 @@
+import { getCurrentGradingTarget } from './grading-view.js';
+import { getPdfViewPosition } from './pdf-render.js';
+
+/**
+ * "Grade by question" queue (grading.html sidebar).
+ *
+ * A queue walks every student for one question in a chosen order. Moving between students keeps
+ * the PDF at the same spot, and finalizing a grade opens the next student. The queue, including
+ * the students that were skipped or flagged, is kept in localStorage per repository, so it survives
+ * a reload:
+ *   { questionId, order, studentIds, position, skipped: [studentId], flagged: [studentId] }
+ */
+
+const QUEUE_STORAGE_PREFIX = 'gradingQueue:';
+
+export const QUEUE_ORDERS = {
+    confidence: 'Low confidence first',
+    random: 'Random',
+    alphabetical: 'Alphabetical'
+};
+
+let queue = null;
+
+const storageKey = () => `${QUEUE_STORAGE_PREFIX}${window.currentRepository?.id}`;
+
+function saveQueue() {
+    if (queue) localStorage.setItem(storageKey(), JSON.stringify(queue));
+    else localStorage.removeItem(storageKey());
+}
+
+/**
+ * Finds a question or subquestion by ID.
+ */
+function findQuestion(questions, id) {
+    for (const q of questions) {
+        if (q.id === id) return q;
+        const sub = q.subquestions?.find(s => s.id === id);
+        if (sub) return sub;
+    }
+    return null;
+}
+
+/**
+ * The AI confidence of a student's answer; for a question with subquestions, the lowest one.
+ */
+function getConfidence(student, question) {
+    const ids = question.subquestions?.length > 0 ? question.subquestions.map(s => s.id) : [question.id];
+    return Math.min(...ids.map(id => student.grades?.find(g => g.questionId === id)?.confidence ?? 0));
+}
+
+/**
+ * Orders the students of a repository for a queue.
+ * @param {Object} repository - The repository.
+ * @param {string} questionId - The question.
+ * @param {string} order - A key of QUEUE_ORDERS.
+ * @returns {Array<string>} Student IDs.
+ */
+export function orderQueueStudents(repository, questionId, order) {
+    const question = findQuestion(repository.questions, questionId);
+    const students = [...repository.studentSubmissions];
+
+    if (order === 'random') {
+        for (let i = students.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [students[i], students[j]] = [students[j], students[i]];
+        }
+    } else if (order === 'alphabetical') {
+        students.sort((a, b) => a.name.localeCompare(b.name));
+    } else if (question) {
+        students.sort((a, b) => getConfidence(a, question) - getConfidence(b, question));
+    }
+    return students.map(s => s.id);
+}
+
+/**
+ * Starts a queue for a question and opens its first student.
+ * @param {string} questionId - The question (or subquestion).
+ * @param {string} [order='confidence'] - A key of QUEUE_ORDERS.
+ */
+export function startGradingQueue(questionId, order = 'confidence') {
+    const repository = window.currentRepository;
+    if (!repository || !findQuestion(repository.questions, questionId)) return;
+
+    queue = {
+        questionId,
+        order,
+        studentIds: orderQueueStudents(repository, questionId, order),
+        position: 0,
+        skipped: [],
+        flagged: []
+    };
+    console.log(`[GradingQueue] Started queue for ${questionId} (${order}), ${queue.studentIds.length} students.`);
+    openQueuePosition(0, { keepView: false });
+}
+
+/**
+ * Ends the current queue.
+ */
+export function stopGradingQueue() {
+    queue = null;
+    saveQueue();
+    renderGradingQueue();
+}
+
+export function isGradingQueueActive() {
+    return queue !== null;
+}
+
+/**
+ * Opens the student at a queue position.
+ * @param {number} position - The position.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepView=true] - Keep the PDF scrolled to the current spot.
+ */
+function openQueuePosition(position, { keepView = true } = {}) {
+    const repository = window.currentRepository;
+    if (!queue || !repository) return;
+
+    queue.position = Math.min(Math.max(position, 0), queue.studentIds.length);
+    saveQueue();
+    renderGradingQueue();
+
+    const student = repository.studentSubmissions.find(s => s.id === queue.studentIds[queue.position]);
+    if (!student || !window.loadStudentExam) return; // Past the end: the panel shows the summary
+
+    const { questionId } = getCurrentGradingTarget();
+    const viewPosition = keepView && questionId === queue.questionId ? getPdfViewPosition() : null;
+    const nextStudent = repository.studentSubmissions.find(s => s.id === queue.studentIds[queue.position + 1]) || null;
+    window.loadStudentExam(student, queue.questionId, { viewPosition, nextStudent });
+}
+
+/**
+ * Moves through the queue.
+ * @param {number} direction - 1 for the next student, -1 for the previous one.
+ */
+export function stepGradingQueue(direction) {
+    if (queue) openQueuePosition(queue.position + direction);
+}
+
+/**
+ * Skips the current student (kept in the skipped list) and opens the next one.
+ */
+export function skipQueueItem() {
+    if (!queue) return;
+    const studentId = queue.studentIds[queue.position];
+    if (studentId && !queue.skipped.includes(studentId)) queue.skipped.push(studentId);
+    stepGradingQueue(1);
+}
+
+/**
+ * Flags or unflags the current student, e.g. to discuss the answer later.
+ */
+export function toggleQueueFlag() {
+    if (!queue) return;
+    const studentId = queue.studentIds[queue.position];
+    if (!studentId) return;
+    const index = queue.flagged.indexOf(studentId);
+    if (index === -1) queue.flagged.push(studentId);
+    else queue.flagged.splice(index, 1);
+    saveQueue();
+    renderGradingQueue();
+}
+
+/**
+ * Opens a specific student of the queue (from the skipped or flagged list).
+ */
+function jumpToStudent(studentId) {
+    const position = queue.studentIds.indexOf(studentId);
+    if (position === -1) return;
+    queue.skipped = queue.skipped.filter(id => id !== studentId);
+    openQueuePosition(position);
+}
+
+// --- UI ---
+
+/**
+ * Renders the student chips of the skipped or flagged list.
+ */
+function renderStudentChips(container, label, studentIds, chipClass) {
+    if (studentIds.length === 0) return;
+    const repository = window.currentRepository;
+    const row = document.createElement('div');
+    row.className = 'flex flex-wrap items-center gap-1 text-xs';
+    row.innerHTML = `<span class="text-gray-500 dark:text-gray-400 mr-1">${label}:</span>`;
+    studentIds.forEach(id => {
+        const student = repository.studentSubmissions.find(s => s.id === id);
+        if (!student) return;
+        const chip = document.createElement('button');
+        chip.className = `px-1.5 py-0.5 rounded-full ${chipClass} hover:ring-1 hover:ring-primary`;
+        chip.textContent = student.name;
+        chip.title = 'Open this student';
+        chip.addEventListener('click', () => jumpToStudent(id));
+        row.appendChild(chip);
+    });
+    container.appendChild(row);
+}
+
+/**
+ * Renders the queue section: the start form, or the progress of the running queue.
+ */
+export function renderGradingQueue() {
+    const container = document.getElementById('grading-queue-container');
+    const repository = window.currentRepository;
+    if (!container) return;
+    if (!repository) {
+        container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No exam repository selected.</p>';
+        return;
+    }
+
+    if (!queue) {
+        const questionOptions = repository.questions.flatMap(q => [
+            `<option value="${q.id}">${q.id}</option>`,
+            ...(q.subquestions || []).map(sub => `<option value="${sub.id}">&nbsp;&nbsp;${sub.name}</option>`)
+        ]).join('');
+        const orderOptions = Object.entries(QUEUE_ORDERS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        const selectClass = 'form-select w-full bg-gray-100 dark:bg-gray-700/50 border-gray-200 dark:border-gray-700 text-gray-900 dark:text-gray-200 rounded-md focus:ring-primary focus:border-primary text-xs p-1.5';
+
+        container.innerHTML = `
+            <div class="flex items-center gap-2">
+                <select id="queue-question-select" class="${selectClass} w-1/3">${questionOptions}</select>
+                <select id="queue-order-select" class="${selectClass}">${orderOptions}</select>
+                <button id="start-queue-btn" class="p-1.5 rounded-md text-primary bg-primary/10 hover:bg-primary/20 flex items-center" title="Grade this question for every student">
+                    <span class="material-symbols-outlined text-base">play_arrow</span>
+                </button>
+            </div>
+        `;
+        container.querySelector('#start-queue-btn').addEventListener('click', () => {
+            startGradingQueue(container.querySelector('#queue-question-select').value, container.querySelector('#queue-order-select').value);
+        });
+        return;
+    }
+
+    const total = queue.studentIds.length;
+    const finished = queue.position >= total;
+    const current = repository.studentSubmissions.find(s => s.id === queue.studentIds[queue.position]);
+    const isFlagged = current && queue.flagged.includes(current.id);
+    const buttonClass = 'p-1 rounded-md text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 hover:text-primary flex items-center';
+
+    container.innerHTML = `
+        <div class="p-2 rounded border border-primary/40 bg-primary/5 space-y-2">
+            <div class="flex items-center justify-between text-sm">
+                <span class="font-medium text-gray-700 dark:text-gray-200">${queue.questionId} · ${QUEUE_ORDERS[queue.order]}</span>
+                <span class="font-bold text-primary">${Math.min(queue.position + 1, total)} / ${total}</span>
+            </div>
+            <div class="w-full h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                <div class="h-full bg-primary transition-all" style="width: ${total > 0 ? Math.round(Math.min(queue.position + 1, total) / total * 100) : 0}%"></div>
+            </div>
+            <div class="flex items-center gap-1">
+                <button class="queue-current-btn flex-1 text-left text-xs text-gray-500 dark:text-gray-400 hover:text-primary truncate" title="Open this student" ${finished ? 'disabled' : ''}>${finished ? 'Queue finished' : current?.name || ''}</button>
+                <button class="queue-prev-btn ${buttonClass}" title="Previous student"><span class="material-symbols-outlined text-base">skip_previous</span></button>
+                <button class="queue-skip-btn ${buttonClass}" title="Skip for now" ${finished ? 'disabled' : ''}><span class="material-symbols-outlined text-base">redo</span></button>
+                <button class="queue-flag-btn ${buttonClass} ${isFlagged ? '!text-amber-500' : ''}" title="Flag for review" ${finished ? 'disabled' : ''}><span class="material-symbols-outlined text-base">flag</span></button>
+                <button class="queue-next-btn ${buttonClass}" title="Next student" ${finished ? 'disabled' : ''}><span class="material-symbols-outlined text-base">skip_next</span></button>
+                <button class="queue-stop-btn ${buttonClass} hover:!text-red-500" title="End queue"><span class="material-symbols-outlined text-base">close</span></button>
+            </div>
+        </div>
+    `;
+
+    const box = container.firstElementChild;
+    renderStudentChips(box, 'Skipped', queue.skipped, 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200');
+    renderStudentChips(box, 'Flagged', queue.flagged, 'bg-amber-100 dark:bg-amber-500/20 text-amber-700 dark:text-amber-300');
+
+    box.querySelector('.queue-current-btn').addEventListener('click', () => openQueuePosition(queue.position));
+    box.querySelector('.queue-prev-btn').addEventListener('click', () => stepGradingQueue(-1));
+    box.querySelector('.queue-skip-btn').addEventListener('click', skipQueueItem);
+    box.querySelector('.queue-flag-btn').addEventListener('click', toggleQueueFlag);
+    box.querySelector('.queue-next-btn').addEventListener('click', () => stepGradingQueue(1));
+    box.querySelector('.queue-stop-btn').addEventListener('click', stopGradingQueue);
+}
+
+/**
+ * Restores a saved queue and opens the next student whenever a grade is finalized.
+ * Call once after the repository is loaded.
+ */
+export function initializeGradingQueue() {
+    try {
+        queue = JSON.parse(localStorage.getItem(storageKey()) || 'null');
+    } catch (error) {
+        queue = null;
+    }
+    renderGradingQueue();
+
+    const finalizeBtn = document.getElementById('finalize-grade-button');
+    if (finalizeBtn) {
+        finalizeBtn.addEventListener('click', () => {
+            if (!queue) return;
+            const { student, questionId } = getCurrentGradingTarget();
+            if (student?.id !== queue.studentIds[queue.position] || questionId !== queue.questionId) return;
+            queue.skipped = queue.skipped.filter(id => id !== student.id);
+            stepGradingQueue(1);
+        });
+    }
+}
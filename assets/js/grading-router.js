@@ -0,0 +1,135 @@
+/**
+ * URL routing for grading.html.
+ *
+ * The URL reflects what is being graded: `grading.html?student=<id>&question=<id>&checkpoint=<n>&tab=<id>`
+ * (checkpoint numbers start at 1, as shown on the navigation circles; `tab` is a right-panel tab).
+ * Opening another exam adds a history entry, so back/forward step through the exams; selecting a
+ * checkpoint or tab only updates the current entry.
+ *
+ * Older links identify the student by name; both are accepted.
+ */
+
+export const GRADING_TABS = ['rubric', 'reference', 'broadcasts', 'comment-bank'];
+
+const ROUTE_PARAMS = ['student', 'question', 'checkpoint', 'tab'];
+
+let applyingRoute = false; // The page is following the URL: do not write it back
+
+/**
+ * Builds a grading.html link.
+ * @param {Object} route
+ * @param {string} [route.student] - The student ID.
+ * @param {string} [route.question] - The question (or subquestion) ID.
+ * @param {number} [route.checkpoint] - The checkpoint number (1-based).
+ * @param {string} [route.tab] - One of GRADING_TABS.
+ * @returns {string} A link relative to the app root.
+ */
+export function buildGradingUrl(route = {}) {
+    const params = new URLSearchParams();
+    ROUTE_PARAMS.forEach(name => {
+        const value = route[name];
+        if (value !== null && value !== undefined && value !== '') params.set(name, value);
+    });
+    const query = params.toString();
+    return query ? `grading.html?${query}` : 'grading.html';
+}
+
+/**
+ * Builds an absolute grading.html link to share.
+ * @param {Object} route - As for buildGradingUrl.
+ * @returns {string}
+ */
+export function buildShareableGradingLink(route) {
+    return new URL(buildGradingUrl(route), window.location.href).href;
+}
+
+/**
+ * Reads the route from a query string.
+ * @param {string} [search] - Defaults to the current URL's.
+ * @returns {{student: string|null, question: string|null, checkpoint: number|null, tab: string|null}}
+ */
+export function parseGradingRoute(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const checkpoint = parseInt(params.get('checkpoint'), 10);
+    const tab = params.get('tab');
+    return {
+        student: params.get('student'),
+        question: params.get('question'),
+        checkpoint: checkpoint >= 1 ? checkpoint : null,
+        tab: GRADING_TABS.includes(tab) ? tab : null
+    };
+}
+
+/**
+ * Finds the student a route refers to, by ID or (for older links) by name.
+ * @returns {Object|null} The student submission.
+ */
+export function findRouteStudent(repository, value) {
+    if (!repository || !value) return null;
+    return repository.studentSubmissions.find(s => s.id === value)
+        || repository.studentSubmissions.find(s => s.name === value)
+        || null;
+}
+
+/**
+ * Updates the URL with part of the route.
+ * @param {Object} changes - The route parts that changed (null removes one).
+ * @param {Object} [options]
+ * @param {boolean} [options.push=false] - Add a history entry if another exam is opened. Only done if the
+ *   URL already points at an exam, so going back from the first exam does not land on an empty page.
+ */
+export function updateGradingRoute(changes, { push = false } = {}) {
+    if (applyingRoute) return;
+    const current = parseGradingRoute();
+    const route = { ...current, ...changes };
+    const url = buildGradingUrl(route);
+    if (url === buildGradingUrl(current)) return;
+    const examChanged = route.student !== current.student || route.question !== current.question;
+    if (push && current.student && examChanged) {
+        window.history.pushState(route, '', url);
+    } else {
+        window.history.replaceState(route, '', url);
+    }
+}
+
+/**
+ * Shows what a route points at.
+ * @param {Object} route - As returned by parseGradingRoute.
+ * @param {Object} handlers
+ * @param {Function} handlers.getTarget - Returns `{ student, questionId }` currently shown.
+ * @param {Function} handlers.openExam - Async; opens a student's exam for a question.
+ * @param {Function} handlers.selectCheckpoint - Selects a checkpoint by (0-based) index.
+ * @param {Function} handlers.selectTab - Activates a right-panel tab.
+ */
+async function applyGradingRoute(route, { getTarget, openExam, selectCheckpoint, selectTab }) {
+    applyingRoute = true;
+    try {
+        if (route.tab) selectTab(route.tab);
+
+        const repository = window.currentRepository;
+        const student = findRouteStudent(repository, route.student);
+        const questionExists = Boolean(repository) && repository.questions.some(q => q.id === route.question || q.subquestions?.some(sq => sq.id === route.question));
+        if (!student || !questionExists) {
+            if (route.student) console.warn(`[GradingRouter] No exam found for student "${route.student}", question "${route.question}".`);
+            return;
+        }
+        const target = getTarget();
+        if (target.student !== student || target.questionId !== route.question) await openExam(student, route.question);
+        if (route.checkpoint) selectCheckpoint(route.checkpoint - 1);
+    } finally {
+        applyingRoute = false;
+    }
+}
+
+/**
+ * Opens what the URL points at and follows the back/forward buttons.
+ * @param {Object} handlers - See applyGradingRoute.
+ */
+export async function initializeGradingRouter(handlers) {
+    window.addEventListener('popstate', () => applyGradingRoute(parseGradingRoute(), handlers));
+    await applyGradingRoute(parseGradingRoute(), handlers);
+    // Links with a student name become links with the ID
+    const route = parseGradingRoute();
+    const student = findRouteStudent(window.currentRepository, route.student);
+    if (student && student.id !== route.student) updateGradingRoute({ student: student.id });
+}
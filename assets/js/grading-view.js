@@ -1,4 +1,15 @@
 import { updateManualGradingStatus } from './grading-exams-list.js';
+import { saveRepositoryChange } from './repository-store.js';
+import { createRubricPicker } from './structured-rubric.js';
+import { attachSnippetSuggestions, saveCommentAsSnippet, renderCommentBankPanel } from './comment-bank.js';
+import { getQuestionCrop } from './question-regions.js';
+import { prefetchPdf } from './pdf-render.js';
+import { toPercent, pagePointFromClient, pagesFromOverlays } from './page-coordinates.js';
+import { renderAnnotations } from './grading-annotations.js';
+import { recordGradeEvent, renderGradeHistory, getCurrentGrader, getFirstPassGraderId } from './grading-audit.js';
+import { getGradePass, isBlindSecondPass, isAiSuggestionHidden, completeSecondPass, getMarkPass, isMarkHiddenInBlindPass } from './reconciliation.js';
+import { updateGradingRoute } from './grading-router.js';
+import { escapeHtml } from './html.js';
 
 // --- State Management ---
 let currentStudent = null;
@@ -8,6 +19,7 @@ let isDragging = false;
 let draggedElement = null;
 let dragOffsetX = 0;
 let dragOffsetY = 0;
+let showFullPaper = false; // Ignore the answer regions and show every page
 
 // --- Constants ---
 const STICKY_BOTTOM_OFFSET = 20;
@@ -44,11 +56,22 @@ function injectStyles() {
     document.head.appendChild(style);
 }
 
-export async function loadStudentExam(student, questionId) {
+/**
+ * Loads a student's exam for a question into the grading panel.
+ * @param {Object} student - The student submission.
+ * @param {string} questionId - The question (or subquestion) to grade.
+ * @param {Object} [options]
+ * @param {Object} [options.viewPosition] - Open the PDF at this position (from getPdfViewPosition)
+ *   instead of the question's first page.
+ * @param {Object} [options.nextStudent] - The student graded next, whose PDF is prefetched
+ *   (defaults to the next one in the exams list).
+ */
+export async function loadStudentExam(student, questionId, { viewPosition = null, nextStudent } = {}) {
     if (!student || !questionId) return;
 
     currentStudent = student;
     currentQuestionId = questionId;
+    updateGradingRoute({ student: student.id, question: questionId, checkpoint: null }, { push: true });
 
     const examTitle = document.getElementById('exam-title');
     if (examTitle) examTitle.textContent = `${student.name} (${questionId})`;
@@ -87,8 +110,16 @@ export async function loadStudentExam(student, questionId) {
     console.log(`[GradingView] loadStudentExam called for ${student.name}, ${questionId}`);
     console.trace("[GradingView] Trace for loadStudentExam call:");
 
+    // Only the answer regions of the question, unless the grader asked for the full paper
+    const crop = window.currentRepository ? getQuestionCrop(window.currentRepository.questions, questionId) : null;
+    updateFullPaperToggle(Boolean(crop));
+    const viewerOptions = { crop: showFullPaper ? null : crop };
+    if (viewerOptions.crop && !viewerOptions.crop.pages.includes(parseInt(pageNumber, 10))) pageNumber = viewerOptions.crop.pages[0];
+
     // Initialize viewer
-    const success = await window.initializePdfViewer(pdfUrl, pageNumber);
+    const success = viewPosition
+        ? await window.initializePdfViewer(pdfUrl, viewPosition.page, { ...viewerOptions, offsetRatio: viewPosition.offsetRatio })
+        : await window.initializePdfViewer(pdfUrl, pageNumber, viewerOptions);
     if (!success) {
         console.log(`[GradingView] PDF initialization cancelled or failed for ${questionId}. Aborting checkpoint render.`);
         return;
@@ -97,6 +128,7 @@ export async function loadStudentExam(student, questionId) {
     // Render UI elements
     renderGradingCheckpoints(questionId);
     renderComments(student.id, questionId);
+    renderAnnotations(student.id, questionId);
     setupNavigationCircles(questionId);
 
     // Trigger Rubric Load if tab is active
@@ -105,8 +137,46 @@ export async function loadStudentExam(student, questionId) {
         window.initializeRubricViewer();
     }
 
+    renderCommentBank();
+
     // Update totals immediately after render
     updateTotalScoreDisplay();
+
+    // Get the next paper ready in the background
+    const next = nextStudent === undefined ? findNextStudentInList(student, questionId) : nextStudent;
+    if (next && next.url !== student.url) prefetchPdf(next.url, pageNumber, viewerOptions);
+}
+
+/**
+ * Finds the student after the given one for the same question in the Student Exams list.
+ * @returns {Object|null} The student submission.
+ */
+function findNextStudentInList(student, questionId) {
+    const items = Array.from(document.querySelectorAll('#student-exams-list .completion-checklist-item'))
+        .filter(item => item.dataset.questionId === questionId);
+    const index = items.findIndex(item => item.dataset.studentName === student.name);
+    const nextItem = index === -1 ? null : items[index + 1];
+    return nextItem ? window.currentRepository.studentSubmissions.find(s => s.name === nextItem.dataset.studentName) || null : null;
+}
+
+/**
+ * Shows the full-paper toggle only for questions with answer regions.
+ * @param {boolean} hasRegions - Whether the current question has answer regions.
+ */
+function updateFullPaperToggle(hasRegions) {
+    const toggleBtn = document.getElementById('full-paper-toggle-btn');
+    if (!toggleBtn) return;
+    toggleBtn.classList.toggle('hidden', !hasRegions);
+    toggleBtn.querySelector('.material-symbols-outlined').textContent = showFullPaper ? 'crop' : 'description';
+    toggleBtn.title = showFullPaper ? 'Show only the answer regions' : 'Show the full paper';
+}
+
+/**
+ * Switches between the answer regions of the current question and the full paper.
+ */
+export function toggleFullPaper() {
+    showFullPaper = !showFullPaper;
+    if (currentStudent && currentQuestionId) loadStudentExam(currentStudent, currentQuestionId);
 }
 
 /**
@@ -118,6 +188,7 @@ function renderGradingCheckpoints(questionId) {
 
     container.innerHTML = '';
     checkpoints = [];
+    selectedCheckpointIndex = -1;
 
     const repo = window.currentRepository;
     let relevantCheckpoints = [];
@@ -164,10 +235,15 @@ function renderGradingCheckpoints(questionId) {
         }
         if (!maxPoints) maxPoints = 5; // Fallback
         const gradeEntry = currentStudent.grades?.find(g => g.questionId === cp.questionId) || {}; // Use cp.questionId specifically
+        // In a blind second pass only the second pass is shown (see reconciliation.js)
+        const blind = isBlindSecondPass(repo, currentStudent, gradeEntry);
+        const aiHidden = isAiSuggestionHidden(repo, gradeEntry);
         const aiConfidence = gradeEntry.confidence || 0;
         const aiSuggestedPoints = gradeEntry.aiSuggestedScore || 0;
-        const currentScore = gradeEntry.score;
-        const aiComment = gradeEntry.comment || '';
+        const currentScore = blind ? gradeEntry.passScores?.second : gradeEntry.score;
+        const checkpointComment = (blind ? gradeEntry.passComments?.second : gradeEntry.comment) || '';
+        const aiComment = aiHidden ? '' : gradeEntry.aiComment || '';
+        const hasRubric = Boolean(cp.rubric && cp.rubric.items && cp.rubric.items.length > 0);
 
         let pillBg = 'rgba(239, 68, 68, 0.2)'; let pillText = '#f87171';
         if (aiConfidence > 80) { pillBg = 'rgba(16, 185, 129, 0.2)'; pillText = '#34d399'; }
@@ -220,7 +296,7 @@ function renderGradingCheckpoints(questionId) {
             `;
         }
 
-        // IMPORTANT: The input calls window.handleScoreChange with this checkpoint's specific ID
+        // Text from the repository (comments) is filled in below, after the element is built
         el.innerHTML = `
             ${fallbackBanner}
             <div class="flex items-center h-[50px] w-full bg-[#1e293b] rounded-lg overflow-hidden shadow-md border border-gray-700 select-none">
@@ -230,43 +306,69 @@ function renderGradingCheckpoints(questionId) {
                 </div>
                 <div class="flex-1 flex items-center justify-between px-4 gap-4 min-w-0 overflow-hidden">
                     <div class="flex items-center gap-3 flex-shrink-0">
+                        ${aiHidden ? `
+                        <span class="text-[10px] text-gray-500 font-bold uppercase tracking-wider whitespace-nowrap" title="The AI suggestion is hidden in the second pass">AI Sugg. hidden</span>` : `
                         <span style="background: ${pillBg}; color: ${pillText};" class="px-2 py-0.5 rounded text-[10px] font-bold border border-white/5 whitespace-nowrap uppercase tracking-wide">
-                            ${aiConfidence}% Conf.
+                            ${escapeHtml(aiConfidence)}% Conf.
                         </span>
                         <div class="w-px h-4 bg-gray-600/50"></div>
                         <div class="flex items-baseline gap-2 whitespace-nowrap">
                              <span class="text-[10px] text-gray-400 font-bold uppercase tracking-wider">AI Sugg.</span>
-                             <span class="text-sm font-bold text-gray-100">${aiSuggestedPoints} / ${maxPoints}</span>
-                        </div>
+                             <span class="text-sm font-bold text-gray-100">${escapeHtml(aiSuggestedPoints)} / ${escapeHtml(maxPoints)}</span>
+                        </div>`}
                     </div>
                     <div class="flex items-center gap-3 flex-shrink-0">
                         <div class="w-px h-4 bg-gray-600/50"></div>
                         <div class="flex items-center gap-2 whitespace-nowrap">
-                            <span class="text-[10px] text-gray-400 font-bold uppercase tracking-wider">Grade</span>
+                            <span class="text-[10px] text-gray-400 font-bold uppercase tracking-wider">${blind ? '2nd Pass' : 'Grade'}</span>
                             <div class="relative flex items-center bg-gray-900/50 border border-gray-600 rounded px-2 py-0.5 focus-within:border-blue-500 focus-within:ring-1 focus-within:ring-blue-500/30 transition-all">
-                                <input type="number" min="0" max="${maxPoints}" 
-                                    class="bg-transparent text-white font-bold text-center focus:outline-none p-0 w-7 text-sm"
-                                    value="${currentScore !== null && currentScore !== undefined ? currentScore : ''}"
-                                    oninput="handleScoreChange(this, '${cp.questionId}')"
+                                <input type="number" min="0" max="${escapeHtml(maxPoints)}" 
+                                    class="score-input bg-transparent text-white font-bold text-center focus:outline-none p-0 w-7 text-sm"
+                                    value="${currentScore !== null && currentScore !== undefined ? escapeHtml(currentScore) : ''}"
                                     placeholder="-"
                                 >
-                                <span class="text-[10px] text-gray-500 ml-0.5 font-medium select-none">/${maxPoints}</span>
+                                <span class="text-[10px] text-gray-500 ml-0.5 font-medium select-none">/${escapeHtml(maxPoints)}</span>
                             </div>
                         </div>
                     </div>
                 </div>
                 <div class="h-full flex items-center px-2 gap-1 border-l border-gray-700 bg-gray-800/50 flex-shrink-0">
+                    ${hasRubric ? `
+                    <button class="rubric-criteria-btn w-8 h-8 rounded text-gray-400 hover:text-green-400 hover:bg-green-400/10 transition-all flex items-center justify-center" title="Score with Rubric">
+                        <span class="material-symbols-outlined text-[18px]">checklist</span>
+                    </button>` : ''}
                     <button class="comment-toggle-btn w-8 h-8 rounded text-gray-400 hover:text-blue-400 hover:bg-blue-400/10 transition-all flex items-center justify-center" title="Toggle Comment">
                         <span class="material-symbols-outlined text-[18px]">chat_bubble</span>
                     </button>
+                    <button class="history-btn ${blind ? 'hidden' : ''} w-8 h-8 rounded text-gray-400 hover:text-purple-400 hover:bg-purple-400/10 transition-all flex items-center justify-center" title="Grade History">
+                        <span class="material-symbols-outlined text-[18px]">history</span>
+                    </button>
                     <button class="rubric-scroll-btn w-8 h-8 rounded text-gray-400 hover:text-orange-400 hover:bg-orange-400/10 transition-all flex items-center justify-center" title="Scroll to Rubric">
                         <span class="material-symbols-outlined text-[18px]">menu_book</span>
                     </button>
                 </div>
             </div>
+            ${hasRubric ? `
+            <div class="rubric-body hidden w-full bg-[#1e293b] border-t border-gray-700 p-3 shadow-inner relative z-50 max-h-64 overflow-y-auto"></div>` : ''}
+            <div class="history-body hidden w-full bg-[#1e293b] border-t border-gray-700 p-3 shadow-inner relative z-50"></div>
             <div class="comment-body hidden w-full bg-[#1e293b] border-t border-gray-700 rounded-b-lg p-3 shadow-inner relative z-50">
+                ${aiComment ? `
+                <div class="ai-comment-suggestion mb-2 p-2 rounded border border-dashed border-gray-600 text-xs text-gray-300">
+                    <div class="flex items-center justify-between mb-1">
+                        <span class="text-[10px] text-gray-400 font-bold uppercase tracking-wider">AI Sugg.</span>
+                        <button class="use-ai-comment-btn flex items-center gap-1 text-xs text-gray-400 hover:text-blue-400" title="Add the suggested comment to yours">
+                            <span class="material-symbols-outlined text-sm">add_comment</span> Use
+                        </button>
+                    </div>
+                    <p class="ai-comment-text whitespace-pre-wrap"></p>
+                </div>` : ''}
                 <textarea class="w-full bg-[#0f172a] text-gray-200 text-sm p-2 rounded border border-gray-700 focus:border-blue-500 focus:ring-1 focus:ring-blue-500 focus:outline-none resize-y min-h-[60px]" 
-                placeholder="Add a comment...">${aiComment}</textarea>
+                placeholder="Add a comment..."></textarea>
+                <div class="flex justify-end mt-1">
+                    <button class="save-snippet-btn flex items-center gap-1 text-xs text-gray-400 hover:text-blue-400" title="Save as a reusable snippet for this question">
+                        <span class="material-symbols-outlined text-sm">bookmark_add</span> Save to comment bank
+                    </button>
+                </div>
             </div>
         `;
 
@@ -280,6 +382,8 @@ function renderGradingCheckpoints(questionId) {
         const toggleBtn = el.querySelector('.comment-toggle-btn');
         const commentBody = el.querySelector('.comment-body');
         const textArea = el.querySelector('textarea');
+        textArea.value = checkpointComment;
+        el.querySelector('.score-input').addEventListener('input', (e) => window.handleScoreChange(e.target, cp.questionId));
 
         toggleBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -302,13 +406,91 @@ function renderGradingCheckpoints(questionId) {
                     g = { questionId: cp.questionId, confidence: 0, aiSuggestedScore: 0, score: null };
                     currentStudent.grades.push(g);
                 }
-                g.comment = e.target.value;
-                saveRepositoryState();
+                setCheckpointComment(g, e.target.value);
+                saveGradeEntry(g);
             }
         });
 
         textArea.addEventListener('mousedown', (e) => e.stopPropagation());
 
+        // The AI comment is only a suggestion: the grader decides whether it goes into theirs
+        if (aiComment) {
+            el.querySelector('.ai-comment-text').textContent = aiComment;
+            el.querySelector('.use-ai-comment-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                textArea.value = textArea.value.trim() ? `${textArea.value}\n${aiComment}` : aiComment;
+                textArea.dispatchEvent(new Event('input'));
+            });
+        }
+
+        // History: AI suggestion and both passes side by side, with every recorded change
+        const historyBtn = el.querySelector('.history-btn');
+        const historyBody = el.querySelector('.history-body');
+        historyBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isHidden = historyBody.classList.toggle('hidden');
+            if (!isHidden) renderGradeHistory(historyBody, window.currentRepository, currentStudent, cp.questionId);
+            historyBtn.classList.toggle('text-purple-400', !isHidden);
+            historyBtn.classList.toggle('bg-purple-500/10', !isHidden);
+        });
+
+        // Comment bank: suggestions while typing, and saving the comment as a snippet
+        attachSnippetSuggestions(textArea, {
+            getQuestionId: () => cp.questionId,
+            onApply: (snippet) => {
+                let g = currentStudent.grades.find(x => x.questionId === cp.questionId);
+                if (!g) {
+                    g = { questionId: cp.questionId, confidence: 0, aiSuggestedScore: 0, score: null };
+                    currentStudent.grades.push(g);
+                }
+                setCheckpointComment(g, textArea.value);
+                g.appliedSnippets = [...new Set([...(g.appliedSnippets || []), snippet.id])];
+                if (snippet.deduction) {
+                    // Deductions count down from the current score (or the max points if not scored yet)
+                    const scoreInput = el.querySelector('input[type=number]');
+                    const score = getDisplayedScore(g);
+                    const base = typeof score === 'number' ? score : maxPoints;
+                    scoreInput.value = Math.max(base - snippet.deduction, 0);
+                    window.handleScoreChange(scoreInput, cp.questionId);
+                } else {
+                    saveGradeEntry(g);
+                }
+            }
+        });
+        el.querySelector('.save-snippet-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (saveCommentAsSnippet(window.currentRepository, cp.questionId, textArea.value)) renderCommentBank();
+        });
+
+        if (hasRubric) {
+            // Clicking rubric items composes the score instead of typing it
+            const rubricBtn = el.querySelector('.rubric-criteria-btn');
+            const rubricBody = el.querySelector('.rubric-body');
+            const scoreInput = el.querySelector('input[type=number]');
+            rubricBody.appendChild(createRubricPicker(cp.rubric, {
+                selected: (blind ? gradeEntry.passRubricSelections?.second : gradeEntry.rubricSelections) || [],
+                maxPoints,
+                onChange: (selectedIds, score) => {
+                    let g = currentStudent.grades.find(x => x.questionId === cp.questionId);
+                    if (!g) {
+                        g = { questionId: cp.questionId, confidence: 0, aiSuggestedScore: 0, score: null };
+                        currentStudent.grades.push(g);
+                    }
+                    g.passRubricSelections = { ...g.passRubricSelections, [getGradePass(g)]: selectedIds };
+                    if (!isBlindSecondPass(window.currentRepository, currentStudent, g)) g.rubricSelections = selectedIds;
+                    scoreInput.value = score;
+                    window.handleScoreChange(scoreInput, cp.questionId);
+                }
+            }));
+
+            rubricBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const isHidden = rubricBody.classList.toggle('hidden');
+                rubricBtn.classList.toggle('text-green-400', !isHidden);
+                rubricBtn.classList.toggle('bg-green-500/10', !isHidden);
+            });
+        }
+
 
     });
 }
@@ -349,11 +531,15 @@ function startDrag(e, el, checkpointData) {
         const centerX = newLeft + el.offsetWidth / 2;
         const centerY = newTop + el.offsetHeight / 2;
 
-        checkpointData.position.x = `${(centerX / containerRect.width) * 100}%`;
-        checkpointData.position.y = `${(centerY / containerRect.height) * 100}%`;
+        checkpointData.position.x = toPercent((centerX / containerRect.width) * 100);
+        checkpointData.position.y = toPercent((centerY / containerRect.height) * 100);
     };
 
     const stopDrag = () => {
+        // Back to page percentages, so the checkpoint stays in place when the page is resized
+        el.style.left = checkpointData.position.x;
+        el.style.top = checkpointData.position.y;
+        el.style.transform = 'translate(-50%, -50%)';
         isDragging = false;
         draggedElement = null;
         document.removeEventListener('mousemove', onDrag);
@@ -401,7 +587,8 @@ function updateStickyCheckpoints() {
             return null;
         }
 
-        const pageRect = pageWrapper.getBoundingClientRect();
+        // The page overlay spans the full page, also when the wrapper only shows an answer region
+        const pageRect = pageWrapper.querySelector('.page-overlay').getBoundingClientRect();
         const naturalYPercent = parseFloat(cp.data.position.y);
         const naturalYPixelsInPage = (naturalYPercent / 100) * pageRect.height;
 
@@ -496,8 +683,18 @@ window.handleScoreChange = function (input, qId) {
             gradeEntry = { questionId: qId, confidence: 0, aiSuggestedScore: 0 };
             currentStudent.grades.push(gradeEntry);
         }
-        gradeEntry.score = (val === '') ? null : parseInt(val);
-        saveRepositoryState();
+        const score = (val === '') ? null : parseFloat(val);
+        const oldScore = getDisplayedScore(gradeEntry) ?? null;
+        // Keep each manual pass separately so the consistency checker can compare them:
+        // once the first pass is marked as done (manualStatus 1), new scores belong to the second pass.
+        // A blind second pass leaves the final score alone until the pass is finalized.
+        const pass = getGradePass(gradeEntry);
+        if (!isBlindSecondPass(window.currentRepository, currentStudent, gradeEntry)) gradeEntry.score = score;
+        gradeEntry.passScores = { ...gradeEntry.passScores, [pass]: score };
+        recordGradeEvent(window.currentRepository, {
+            studentId: currentStudent.id, questionId: qId, type: 'score', pass, oldValue: oldScore, newValue: score
+        });
+        saveGradeEntry(gradeEntry);
     }
 
     // TRIGGER UI UPDATE
@@ -505,10 +702,60 @@ window.handleScoreChange = function (input, qId) {
     updateNavigationCircleStatus(qId, val !== '');
 };
 
-function saveRepositoryState() {
-    if (window.currentRepository) {
-        sessionStorage.setItem('currentRepository', JSON.stringify(window.currentRepository));
-    }
+/**
+ * Returns the score shown for a grade of the current student: the second pass during a blind second
+ * pass, else the final score.
+ */
+function getDisplayedScore(gradeEntry) {
+    if (!gradeEntry) return null;
+    return isBlindSecondPass(window.currentRepository, currentStudent, gradeEntry) ? gradeEntry.passScores?.second : gradeEntry.score;
+}
+
+/**
+ * Sets the checkpoint comment of a grade of the current student for the current pass and records the
+ * change in the audit trail. A blind second pass leaves the final comment alone.
+ * @param {Object} gradeEntry - The grade entry.
+ * @param {string} text - The new comment.
+ */
+function setCheckpointComment(gradeEntry, text) {
+    const pass = getGradePass(gradeEntry);
+    const blind = isBlindSecondPass(window.currentRepository, currentStudent, gradeEntry);
+    recordGradeEvent(window.currentRepository, {
+        studentId: currentStudent.id, questionId: gradeEntry.questionId, type: 'comment',
+        oldValue: (blind ? gradeEntry.passComments?.second : gradeEntry.comment) ?? '', newValue: text
+    });
+    gradeEntry.passComments = { ...gradeEntry.passComments, [pass]: text };
+    if (!blind) gradeEntry.comment = text;
+}
+
+/**
+ * Saves a single grade entry of the current student to the repository store.
+ * @param {Object} gradeEntry - The grade entry (identified by its questionId).
+ */
+function saveGradeEntry(gradeEntry) {
+    if (!window.currentRepository || !currentStudent) return;
+    saveRepositoryChange(window.currentRepository.id, {
+        op: 'set',
+        path: ['studentSubmissions', { id: currentStudent.id }, 'grades', { questionId: gradeEntry.questionId }],
+        value: gradeEntry
+    }).catch(error => console.error('[GradingView] Failed to save grade:', error));
+}
+
+/**
+ * Saves a single comment on the paper, so edits in another tab to other comments are kept.
+ * @param {Object} commentData - The comment (identified by its id).
+ */
+function saveComment(commentData) {
+    if (!window.currentRepository) return;
+    saveRepositoryChange(window.currentRepository.id, {
+        op: 'set',
+        path: ['appState', 'comments', { id: commentData.id }],
+        value: commentData
+    }).catch(error => console.error('[GradingView] Failed to save comment:', error));
+}
+
+function createCommentId() {
+    return `comment_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
 }
 
 function setupNavigationCircles(questionId) {
@@ -538,6 +785,7 @@ function setupNavigationCircles(questionId) {
 function scrollToCheckpoint(index) {
     const cp = checkpoints[index];
     if (!cp) return;
+    updateGradingRoute({ checkpoint: index + 1 });
     const panel = document.getElementById('grading-panel');
 
     // Calculate the NATURAL position to scroll to
@@ -546,11 +794,12 @@ function scrollToCheckpoint(index) {
 
     if (pageWrapper && panel) {
         const naturalYPercent = parseFloat(cp.data.position.y);
-        const naturalYPixels = (naturalYPercent / 100) * pageWrapper.offsetHeight;
+        const pageOverlay = pageWrapper.querySelector('.page-overlay');
+        const naturalYPixels = (naturalYPercent / 100) * pageOverlay.offsetHeight;
 
         // Calculate the absolute top position of the target point within the scrollable container
-        // We assume pageWrapper is inside the scrollable panel
-        const pageTop = pageWrapper.offsetTop;
+        // We assume pageWrapper is inside the scrollable panel (the overlay is offset when the page is cropped)
+        const pageTop = pageWrapper.offsetTop + pageOverlay.offsetTop;
         const targetTop = pageTop + naturalYPixels;
 
         // Center the target in the panel
@@ -566,6 +815,140 @@ function scrollToCheckpoint(index) {
     }
 }
 
+// --- Keyboard Grading Actions (used by grading-keyboard.js) ---
+let selectedCheckpointIndex = -1;
+
+/**
+ * Returns the student and question being graded.
+ * @returns {{student: Object|null, questionId: string|null}}
+ */
+export function getCurrentGradingTarget() {
+    return { student: currentStudent, questionId: currentQuestionId };
+}
+
+/**
+ * Returns the number of checkpoints shown for the current exam.
+ */
+export function getCheckpointCount() {
+    return checkpoints.length;
+}
+
+/**
+ * Returns the index of the checkpoint selected with the keyboard (-1 if none).
+ */
+export function getSelectedCheckpointIndex() {
+    return selectedCheckpointIndex < checkpoints.length ? selectedCheckpointIndex : -1;
+}
+
+/**
+ * Selects a checkpoint: highlights it and scrolls it into view.
+ * @param {number} index - The checkpoint index (wraps around).
+ */
+export function selectCheckpoint(index) {
+    if (checkpoints.length === 0) return;
+    selectedCheckpointIndex = (index + checkpoints.length) % checkpoints.length;
+    checkpoints.forEach((cp, i) => {
+        cp.element.classList.toggle('ring-2', i === selectedCheckpointIndex);
+        cp.element.classList.toggle('ring-blue-500', i === selectedCheckpointIndex);
+    });
+    scrollToCheckpoint(selectedCheckpointIndex);
+}
+
+/**
+ * Sets the score of a checkpoint as if it had been typed into its input.
+ * @param {number} index - The checkpoint index.
+ * @param {number|null} score - The score (clamped to the max points), or null to clear it.
+ */
+export function setCheckpointScore(index, score) {
+    const cp = checkpoints[index];
+    if (!cp) return;
+    const input = cp.element.querySelector('input[type=number]');
+    const maxPoints = parseFloat(input.max) || 0;
+    input.value = score === null ? '' : Math.min(Math.max(score, 0), maxPoints);
+    window.handleScoreChange(input, cp.data.questionId);
+}
+
+/**
+ * Takes over the AI suggestion as the score of a checkpoint.
+ * @param {number} index - The checkpoint index.
+ */
+export function acceptAiSuggestion(index) {
+    const cp = checkpoints[index];
+    if (!cp || !currentStudent) return;
+    const grade = currentStudent.grades.find(g => g.questionId === cp.data.questionId);
+    if (!grade || typeof grade.aiSuggestedScore !== 'number' || isAiSuggestionHidden(window.currentRepository, grade)) return;
+    setCheckpointScore(index, grade.aiSuggestedScore);
+}
+
+/**
+ * Opens or closes the comment of a checkpoint and focuses it when opened.
+ * @param {number} index - The checkpoint index.
+ */
+export function toggleCheckpointComment(index) {
+    const cp = checkpoints[index];
+    if (!cp) return;
+    cp.element.querySelector('.comment-toggle-btn').click();
+    const body = cp.element.querySelector('.comment-body');
+    if (!body.classList.contains('hidden')) body.querySelector('textarea').focus();
+}
+
+/**
+ * Clicks the Finalize Grade button if it is enabled.
+ * @returns {boolean} Whether the grade was finalized.
+ */
+export function finalizeCurrentGrade() {
+    const finalizeBtn = document.getElementById('finalize-grade-button');
+    if (!finalizeBtn || finalizeBtn.disabled) return false;
+    finalizeBtn.click();
+    return true;
+}
+
+// --- Changes From Other Tabs (see repository-sync.js) ---
+let paperRefreshPending = false;
+
+/**
+ * Shows changes made in another tab on the exam being graded without reloading it: the scores and
+ * comments of the checkpoints (except the field being typed in), the navigation circles, the total
+ * and, if asked, the comments and marks on the paper.
+ * @param {Object} [options]
+ * @param {boolean} [options.paper=false] - The comments or annotations changed.
+ */
+export function refreshCurrentExam({ paper = false } = {}) {
+    if (!currentStudent || !window.currentRepository) return;
+    // The change may have replaced the whole submission
+    currentStudent = window.currentRepository.studentSubmissions.find(s => s.id === currentStudent.id) || currentStudent;
+
+    checkpoints.forEach(cp => {
+        const grade = currentStudent.grades?.find(g => g.questionId === cp.data.questionId) || {};
+        const input = cp.element.querySelector('input[type=number]');
+        const textArea = cp.element.querySelector('.comment-body textarea');
+        if (input && input !== document.activeElement) input.value = getDisplayedScore(grade) ?? '';
+        if (textArea && textArea !== document.activeElement) {
+            const blind = isBlindSecondPass(window.currentRepository, currentStudent, grade);
+            textArea.value = (blind ? grade.passComments?.second : grade.comment) || '';
+        }
+    });
+    setupNavigationCircles(currentQuestionId);
+    updateTotalScoreDisplay();
+    if (paper) refreshPaper();
+}
+
+function refreshPaper() {
+    // Re-rendering would drop the comment being typed: wait until it is left
+    const editing = document.activeElement?.closest('.comment-bubble');
+    if (editing) {
+        if (paperRefreshPending) return;
+        paperRefreshPending = true;
+        editing.addEventListener('focusout', () => setTimeout(() => {
+            paperRefreshPending = false;
+            refreshPaper();
+        }), { once: true });
+        return;
+    }
+    renderComments(currentStudent.id, currentQuestionId);
+    renderAnnotations(currentStudent.id, currentQuestionId);
+}
+
 function updateNavigationCircleStatus(qId, isScored) {
     setupNavigationCircles(currentQuestionId);
 }
@@ -573,7 +956,7 @@ function updateNavigationCircleStatus(qId, isScored) {
 function getStudentScore(qId) {
     if (!currentStudent || !currentStudent.grades) return null;
     const g = currentStudent.grades.find(g => g.questionId === qId);
-    return g ? g.score : null;
+    return g ? getDisplayedScore(g) : null;
 }
 
 // --- UPDATED SCORE LOGIC ---
@@ -616,9 +999,10 @@ function updateTotalScoreDisplay() {
         checkpoints.forEach(cpObj => {
             const qId = cpObj.data.questionId;
             const grade = currentStudent.grades?.find(g => g.questionId === qId);
+            const score = getDisplayedScore(grade);
 
-            if (grade && grade.score !== null && grade.score !== undefined && grade.score !== '') {
-                currentTotalScore += parseInt(grade.score);
+            if (score !== null && score !== undefined && score !== '') {
+                currentTotalScore += parseFloat(score);
             } else {
                 allAssigned = false;
             }
@@ -654,34 +1038,61 @@ function setupFinalizeButtonListener() {
         finalizeBtn.onclick = () => {
             if (finalizeBtn.disabled) return;
 
-            // Mark all visible checkpoints as graded manually
-            if (checkpoints.length > 0) {
-                checkpoints.forEach(cp => {
-                    updateManualGradingStatus(window.currentRepository, currentStudent.name, cp.data.questionId, 1, () => { });
-                });
-            } else {
-                // Fallback for single question view
-                updateManualGradingStatus(window.currentRepository, currentStudent.name, currentQuestionId, 1, () => { });
-            }
+            // Mark all visible questions as graded manually: finalizing after the first pass completes the
+            // second, unless it is the first pass's grader finalizing again
+            const graderId = getCurrentGrader(window.currentRepository)?.id ?? null;
+            let waitsForSecondGrader = false;
+            const finalize = (questionId) => {
+                const status = currentStudent.grades.find(g => g.questionId === questionId)?.manualStatus || 0;
+                let newStatus = Math.min(status + 1, 2);
+                if (status === 1) {
+                    const firstGraderId = getFirstPassGraderId(window.currentRepository, currentStudent, questionId);
+                    if (firstGraderId && firstGraderId === graderId) {
+                        newStatus = 1;
+                        waitsForSecondGrader = true;
+                    }
+                }
+                updateManualGradingStatus(window.currentRepository, currentStudent.name, questionId, newStatus, () => { }, { eventType: 'finalize' });
+                // A finished blind second pass settles the final score (or waits for reconciliation)
+                const grade = currentStudent.grades.find(g => g.questionId === questionId);
+                if (status === 1 && newStatus === 2 && grade) completeSecondPass(window.currentRepository, currentStudent, grade);
+            };
+            // Several checkpoints can belong to one question: finalize each question once
+            const questionIds = checkpoints.length > 0
+                ? new Set(checkpoints.map(cp => cp.data.questionId))
+                : new Set([currentQuestionId]); // Fallback for single question view
+            questionIds.forEach(finalize);
 
             finalizeBtn.setAttribute('disabled', 'true');
             finalizeBtn.classList.add('opacity-50', 'cursor-not-allowed');
-            finalizeBtn.innerText = "Graded";
+            finalizeBtn.innerText = waitsForSecondGrader ? "Waiting for 2nd grader" : "Graded";
         };
     }
 }
 
 function renderComments(studentId, questionId) {
-    const container = document.getElementById('grading-overlay-container');
+    const container = document.getElementById('pdf-page-container');
     if (!container) return;
     container.querySelectorAll('.comment-bubble').forEach(el => el.remove());
     const repoComments = window.currentRepository.appState.comments || [];
-    const relevantComments = repoComments.filter(c => c.studentId === studentId && c.questionId === questionId);
+    const student = window.currentRepository.studentSubmissions.find(s => s.id === studentId);
+    const relevantComments = repoComments.filter(c => c.studentId === studentId && c.questionId === questionId
+        && !isMarkHiddenInBlindPass(window.currentRepository, student, c));
     relevantComments.forEach(comment => createCommentElement(comment));
 }
 
+/**
+ * Returns the overlay of the page a comment is on, or the first shown page if that page is not shown.
+ */
+function getCommentPageOverlay(commentData) {
+    const container = document.getElementById('pdf-page-container');
+    return container.querySelector(`.page-overlay[data-page-number="${commentData.page}"]`)
+        || container.querySelector('.page-overlay');
+}
+
 function createCommentElement(commentData) {
-    const container = document.getElementById('grading-overlay-container');
+    const container = getCommentPageOverlay(commentData);
+    if (!container) return null;
     const el = document.createElement('div');
     el.className = 'comment-bubble absolute z-30 bg-[#1e293b] border border-gray-700 shadow-xl rounded-xl w-[260px] transition-transform duration-200 pointer-events-auto';
     el.style.left = commentData.position.x;
@@ -698,14 +1109,33 @@ function createCommentElement(commentData) {
             </button>
         </div>
         <div class="p-3">
-            <textarea class="w-full text-sm bg-transparent border-none focus:ring-0 resize-y text-gray-200 placeholder-gray-500 min-h-[60px]" placeholder="Type your comment...">${commentData.text}</textarea>
+            <textarea class="w-full text-sm bg-transparent border-none focus:ring-0 resize-y text-gray-200 placeholder-gray-500 min-h-[60px]" placeholder="Type your comment..."></textarea>
+            <div class="flex justify-end">
+                <button class="save-snippet-btn flex items-center gap-1 text-xs text-gray-400 hover:text-blue-400" title="Save as a reusable snippet for this question">
+                    <span class="material-symbols-outlined text-sm">bookmark_add</span> Save to bank
+                </button>
+            </div>
         </div>
     `;
 
     const textarea = el.querySelector('textarea');
+    // Set as a value, not in the template: comments come from every TA
+    textarea.value = commentData.text || '';
     textarea.addEventListener('input', (e) => {
         commentData.text = e.target.value;
-        saveRepositoryState();
+        saveComment(commentData);
+    });
+
+    attachSnippetSuggestions(textarea, {
+        getQuestionId: () => commentData.questionId,
+        onApply: (snippet) => {
+            commentData.text = textarea.value;
+            commentData.snippetIds = [...new Set([...(commentData.snippetIds || []), snippet.id])];
+            saveComment(commentData);
+        }
+    });
+    el.querySelector('.save-snippet-btn').addEventListener('click', () => {
+        if (saveCommentAsSnippet(window.currentRepository, commentData.questionId, textarea.value)) renderCommentBank();
     });
 
     el.querySelector('.delete-btn').addEventListener('click', () => {
@@ -713,7 +1143,8 @@ function createCommentElement(commentData) {
         const idx = window.currentRepository.appState.comments.indexOf(commentData);
         if (idx > -1) {
             window.currentRepository.appState.comments.splice(idx, 1);
-            saveRepositoryState();
+            saveRepositoryChange(window.currentRepository.id, { op: 'remove', path: ['appState', 'comments', { id: commentData.id }] })
+                .catch(error => console.error('[GradingView] Failed to delete comment:', error));
         }
     });
 
@@ -734,31 +1165,53 @@ function startDragComment(e, el, data) {
     const onDragComment = (e) => {
         if (!isDragging || !draggedElement) return;
         e.preventDefault();
-        const overlayContainer = document.getElementById('grading-overlay-container');
-        const containerRect = overlayContainer.getBoundingClientRect();
-        let newLeft = e.clientX - dragOffsetX - containerRect.left;
-        let newTop = e.clientY - dragOffsetY - containerRect.top;
-
-        if (newLeft < 0) newLeft = 0;
-        if (newTop < 0) newTop = 0;
-
-        draggedElement.style.left = `${newLeft}px`;
-        draggedElement.style.top = `${newTop}px`;
-        data.position.x = `${(newLeft / containerRect.width) * 100}%`;
-        data.position.y = `${(newTop / containerRect.height) * 100}%`;
+        const containerRect = el.parentElement.getBoundingClientRect();
+        draggedElement.style.left = `${e.clientX - dragOffsetX - containerRect.left}px`;
+        draggedElement.style.top = `${e.clientY - dragOffsetY - containerRect.top}px`;
     };
 
     const stopDragComment = () => {
+        // The comment may have been dropped on another page: attach it to the page under its corner
+        const rect = el.getBoundingClientRect();
+        const point = pagePointFromClient(pagesFromOverlays(document.getElementById('pdf-page-container')), rect.left, rect.top);
+        if (point) {
+            data.page = point.page;
+            data.position = point.position;
+            const pageOverlay = getCommentPageOverlay(data);
+            if (pageOverlay !== el.parentElement) pageOverlay.appendChild(el);
+            el.style.left = data.position.x;
+            el.style.top = data.position.y;
+        }
         isDragging = false;
         draggedElement = null;
         document.removeEventListener('mousemove', onDragComment);
         document.removeEventListener('mouseup', stopDragComment);
-        saveRepositoryState();
+        saveComment(data);
     };
     document.addEventListener('mousemove', onDragComment);
     document.addEventListener('mouseup', stopDragComment);
 }
 
+/**
+ * Renders the comment bank tab (grading.html) for the question being graded.
+ * Free comments are stored on the question that was open; subquestion checkpoints have their own bank.
+ */
+export function renderCommentBank() {
+    const container = document.getElementById('comment-bank-list');
+    if (!container) return;
+    const question = window.currentRepository?.questions.find(q => q.id === currentQuestionId);
+    const questionIds = currentQuestionId
+        ? [currentQuestionId, ...(question?.subquestions || []).map(sq => sq.id)]
+        : [];
+    renderCommentBankPanel(container, questionIds, {
+        onPropagated: () => {
+            // Show the rewritten comments
+            renderGradingCheckpoints(currentQuestionId);
+            renderComments(currentStudent.id, currentQuestionId);
+        }
+    });
+}
+
 function setupComments() {
     const addBtn = document.getElementById('add-comment-btn');
     if (addBtn) {
@@ -766,18 +1219,27 @@ function setupComments() {
         addBtn.parentNode.replaceChild(newBtn, addBtn);
         newBtn.addEventListener('click', () => {
             if (!currentStudent || !currentQuestionId) return;
+            // Place the comment near the top of what is on screen
+            const panelRect = document.getElementById('grading-panel').getBoundingClientRect();
+            const point = pagePointFromClient(pagesFromOverlays(document.getElementById('pdf-page-container')),
+                panelRect.left + panelRect.width / 2 - 130, panelRect.top + 80);
+            if (!point) return;
             const newComment = {
+                id: createCommentId(),
                 studentId: currentStudent.id,
                 questionId: currentQuestionId,
                 text: '',
-                position: { x: '50%', y: '20%' }
+                page: point.page,
+                position: point.position,
+                pass: getMarkPass(window.currentRepository, currentStudent, currentQuestionId),
+                graderId: getCurrentGrader(window.currentRepository)?.id ?? null
             };
             if (!window.currentRepository.appState.comments) {
                 window.currentRepository.appState.comments = [];
             }
             window.currentRepository.appState.comments.push(newComment);
             createCommentElement(newComment);
-            saveRepositoryState();
+            saveComment(newComment);
         });
     }
 }
@@ -831,6 +1293,8 @@ export function initializeScrollToRubricButtons() {
         const rubricContent = document.getElementById('rubric-content');
         const referenceContent = document.getElementById('reference-content');
         const broadcastsContent = document.getElementById('broadcasts-content');
+        const commentBankTabBtn = document.getElementById('comment-bank-tab-btn');
+        const commentBankContent = document.getElementById('comment-bank-content');
         const pdfZoomControls = document.getElementById('pdf-zoom-controls');
         const rightPanelFooter = document.getElementById('right-panel-footer');
 
@@ -839,13 +1303,13 @@ export function initializeScrollToRubricButtons() {
             console.log("[RubricScroll] Switching to Rubric tab manually");
 
             // Deactivate others
-            [rubricTabBtn, referenceTabBtn, broadcastsTabBtn].forEach(btn => {
+            [rubricTabBtn, referenceTabBtn, broadcastsTabBtn, commentBankTabBtn].forEach(btn => {
                 if (btn) {
                     btn.classList.remove('text-primary', 'border-primary', 'bg-primary/10');
                     btn.classList.add('text-gray-500', 'dark:text-gray-400', 'hover:bg-gray-100', 'dark:hover:bg-gray-700/50', 'hover:text-primary', 'border-transparent');
                 }
             });
-            [rubricContent, referenceContent, broadcastsContent].forEach(content => {
+            [rubricContent, referenceContent, broadcastsContent, commentBankContent].forEach(content => {
                 if (content) content.classList.add('hidden');
             });
 
@@ -892,13 +1356,10 @@ export function initializeScrollToRubricButtons() {
             if (targetPageCanvas) {
                 console.log("[RubricScroll] Target canvas found. Scrolling and highlighting.");
 
-                // Calculate position
-                // position.y is a percentage string like "95%"
-                const yPercent = parseFloat(rubricPosition.y);
-                const xPercent = parseFloat(rubricPosition.x);
-
-                const topPx = (yPercent / 100) * targetPageCanvas.height;
-                const leftPx = (xPercent / 100) * targetPageCanvas.width;
+                // position is in percentages of the rubric page; use the displayed size of the canvas,
+                // not its bitmap size (which depends on the render scale and pixel ratio)
+                const pageWidth = targetPageCanvas.offsetWidth;
+                const pageHeight = targetPageCanvas.offsetHeight;
 
                 // Scroll to the specific position
                 // We need to account for the canvas's offset within the container
@@ -944,17 +1405,17 @@ export function initializeScrollToRubricButtons() {
                 highlightBox.style.transition = 'opacity 0.5s';
 
                 // Define a fixed size for the highlight box, centered on the target
-                const boxWidth = targetPageCanvas.width * 0.95; // 95% of page width
-                const boxHeight = targetPageCanvas.height * 0.95; // 95% of page height
+                const boxWidth = pageWidth * 0.95; // 95% of page width
+                const boxHeight = pageHeight * 0.95; // 95% of page height
 
                 highlightBox.style.width = `${boxWidth}px`;
                 highlightBox.style.height = `${boxHeight}px`;
 
                 // Center horizontally
-                highlightBox.style.left = `${targetPageCanvas.offsetLeft + (targetPageCanvas.width - boxWidth) / 2}px`;
+                highlightBox.style.left = `${targetPageCanvas.offsetLeft + (pageWidth - boxWidth) / 2}px`;
 
                 // Center vertically on the PAGE, not the specific point
-                highlightBox.style.top = `${targetPageCanvas.offsetTop + (targetPageCanvas.height - boxHeight) / 2}px`;
+                highlightBox.style.top = `${targetPageCanvas.offsetTop + (pageHeight - boxHeight) / 2}px`;
 
                 rubricContainer.appendChild(highlightBox);
 
@@ -1,3 +1,5 @@
+import { startGradingQueue } from './grading-queue.js';
+
 /**
  * Initializes the TA Workload section.
  * @param {Object} repository - The exam repository.
@@ -98,8 +100,16 @@ export function renderAssignedWorkload(taId, repository) {
         taskItem.innerHTML = `
             <span class="font-medium text-gray-700 dark:text-gray-200 text-sm truncate">${displayName}</span>
             ${versionBadge}
+            <button class="start-task-queue-btn ml-1 p-0.5 rounded text-gray-400 hover:text-primary hover:bg-primary/10 flex items-center" title="Grade every student for this task">
+                <span class="material-symbols-outlined text-base">play_arrow</span>
+            </button>
         `;
 
+        taskItem.querySelector('.start-task-queue-btn').addEventListener('click', (e) => {
+            e.stopPropagation(); // Don't apply the filter as well
+            startGradingQueue(task.taskId);
+        });
+
         taskItem.addEventListener('click', () => {
             // Remove active state from all others
             workloadContainer.querySelectorAll('div').forEach(el => {
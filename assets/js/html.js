@@ -0,0 +1,16 @@
+/**
+ * Helpers for building HTML from repository data. Repositories are shared between tabs and, with
+ * the collaboration server, between TAs: any text in them has to be escaped before it goes into
+ * `innerHTML`.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes text for use in HTML content and quoted attribute values.
+ * @param {*} text - The text (other values are converted to a string).
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
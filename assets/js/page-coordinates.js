@@ -0,0 +1,106 @@
+/**
+ * The coordinate model shared by every viewer (exam template editor, grading view, rubric viewer):
+ * a point is a page number plus its position on that page in percentages of the page size,
+ *   { page: 2, position: { x: '40%', y: '12.5%' } }
+ * so it does not depend on zoom, window width or how many pages are stacked above it.
+ *
+ * Pixels only exist while something is on screen. They are derived from the element showing the
+ * page: a canvas in the template editor and the rubric viewer, a `.page-overlay` in the grading view.
+ */
+
+/**
+ * Formats a number as a percentage string (at most two decimals).
+ * @param {number} value - The percentage.
+ * @returns {string} e.g. '12.5%'.
+ */
+export function toPercent(value) {
+    return `${+value.toFixed(2)}%`;
+}
+
+const clamp = value => Math.min(Math.max(value, 0), 100);
+
+/**
+ * Converts a point on screen to a page point.
+ *
+ * @param {Array<{page: number, element: HTMLElement}>} pages - The elements showing the pages.
+ * @param {number} clientX - The x position in viewport pixels.
+ * @param {number} clientY - The y position in viewport pixels.
+ * @returns {{page: number, position: {x: string, y: string}}|null} The page under the point (or the
+ *   closest one, clamped to its edges), or null if no page is shown.
+ */
+export function pagePointFromClient(pages, clientX, clientY) {
+    if (pages.length === 0) return null;
+
+    let closest = null;
+    let closestDistance = Infinity;
+    pages.forEach(entry => {
+        const rect = entry.element.getBoundingClientRect();
+        const distance = clientY < rect.top ? rect.top - clientY : clientY > rect.bottom ? clientY - rect.bottom : 0;
+        if (distance < closestDistance) {
+            closest = { ...entry, rect };
+            closestDistance = distance;
+        }
+    });
+
+    const { page, rect } = closest;
+    return {
+        page,
+        position: {
+            x: toPercent(clamp((clientX - rect.left) / rect.width * 100)),
+            y: toPercent(clamp((clientY - rect.top) / rect.height * 100))
+        }
+    };
+}
+
+/**
+ * Converts a page point to a point on screen.
+ * @param {HTMLElement} element - The element showing the page.
+ * @param {{x: string, y: string}} position - The position on the page.
+ * @returns {{x: number, y: number}} The position in viewport pixels.
+ */
+export function clientFromPagePoint(element, position) {
+    const rect = element.getBoundingClientRect();
+    return {
+        x: rect.left + parseFloat(position.x) / 100 * rect.width,
+        y: rect.top + parseFloat(position.y) / 100 * rect.height
+    };
+}
+
+/**
+ * Converts a position on the whole document (all pages stacked, as comments were placed before pages
+ * were tracked) to a page point, assuming pages of equal height.
+ * @param {{x: string, y: string}} position - The position on the document.
+ * @param {number} pageCount - The number of pages in the document.
+ * @returns {{page: number, position: {x: string, y: string}}}
+ */
+export function pagePointFromDocument(position, pageCount) {
+    const count = Math.max(pageCount, 1);
+    const documentY = clamp(parseFloat(position.y) || 0) / 100 * count;
+    const pageIndex = Math.min(Math.floor(documentY), count - 1);
+    return {
+        page: pageIndex + 1,
+        position: { x: toPercent(clamp(parseFloat(position.x) || 0)), y: toPercent((documentY - pageIndex) * 100) }
+    };
+}
+
+/**
+ * Lists canvases rendered one per page (template editor, rubric viewer) as page elements.
+ * @param {Iterable<HTMLCanvasElement>} canvases - The canvases, in page order.
+ * @returns {Array<{page: number, element: HTMLElement}>}
+ */
+export function pagesFromCanvases(canvases) {
+    return Array.from(canvases, (element, index) => ({ page: index + 1, element }));
+}
+
+/**
+ * Lists the page overlays of the grading view as page elements. Only rendered pages are included,
+ * so cropped views work the same way.
+ * @param {HTMLElement} container - The PDF page container.
+ * @returns {Array<{page: number, element: HTMLElement}>}
+ */
+export function pagesFromOverlays(container) {
+    return Array.from(container.querySelectorAll('.page-overlay'), element => ({
+        page: parseInt(element.dataset.pageNumber, 10),
+        element
+    }));
+}
@@ -1,15 +1,127 @@
+import { resolveFileUrl } from './repository-store.js';
+
 
 // Global counter to track the active render task
 let currentRenderId = 0;
 
+// --- Caches ---
+// Loaded documents and rendered pages are kept per student URL, so switching questions of the same
+// student (or coming back to a student) neither reloads nor re-renders the PDF.
+const MAX_CACHED_DOCUMENTS = 6;
+const MAX_CACHED_BITMAP_BYTES = 160 * 1024 * 1024; // RGBA canvases, roughly 4 MB per page at panel width
+const PRERENDER_MARGIN = '100% 0px'; // Render pages within one panel height of the viewport
+
+const documentCache = new Map(); // pdfUrl -> Promise<PDFDocumentProxy>, least recently used first
+const bitmapCache = new Map();   // `${pdfUrl}|${page}|${width}|${region}` -> { canvas, bytes }
+let bitmapCacheBytes = 0;
+let pageObserver = null;
+
+/**
+ * Moves a Map entry to the end (most recently used).
+ */
+function touch(map, key) {
+    const value = map.get(key);
+    map.delete(key);
+    map.set(key, value);
+    return value;
+}
+
+/**
+ * Returns the loaded PDF document of a URL, loading it only once.
+ * @param {string} pdfUrl - The submission URL (as stored in the repository).
+ * @returns {Promise<Object>} The pdf.js document.
+ */
+function getPdfDocument(pdfUrl) {
+    if (documentCache.has(pdfUrl)) return touch(documentCache, pdfUrl);
+
+    const pdfjsLib = window.pdfjsLib;
+    pdfjsLib.GlobalWorkerOptions.workerSrc = window.pdfjsWorker;
+    const loading = resolveFileUrl(pdfUrl).then(url => pdfjsLib.getDocument(url).promise);
+    loading.catch(() => documentCache.delete(pdfUrl)); // Let a failed load be retried
+    documentCache.set(pdfUrl, loading);
+
+    while (documentCache.size > MAX_CACHED_DOCUMENTS) {
+        const [oldestUrl, oldest] = documentCache.entries().next().value;
+        documentCache.delete(oldestUrl);
+        // Its rendered pages stay cached until they are evicted on their own
+        oldest.then(pdf => pdf.destroy()).catch(() => { });
+    }
+    return loading;
+}
+
+function cacheBitmap(key, canvas) {
+    const bytes = canvas.width * canvas.height * 4;
+    if (bitmapCache.has(key)) bitmapCacheBytes -= bitmapCache.get(key).bytes;
+    bitmapCache.set(key, { canvas, bytes });
+    bitmapCacheBytes += bytes;
+
+    for (const [oldestKey, entry] of bitmapCache) {
+        if (bitmapCacheBytes <= MAX_CACHED_BITMAP_BYTES || oldestKey === key) break;
+        bitmapCache.delete(oldestKey);
+        bitmapCacheBytes -= entry.bytes;
+    }
+}
+
+/**
+ * Works out the size of a page in the viewer: the page is scaled to the panel width, and a cropped
+ * page only keeps its answer region (at the same scale as the full page).
+ */
+function getPageLayout(page, desiredWidth, region) {
+    const viewport = page.getViewport({ scale: 1 });
+    const scale = desiredWidth / viewport.width;
+    const fullViewport = page.getViewport({ scale });
+    const box = region || { x: 0, y: 0, width: 100, height: 100 };
+    return {
+        box,
+        viewport: page.getViewport({
+            scale,
+            offsetX: -box.x / 100 * fullViewport.width,
+            offsetY: -box.y / 100 * fullViewport.height
+        }),
+        width: Math.round(box.width / 100 * fullViewport.width),
+        height: Math.round(box.height / 100 * fullViewport.height)
+    };
+}
+
+/**
+ * Returns the rendered canvas of a page, from the cache or freshly rendered.
+ */
+async function getRenderedPage(pdfUrl, page, layout) {
+    const { box, viewport, width, height } = layout;
+    const key = `${pdfUrl}|${page.pageNumber}|${width}|${box.x},${box.y},${box.width},${box.height}`;
+    if (bitmapCache.has(key)) return touch(bitmapCache, key).canvas;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'block';
+    canvas.width = width;
+    canvas.height = height;
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    cacheBitmap(key, canvas);
+    return canvas;
+}
+
 /**
- * Initializes the PDF viewer and renders the document.
- * Wraps each page in a relative container for precise overlay positioning.
- * 
+ * Returns the width pages are rendered at in the grading panel.
+ */
+function getDesiredWidth(pdfPageContainer) {
+    const containerStyle = window.getComputedStyle(pdfPageContainer);
+    return pdfPageContainer.clientWidth - parseFloat(containerStyle.paddingLeft) - parseFloat(containerStyle.paddingRight) - 10;
+}
+
+/**
+ * Initializes the PDF viewer and lays out the document.
+ * Wraps each page in a relative container for precise overlay positioning. The wrappers get their
+ * final size right away; the pages themselves are rendered when they come near the viewport.
+ *
  * @param {string} pdfUrl - URL of the PDF to render.
  * @param {number|string} pageToShow - Page number to scroll to after rendering.
+ * @param {Object} [options]
+ * @param {number} [options.offsetRatio] - Scroll to this share of the page's height instead of its top
+ *   (see getPdfViewPosition), without animation.
+ * @param {Object} [options.crop] - Only render these pages, cut to their answer regions
+ *   (see getQuestionCrop in question-regions.js).
  */
-export async function initializePdfViewer(pdfUrl, pageToShow) {
+export async function initializePdfViewer(pdfUrl, pageToShow, { offsetRatio = null, crop = null } = {}) {
     const pdfPageContainer = document.getElementById('pdf-page-container');
     const gradingPanel = document.getElementById('grading-panel');
     if (!pdfPageContainer) return;
@@ -17,30 +129,36 @@ export async function initializePdfViewer(pdfUrl, pageToShow) {
     // 1. Update Globals so ResizeObserver knows what to re-render
     if (pdfUrl) window.currentPdfUrl = pdfUrl;
     if (pageToShow) window.currentPageNumber = pageToShow;
+    window.currentPdfCrop = crop;
 
     // 2. Concurrency Control: Create a unique ID for THIS render attempt
     const myRenderId = ++currentRenderId;
 
     if (!pdfUrl) pdfUrl = 'assets/exams/dummy-exam.pdf';
 
-    const pdfjsLib = window.pdfjsLib;
-    if (!pdfjsLib) {
+    if (!window.pdfjsLib) {
         console.error("PDF.js library not loaded.");
         return;
     }
-    pdfjsLib.GlobalWorkerOptions.workerSrc = window.pdfjsWorker;
 
     try {
-        const pdf = await pdfjsLib.getDocument(pdfUrl).promise;
+        const pdf = await getPdfDocument(pdfUrl);
 
         // STOP if a newer render has started since we began loading
         if (myRenderId !== currentRenderId) return;
 
         const numPages = pdf.numPages;
         console.log(`[PdfRender] PDF loaded. Pages: ${numPages}`);
-        const pagesToRender = Array.from({ length: numPages }, (_, i) => i + 1);
+        const pagesToRender = crop
+            ? crop.pages.filter(pageNum => pageNum >= 1 && pageNum <= numPages)
+            : Array.from({ length: numPages }, (_, i) => i + 1);
+
+        // Page sizes are needed for the layout; getPage does not render anything
+        const pages = await Promise.all(pagesToRender.map(pageNum => pdf.getPage(pageNum)));
+        if (myRenderId !== currentRenderId) return false;
 
         // Clear OLD content
+        if (pageObserver) pageObserver.disconnect();
         pdfPageContainer.innerHTML = '';
         // Re-add the global overlay container
         const globalOverlay = document.createElement('div');
@@ -48,58 +166,65 @@ export async function initializePdfViewer(pdfUrl, pageToShow) {
         globalOverlay.className = 'absolute inset-0 pointer-events-none z-10';
         pdfPageContainer.appendChild(globalOverlay);
 
+        const desiredWidth = getDesiredWidth(pdfPageContainer);
+        const pageLayouts = new Map();
 
-        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-            // STOP immediately if a newer render has started
-            if (myRenderId !== currentRenderId) return;
+        pageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                const pageWrapper = entry.target;
+                pageObserver.unobserve(pageWrapper);
 
-            const page = await pdf.getPage(pageNum);
+                const { page, layout } = pageLayouts.get(pageWrapper);
+                getRenderedPage(pdfUrl, page, layout).then(canvas => {
+                    if (myRenderId !== currentRenderId) return;
+                    pageWrapper.querySelector('.page-placeholder').replaceWith(canvas);
+                }).catch(error => console.error(`[PdfRender] Failed to render page ${page.pageNumber}:`, error));
+            });
+        }, { root: gradingPanel, rootMargin: PRERENDER_MARGIN });
 
-            // Viewport math
-            // We need to calculate scale based on the container width
-            const containerStyle = window.getComputedStyle(pdfPageContainer);
-            const desiredWidth = pdfPageContainer.clientWidth - parseFloat(containerStyle.paddingLeft) - parseFloat(containerStyle.paddingRight) - 10;
-            const viewport = page.getViewport({ scale: 1 });
-            const scale = desiredWidth / viewport.width;
-            console.log(`[PdfRender] Page ${pageNum}: Container Width: ${pdfPageContainer.clientWidth}, Desired: ${desiredWidth}, Viewport: ${viewport.width}, Scale: ${scale}`);
-            const scaledViewport = page.getViewport({ scale });
+        pages.forEach(page => {
+            const pageNum = page.pageNumber;
+            const layout = getPageLayout(page, desiredWidth, crop?.regions[pageNum]);
+            const { box, width, height } = layout;
 
             // Create Page Wrapper
             const pageWrapper = document.createElement('div');
             pageWrapper.className = 'page-wrapper relative mb-4 shadow-md';
             pageWrapper.setAttribute('data-page-number', pageNum);
-            pageWrapper.style.width = `${scaledViewport.width}px`;
-            pageWrapper.style.height = `${scaledViewport.height}px`;
+            pageWrapper.style.width = `${width}px`;
+            pageWrapper.style.height = `${height}px`;
 
-            // Create Canvas
-            const canvas = document.createElement('canvas');
-            canvas.className = 'block';
-            const context = canvas.getContext('2d');
-            canvas.height = scaledViewport.height;
-            canvas.width = scaledViewport.width;
+            // Placeholder until the page is rendered
+            const placeholder = document.createElement('div');
+            placeholder.className = 'page-placeholder w-full h-full bg-white dark:bg-gray-800 animate-pulse';
 
-            // Create Page Overlay
+            // Create Page Overlay: always the size of the full page, so positions in % of the page still work
             const pageOverlay = document.createElement('div');
-            pageOverlay.className = 'page-overlay absolute inset-0 pointer-events-none z-20';
+            pageOverlay.className = 'page-overlay absolute pointer-events-none z-20';
             pageOverlay.setAttribute('data-page-number', pageNum);
+            pageOverlay.style.left = `${-box.x / box.width * 100}%`;
+            pageOverlay.style.top = `${-box.y / box.height * 100}%`;
+            pageOverlay.style.width = `${100 / box.width * 100}%`;
+            pageOverlay.style.height = `${100 / box.height * 100}%`;
+            if (crop?.regions[pageNum]) {
+                pageWrapper.dataset.cropped = 'true';
+                const label = document.createElement('span');
+                label.className = 'absolute -top-4 left-0 text-[10px] text-gray-400';
+                label.textContent = `Page ${pageNum} · answer region`;
+                pageWrapper.appendChild(label);
+            }
 
             // Assemble
-            pageWrapper.appendChild(canvas);
+            pageWrapper.appendChild(placeholder);
             pageWrapper.appendChild(pageOverlay);
 
             // Insert before global overlay to keep DOM clean, though z-index handles stacking
             pdfPageContainer.insertBefore(pageWrapper, globalOverlay);
 
-            const renderContext = {
-                canvasContext: context,
-                viewport: scaledViewport
-            };
-
-            await page.render(renderContext).promise;
-        }
-
-        // Final check before UI updates
-        if (myRenderId !== currentRenderId) return false;
+            pageLayouts.set(pageWrapper, { page, layout });
+            pageObserver.observe(pageWrapper);
+        });
 
         // Trigger arrow setup if it exists globally
         if (typeof window.setupArrows === 'function') {
@@ -109,9 +234,12 @@ export async function initializePdfViewer(pdfUrl, pageToShow) {
         // Scroll Logic
         if (pageToShow && gradingPanel) {
             const targetPageNum = parseInt(pageToShow);
-            const targetWrapper = pdfPageContainer.querySelector(`.page-wrapper[data-page-number="${targetPageNum}"]`);
+            const targetWrapper = pdfPageContainer.querySelector(`.page-wrapper[data-page-number="${targetPageNum}"]`)
+                || pdfPageContainer.querySelector('.page-wrapper');
 
-            if (targetWrapper) {
+            if (targetWrapper && offsetRatio !== null) {
+                gradingPanel.scrollTop = targetWrapper.offsetTop + offsetRatio * targetWrapper.offsetHeight;
+            } else if (targetWrapper) {
                 setTimeout(() => {
                     gradingPanel.scrollTo({
                         top: targetWrapper.offsetTop - 20,
@@ -127,3 +255,46 @@ export async function initializePdfViewer(pdfUrl, pageToShow) {
         return false;
     }
 }
+
+/**
+ * Loads another student's PDF in the background and renders the page they will be opened at, so
+ * moving on to them is instant.
+ * @param {string} pdfUrl - The submission URL.
+ * @param {number|string} pageToShow - The page to render.
+ * @param {Object} [options]
+ * @param {Object} [options.crop] - The answer regions (see initializePdfViewer).
+ */
+export async function prefetchPdf(pdfUrl, pageToShow, { crop = null } = {}) {
+    const pdfPageContainer = document.getElementById('pdf-page-container');
+    if (!pdfUrl || !pdfPageContainer || !window.pdfjsLib) return;
+
+    try {
+        const pdf = await getPdfDocument(pdfUrl);
+        const pageNum = parseInt(pageToShow, 10) || crop?.pages[0] || 1;
+        if (pageNum > pdf.numPages) return;
+        const page = await pdf.getPage(pageNum);
+        await getRenderedPage(pdfUrl, page, getPageLayout(page, getDesiredWidth(pdfPageContainer), crop?.regions[pageNum]));
+        console.log(`[PdfRender] Prefetched page ${pageNum} of ${pdfUrl}.`);
+    } catch (error) {
+        console.warn(`[PdfRender] Could not prefetch ${pdfUrl}:`, error);
+    }
+}
+
+/**
+ * Returns where the grading panel is currently scrolled to, so another exam can be opened at the
+ * same spot.
+ * @returns {{page: number, offsetRatio: number}|null} The page at the top of the panel and how far
+ *   into it the panel is scrolled, or null if no PDF is shown.
+ */
+export function getPdfViewPosition() {
+    const gradingPanel = document.getElementById('grading-panel');
+    const wrappers = gradingPanel ? Array.from(gradingPanel.querySelectorAll('.page-wrapper')) : [];
+    if (wrappers.length === 0) return null;
+
+    const scrollTop = gradingPanel.scrollTop;
+    const wrapper = wrappers.find(w => w.offsetTop + w.offsetHeight > scrollTop) || wrappers[wrappers.length - 1];
+    return {
+        page: parseInt(wrapper.dataset.pageNumber, 10),
+        offsetRatio: (scrollTop - wrapper.offsetTop) / wrapper.offsetHeight
+    };
+}
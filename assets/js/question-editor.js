@@ -0,0 +1,182 @@
+/**
+ * Editable question tree used by the Manage Resources modal and the new repository wizard.
+ * Every input writes straight back into the question object it was rendered from.
+ */
+
+/**
+ * Returns the next free subquestion ID and name for a question (e.g. 'Q3C' / '3.C').
+ * @param {Object} question - The parent question.
+ * @returns {{id: string, name: string}}
+ */
+function nextSubquestionId(question) {
+    const existing = new Set((question.subquestions || []).map(sq => sq.id));
+    const number = question.id.replace(/^Q/, '');
+    for (let code = 65; code <= 90; code++) {
+        const letter = String.fromCharCode(code);
+        const id = `${question.id}${letter}`;
+        if (!existing.has(id)) return { id, name: `${number}.${letter}` };
+    }
+    return { id: `${question.id}-${existing.size + 1}`, name: `${number}.${existing.size + 1}` };
+}
+
+/**
+ * Returns the next free top-level question ID (e.g. 'Q5').
+ * @param {Array} questions - The list of top-level questions.
+ * @returns {string}
+ */
+export function nextQuestionId(questions) {
+    let number = questions.length + 1;
+    while (questions.some(q => q.id === `Q${number}`)) number++;
+    return `Q${number}`;
+}
+
+/**
+ * Creates the element for a question (and, recursively, its subquestions).
+ *
+ * @param {Object} questionData - The question object; edits are written back into it.
+ * @param {Object} [options]
+ * @param {Array} [options.siblings] - The array that holds the question (needed for deleting).
+ * @param {Object} [options.parent] - The parent question, if this is a subquestion.
+ * @param {Function} [options.onSelect] - Called with (questionData, header) when the header is clicked.
+ * @param {Function} [options.onChange] - Called after any edit, deletion or added subquestion.
+ * @returns {HTMLElement} The question element.
+ */
+export function createQuestionElement(questionData, options = {}) {
+    const { siblings, parent, onSelect, onChange } = options;
+    const { id, name, pages, subquestions } = questionData;
+    const isSubquestion = Boolean(parent);
+    const hasSubquestions = Boolean(subquestions && subquestions.length > 0);
+    const notifyChange = () => { if (onChange) onChange(questionData); };
+
+    const questionWrapper = document.createElement('div');
+    questionWrapper.className = isSubquestion ? 'ml-6' : '';
+    questionWrapper.dataset.questionId = id;
+
+    // Questions with subquestions are worth the sum of their subquestions; leaves have their own points
+    const pointsHTML = hasSubquestions
+        ? `<span class="total-points">${subquestions.reduce((sum, sq) => sum + (sq.points || 0), 0)} pts</span>`
+        : `<input type="number" min="0" value="${questionData.points ?? 0}" class="question-points-input bg-transparent border-b w-12 text-center p-0 focus:ring-0 focus:border-primary"><span>pts</span>`;
+
+    const headerHTML = `
+        <div class="question-item-header flex items-center justify-between p-2 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700/50 cursor-pointer">
+            <div class="flex items-center gap-2 flex-grow">
+                <span class="material-symbols-outlined text-lg text-gray-500">${isSubquestion ? 'article' : 'folder'}</span>
+                <input type="text" value="${name}" class="question-name-input bg-transparent border-none p-0 focus:ring-0 focus:bg-gray-200 dark:focus:bg-gray-600 rounded-sm w-full">
+            </div>
+            <div class="flex items-center gap-4 text-sm text-gray-500 dark:text-gray-400">
+                <span class="has-checkpoints-indicator hidden inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-primary/20 text-primary dark:bg-primary/30 dark:text-blue-200" title="This item has checkpoints">
+                    Checkpoints
+                </span>
+                <div class="flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">tag</span>
+                    ${pointsHTML}
+                </div>
+                <div class="flex items-center gap-1">
+                    <span class="material-symbols-outlined text-base">description</span>
+                    <input type="text" value="${pages || ''}" placeholder="e.g. 1-2" class="pages-input bg-transparent border-b w-16 text-center p-0 focus:ring-0 focus:border-primary">
+                </div>
+                <button class="delete-question-btn p-1 rounded-full hover:bg-red-500/20 text-red-500">
+                    <span class="material-symbols-outlined text-base">delete</span>
+                </button>
+            </div>
+        </div>
+    `;
+
+    const subquestionHTML = !isSubquestion ? `
+        <div class="subquestion-list pl-6 border-l-2 border-gray-200 dark:border-gray-700 ml-3 mt-1 space-y-1">
+            <!-- Subquestions will be rendered here -->
+        </div>
+        <div class="pl-6 ml-3 mt-2">
+            <button class="add-subquestion-btn text-sm text-primary hover:underline">+ Add Subquestion</button>
+        </div>
+    ` : '';
+
+    questionWrapper.innerHTML = headerHTML + subquestionHTML;
+
+    // Re-renders this question in place (after its subquestions changed)
+    const rerender = () => {
+        questionWrapper.replaceWith(createQuestionElement(questionData, options));
+    };
+
+    if (hasSubquestions) {
+        const subquestionList = questionWrapper.querySelector('.subquestion-list');
+        subquestions.forEach(sq => {
+            subquestionList.appendChild(createQuestionElement(sq, {
+                siblings: subquestions,
+                parent: questionData,
+                onSelect,
+                onChange: () => {
+                    if (!questionData.subquestions) {
+                        // The last subquestion was deleted
+                        rerender();
+                    } else {
+                        // A subquestion's points changed the parent's total
+                        questionWrapper.querySelector('.total-points').textContent =
+                            `${subquestions.reduce((sum, s) => sum + (s.points || 0), 0)} pts`;
+                    }
+                    notifyChange();
+                }
+            }));
+        });
+    }
+
+    const header = questionWrapper.querySelector('.question-item-header');
+    header.addEventListener('click', () => {
+        if (onSelect) onSelect(questionData, header);
+    });
+
+    // Keep clicks in the inputs from selecting the question
+    header.querySelectorAll('input').forEach(input => input.addEventListener('click', e => e.stopPropagation()));
+
+    header.querySelector('.question-name-input').addEventListener('change', (e) => {
+        questionData.name = e.target.value.trim() || questionData.name;
+        notifyChange();
+    });
+
+    header.querySelector('.pages-input').addEventListener('change', (e) => {
+        questionData.pages = e.target.value.trim();
+        notifyChange();
+    });
+
+    const pointsInput = header.querySelector('.question-points-input');
+    if (pointsInput) {
+        pointsInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            questionData.points = isNaN(value) || value < 0 ? 0 : value;
+            e.target.value = questionData.points;
+            notifyChange();
+        });
+    }
+
+    questionWrapper.querySelector('.delete-question-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!confirm(`Are you sure you want to delete "${questionData.name}"?`)) return;
+
+        if (siblings) {
+            const index = siblings.indexOf(questionData);
+            if (index > -1) siblings.splice(index, 1);
+        }
+        // A parent without subquestions becomes a regular question again
+        if (parent && parent.subquestions.length === 0) {
+            delete parent.subquestions;
+            parent.points = 0;
+        }
+        questionWrapper.remove();
+        notifyChange();
+    });
+
+    if (!isSubquestion) {
+        questionWrapper.querySelector('.add-subquestion-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const { id: subId, name: subName } = nextSubquestionId(questionData);
+            if (!questionData.subquestions) questionData.subquestions = [];
+            questionData.subquestions.push({ id: subId, name: subName, points: 1 });
+            // Points now come from the subquestions
+            delete questionData.points;
+            rerender();
+            notifyChange();
+        });
+    }
+
+    return questionWrapper;
+}
@@ -0,0 +1,193 @@
+import { parsePageList } from './ai-grading.js';
+
+/**
+ * Answer regions of questions, so graders only see the part of the paper a question is answered on.
+ *
+ * A question (or subquestion) may carry `regions: [{ page, x, y, width, height }]`, one box per page,
+ * in percentages of the page size (like `grade.attentionRegions`). Regions are drawn on the exam
+ * template in the Manage Resources modal. Pages in the question's `pages` range without a region
+ * are shown in full.
+ */
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * Finds a question or subquestion and its parent.
+ * @returns {{question: Object|null, parent: Object|null}}
+ */
+function findQuestionWithParent(questions, id) {
+    for (const q of questions || []) {
+        if (q.id === id) return { question: q, parent: null };
+        const sub = q.subquestions?.find(s => s.id === id);
+        if (sub) return { question: sub, parent: q };
+    }
+    return { question: null, parent: null };
+}
+
+/**
+ * Merges boxes on the same page into their bounding box.
+ */
+function mergeRegions(regions) {
+    const byPage = {};
+    regions.forEach(({ page, x, y, width, height }) => {
+        const current = byPage[page];
+        if (!current) {
+            byPage[page] = { x, y, width, height };
+            return;
+        }
+        const right = Math.max(current.x + current.width, x + width);
+        const bottom = Math.max(current.y + current.height, y + height);
+        current.x = Math.min(current.x, x);
+        current.y = Math.min(current.y, y);
+        current.width = right - current.x;
+        current.height = bottom - current.y;
+    });
+    return byPage;
+}
+
+/**
+ * Works out what the grading viewer shows for a question: its pages, cropped to its regions.
+ * A question with subquestions shows the regions of all of them; a subquestion without regions of
+ * its own uses its parent's.
+ *
+ * @param {Array} questions - The repository's questions.
+ * @param {string} questionId - The question or subquestion being graded.
+ * @returns {{pages: Array<number>, regions: Object<number, Object>}|null} The pages to render and the
+ *   box per page, or null if the question has no regions (the full paper is shown).
+ */
+export function getQuestionCrop(questions, questionId) {
+    const { question, parent } = findQuestionWithParent(questions, questionId);
+    if (!question) return null;
+
+    let regions = question.regions || [];
+    if (regions.length === 0 && question.subquestions) regions = question.subquestions.flatMap(sq => sq.regions || []);
+    if (regions.length === 0 && parent) regions = parent.regions || [];
+    if (regions.length === 0) return null;
+
+    const pages = new Set(parsePageList(question.pages || parent?.pages));
+    (question.subquestions || []).forEach(sq => parsePageList(sq.pages).forEach(page => pages.add(page)));
+    regions.forEach(region => pages.add(region.page));
+    return { pages: Array.from(pages).sort((a, b) => a - b), regions: mergeRegions(regions) };
+}
+
+// --- Template Editor ---
+
+/**
+ * Finds the template page canvas under a y position of the overlay.
+ */
+function findCanvasAt(canvases, y) {
+    return canvases.find(canvas => y >= canvas.offsetTop && y < canvas.offsetTop + canvas.offsetHeight) || null;
+}
+
+/**
+ * Shows the regions of a question as boxes on the exam template.
+ *
+ * @param {HTMLElement} overlay - The template overlay (positioned over the stacked page canvases).
+ * @param {Array<HTMLCanvasElement>} canvases - The template pages, in page order.
+ * @param {Object|null} question - The selected question; null removes all boxes.
+ * @param {Object} [options]
+ * @param {Function} [options.onDelete] - Called with the region after its delete button was clicked.
+ */
+export function renderRegionBoxes(overlay, canvases, question, { onDelete } = {}) {
+    overlay.querySelectorAll('.template-region').forEach(el => el.remove());
+    if (!question) return;
+
+    (question.regions || []).forEach(region => {
+        const canvas = canvases[region.page - 1];
+        if (!canvas) return;
+
+        const box = document.createElement('div');
+        box.className = 'template-region absolute border-2 border-dashed border-amber-500 bg-amber-400/10 pointer-events-none';
+        box.style.left = `${canvas.offsetLeft + region.x / 100 * canvas.offsetWidth}px`;
+        box.style.top = `${canvas.offsetTop + region.y / 100 * canvas.offsetHeight}px`;
+        box.style.width = `${region.width / 100 * canvas.offsetWidth}px`;
+        box.style.height = `${region.height / 100 * canvas.offsetHeight}px`;
+        box.innerHTML = `
+            <div class="absolute -top-6 left-0 flex items-center gap-1 px-1.5 py-0.5 rounded bg-amber-500 text-white text-xs pointer-events-auto">
+                <span>Answer region · p. ${region.page}</span>
+                <button class="delete-region-btn flex items-center hover:text-red-200" title="Delete region">
+                    <span class="material-symbols-outlined text-sm">close</span>
+                </button>
+            </div>
+        `;
+        box.querySelector('.delete-region-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            question.regions.splice(question.regions.indexOf(region), 1);
+            if (question.regions.length === 0) delete question.regions;
+            if (onDelete) onDelete(region);
+        });
+        overlay.appendChild(box);
+    });
+}
+
+/**
+ * Lets the user drag a box on the exam template to set a question's answer region.
+ * Drawing only happens while `isActive()` returns true; a box replaces the question's region on
+ * that page, and a question without pages gets the page of its first region.
+ *
+ * @param {HTMLElement} overlay - The template overlay.
+ * @param {Object} options
+ * @param {Function} options.getCanvases - Returns the template page canvases, in page order.
+ * @param {Function} options.getQuestion - Returns the question the region is drawn for.
+ * @param {Function} options.isActive - Whether region drawing is switched on.
+ * @param {Function} options.onRegionDrawn - Called with (question, region) after a box was drawn.
+ */
+export function attachRegionDrawing(overlay, { getCanvases, getQuestion, isActive, onRegionDrawn }) {
+    let start = null;
+    let preview = null;
+
+    const pointFromEvent = (e) => {
+        const rect = overlay.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    overlay.addEventListener('mousedown', (e) => {
+        if (!isActive() || !getQuestion() || e.target !== overlay) return;
+        const point = pointFromEvent(e);
+        const canvas = findCanvasAt(getCanvases(), point.y);
+        if (!canvas) return;
+
+        e.preventDefault();
+        start = { ...point, canvas };
+        preview = document.createElement('div');
+        preview.className = 'template-region-preview absolute border-2 border-dashed border-amber-500 bg-amber-400/20 pointer-events-none';
+        overlay.appendChild(preview);
+    });
+
+    overlay.addEventListener('mousemove', (e) => {
+        if (!start) return;
+        const point = pointFromEvent(e);
+        preview.style.left = `${Math.min(start.x, point.x)}px`;
+        preview.style.top = `${Math.min(start.y, point.y)}px`;
+        preview.style.width = `${Math.abs(point.x - start.x)}px`;
+        preview.style.height = `${Math.abs(point.y - start.y)}px`;
+    });
+
+    const finish = (e) => {
+        if (!start) return;
+        const { canvas } = start;
+        const point = pointFromEvent(e);
+        preview.remove();
+
+        // Clip the box to the page it was started on
+        const toPercentX = x => Math.min(Math.max((x - canvas.offsetLeft) / canvas.offsetWidth * 100, 0), 100);
+        const toPercentY = y => Math.min(Math.max((y - canvas.offsetTop) / canvas.offsetHeight * 100, 0), 100);
+        const x1 = toPercentX(Math.min(start.x, point.x));
+        const x2 = toPercentX(Math.max(start.x, point.x));
+        const y1 = toPercentY(Math.min(start.y, point.y));
+        const y2 = toPercentY(Math.max(start.y, point.y));
+        start = null;
+        preview = null;
+        if (x2 - x1 < 2 || y2 - y1 < 2) return; // A click, not a box
+
+        const question = getQuestion();
+        const page = getCanvases().indexOf(canvas) + 1;
+        const region = { page, x: round(x1), y: round(y1), width: round(x2 - x1), height: round(y2 - y1) };
+        question.regions = [...(question.regions || []).filter(r => r.page !== page), region].sort((a, b) => a.page - b.page);
+        if (!question.pages) question.pages = String(page);
+        onRegionDrawn(question, region);
+    };
+
+    overlay.addEventListener('mouseup', finish);
+    overlay.addEventListener('mouseleave', finish);
+}
@@ -0,0 +1,256 @@
+import { saveRepositoryChange } from './repository-store.js';
+import { recordGradeEvent, getCurrentGrader, summarizeGradePasses, getFirstPassGraderId } from './grading-audit.js';
+import { listGradableQuestions } from './ai-grading.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Blind double-marking and reconciliation.
+ *
+ * Every item is graded twice. The passes are stored separately on the grade (`passScores`,
+ * `passComments`, `passRubricSelections`); `score` and `comment` hold the final values.
+ *
+ * Settings (`appState.gradingParameters`):
+ * - `blindSecondPass`: the second grader does not see the first pass, including the comments and
+ *   annotations on the paper. Their score and comment only go into the second pass; the final score is
+ *   settled when the second pass is finalized.
+ * - `hideAiInSecondPass`: the AI suggestion is hidden in the second pass as well.
+ * - `reconciliationTolerance`: points the passes may differ by. Within it the second pass becomes the
+ *   final score; beyond it the item waits for reconciliation, where both passes are shown side by side
+ *   and the agreed score is recorded in `grade.reconciliation`.
+ */
+
+export const DEFAULT_DOUBLE_MARKING = {
+    blindSecondPass: false,
+    hideAiInSecondPass: false,
+    reconciliationTolerance: 0
+};
+
+/**
+ * Returns the double-marking settings of a repository.
+ * @returns {{blindSecondPass: boolean, hideAiInSecondPass: boolean, reconciliationTolerance: number}}
+ */
+export function getDoubleMarkingSettings(repository) {
+    const params = repository?.appState?.gradingParameters || {};
+    return {
+        blindSecondPass: params.blindSecondPass ?? DEFAULT_DOUBLE_MARKING.blindSecondPass,
+        hideAiInSecondPass: params.hideAiInSecondPass ?? DEFAULT_DOUBLE_MARKING.hideAiInSecondPass,
+        reconciliationTolerance: params.reconciliationTolerance ?? DEFAULT_DOUBLE_MARKING.reconciliationTolerance
+    };
+}
+
+/**
+ * Returns the pass new input on a grade belongs to: once the first pass is finalized (manualStatus 1),
+ * it is the second.
+ * @returns {'first'|'second'}
+ */
+export function getGradePass(grade) {
+    return (grade?.manualStatus || 0) >= 1 ? 'second' : 'first';
+}
+
+/**
+ * Whether the grade is being graded blind: the second pass is in progress, blind double-marking is on,
+ * and the current grader did not do the first pass.
+ */
+export function isBlindSecondPass(repository, student, grade) {
+    if (!getDoubleMarkingSettings(repository).blindSecondPass || (grade?.manualStatus || 0) !== 1) return false;
+    const firstGraderId = getFirstPassGraderId(repository, student, grade.questionId);
+    return !firstGraderId || firstGraderId !== getCurrentGrader(repository)?.id;
+}
+
+/**
+ * Returns the grades of a question and its subquestions (comments and annotations are placed on the
+ * question that was open, which may be a parent question).
+ */
+function getQuestionGrades(repository, student, questionId) {
+    const question = (repository?.questions || []).find(q => q.id === questionId);
+    const ids = [questionId, ...(question?.subquestions || []).map(sq => sq.id)];
+    return (student?.grades || []).filter(g => ids.includes(g.questionId));
+}
+
+/**
+ * Returns the pass a new comment or annotation on a question belongs to.
+ * @returns {'first'|'second'}
+ */
+export function getMarkPass(repository, student, questionId) {
+    return getQuestionGrades(repository, student, questionId).some(g => getGradePass(g) === 'second') ? 'second' : 'first';
+}
+
+/**
+ * Whether a comment or annotation on the paper is hidden from the current grader: during a blind
+ * second pass only the second pass's marks are shown. Marks without a `pass` predate the second pass.
+ * @param {Object} repository - The repository.
+ * @param {Object} student - The student submission.
+ * @param {Object} mark - The comment or annotation (with `questionId` and `pass`).
+ */
+export function isMarkHiddenInBlindPass(repository, student, mark) {
+    if (mark.pass === 'second') return false;
+    return getQuestionGrades(repository, student, mark.questionId).some(g => isBlindSecondPass(repository, student, g));
+}
+
+/**
+ * Whether the AI suggestion is hidden for a grade (second pass in progress and hideAiInSecondPass on).
+ */
+export function isAiSuggestionHidden(repository, grade) {
+    return getDoubleMarkingSettings(repository).hideAiInSecondPass && (grade?.manualStatus || 0) === 1;
+}
+
+/**
+ * Whether a reconciliation still matches the passes it settled (a pass changed afterwards reopens it).
+ */
+export function isReconciled(grade) {
+    const r = grade?.reconciliation;
+    return Boolean(r) && r.first === grade.passScores?.first && r.second === grade.passScores?.second;
+}
+
+/**
+ * Whether both passes are done and differ by more than the tolerance without being reconciled.
+ */
+export function needsReconciliation(grade, tolerance = DEFAULT_DOUBLE_MARKING.reconciliationTolerance) {
+    const first = grade?.passScores?.first;
+    const second = grade?.passScores?.second;
+    return (grade?.manualStatus || 0) >= 2 && typeof first === 'number' && typeof second === 'number'
+        && Math.abs(first - second) > tolerance + 1e-9 && !isReconciled(grade);
+}
+
+/**
+ * Lists the items waiting for reconciliation.
+ * @returns {Array<{student: Object, question: Object, grade: Object}>} `question` as returned by listGradableQuestions.
+ */
+export function listPendingReconciliations(repository) {
+    const { reconciliationTolerance } = getDoubleMarkingSettings(repository);
+    const items = [];
+    listGradableQuestions(repository.questions).forEach(question => {
+        repository.studentSubmissions.forEach(student => {
+            const grade = student.grades.find(g => g.questionId === question.id);
+            if (grade && needsReconciliation(grade, reconciliationTolerance)) items.push({ student, question, grade });
+        });
+    });
+    return items;
+}
+
+function saveGrade(repository, student, grade) {
+    return saveRepositoryChange(repository.id, {
+        op: 'set',
+        path: ['studentSubmissions', { id: student.id }, 'grades', { questionId: grade.questionId }],
+        value: grade
+    }).catch(error => console.error('[Reconciliation] Failed to save grade:', error));
+}
+
+/**
+ * Settles the final score when the second pass of a blind double-marked grade is finalized: within
+ * the tolerance the second pass becomes final, otherwise the grade keeps its first-pass score until it
+ * is reconciled. The first-pass comment stays the final comment unless it is empty.
+ * @param {Object} repository - The repository.
+ * @param {Object} student - The student submission.
+ * @param {Object} grade - The grade, with manualStatus already set to 2.
+ */
+export function completeSecondPass(repository, student, grade) {
+    if (!getDoubleMarkingSettings(repository).blindSecondPass || (grade.manualStatus || 0) < 2) return;
+    if (needsReconciliation(grade, getDoubleMarkingSettings(repository).reconciliationTolerance)) return;
+    const second = grade.passScores?.second;
+    if (typeof second !== 'number') return;
+    grade.score = second;
+    if (!grade.comment) grade.comment = grade.passComments?.second || '';
+    saveGrade(repository, student, grade);
+}
+
+/**
+ * Records the agreed final score (and comment) of a grade.
+ * @param {Object} repository - The repository.
+ * @param {Object} student - The student submission.
+ * @param {Object} grade - The grade.
+ * @param {number} score - The agreed score.
+ * @param {string} comment - The agreed comment.
+ */
+export function resolveReconciliation(repository, student, grade, score, comment) {
+    const grader = getCurrentGrader(repository);
+    recordGradeEvent(repository, { studentId: student.id, questionId: grade.questionId, type: 'reconcile', oldValue: grade.score ?? null, newValue: score });
+    grade.score = score;
+    grade.comment = comment;
+    grade.reconciliation = {
+        score,
+        first: grade.passScores.first,
+        second: grade.passScores.second,
+        graderId: grader?.id ?? null,
+        graderName: grader?.name ?? null,
+        timestamp: new Date().toISOString()
+    };
+    return saveGrade(repository, student, grade);
+}
+
+// --- UI ---
+
+/**
+ * Renders the items waiting for reconciliation (grading.html, #reconciliation-modal): both passes side
+ * by side with their grader and comment, and a form for the agreed score.
+ * @param {HTMLElement} container - Where to render.
+ * @param {Object} repository - The repository.
+ * @param {Object} [options]
+ * @param {Function} [options.onOpen] - Called with (student, questionId) to open the exam.
+ * @param {Function} [options.onResolved] - Called after a grade was reconciled.
+ */
+export function renderReconciliationPanel(container, repository, { onOpen, onResolved } = {}) {
+    const pending = listPendingReconciliations(repository);
+    if (pending.length === 0) {
+        container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No items are waiting for reconciliation.</p>';
+        return;
+    }
+
+    container.innerHTML = '';
+    pending.forEach(({ student, question, grade }) => {
+        const passes = summarizeGradePasses(repository, student, question.id);
+        const passColumn = (title, pass, comment) => `
+            <div class="flex-1 min-w-0 rounded-lg border border-gray-200 dark:border-gray-700 p-3">
+                <div class="flex items-baseline justify-between gap-2">
+                    <span class="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">${title}</span>
+                    <span class="text-xs text-gray-500 dark:text-gray-400 truncate">${escapeHtml(pass.graderName || 'Unknown grader')}</span>
+                </div>
+                <div class="text-xl font-bold text-gray-900 dark:text-white">${pass.score} <span class="text-sm font-normal text-gray-500">/ ${question.maxPoints}</span></div>
+                <p class="mt-1 text-xs text-gray-600 dark:text-gray-300 whitespace-pre-wrap">${comment ? escapeHtml(comment) : '<span class="italic text-gray-400">No comment</span>'}</p>
+            </div>`;
+
+        const item = document.createElement('div');
+        item.className = 'p-4 rounded-lg bg-gray-50 dark:bg-gray-900/40 space-y-3';
+        item.innerHTML = `
+            <div class="flex items-center gap-2">
+                <span class="font-semibold text-gray-900 dark:text-white">${escapeHtml(student.name)}</span>
+                <span class="text-sm text-gray-500 dark:text-gray-400">${escapeHtml(question.name || question.id)}</span>
+                <span class="text-xs px-2 py-0.5 rounded-full bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300">differ by ${+Math.abs(passes.first.score - passes.second.score).toFixed(2)}</span>
+                <button class="open-exam-btn ml-auto text-sm text-primary hover:underline">Open exam</button>
+            </div>
+            <div class="flex gap-3">
+                ${passColumn('1st Pass', passes.first, grade.passComments?.first ?? grade.comment)}
+                ${passColumn('2nd Pass', passes.second, grade.passComments?.second)}
+            </div>
+            <div class="flex items-start gap-3">
+                <label class="text-sm text-gray-700 dark:text-gray-300">
+                    Agreed score
+                    <input type="number" min="0" max="${question.maxPoints}" step="0.5"
+                        class="agreed-score block mt-1 w-24 form-input bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 rounded-md text-sm py-1" />
+                </label>
+                <label class="flex-1 text-sm text-gray-700 dark:text-gray-300">
+                    Final comment
+                    <textarea rows="2" class="agreed-comment block mt-1 w-full form-textarea bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 rounded-md text-sm"></textarea>
+                </label>
+                <button class="save-reconciliation-btn self-end px-3 py-1.5 bg-primary text-white text-sm font-medium rounded-md hover:bg-primary/90 disabled:opacity-50" disabled>Agree</button>
+            </div>
+        `;
+
+        const scoreInput = item.querySelector('.agreed-score');
+        const commentInput = item.querySelector('.agreed-comment');
+        const saveButton = item.querySelector('.save-reconciliation-btn');
+        commentInput.value = grade.passComments?.first ?? grade.comment ?? '';
+        scoreInput.addEventListener('input', () => {
+            const value = parseFloat(scoreInput.value);
+            saveButton.disabled = !(value >= 0 && value <= question.maxPoints);
+        });
+        saveButton.addEventListener('click', async () => {
+            saveButton.disabled = true;
+            await resolveReconciliation(repository, student, grade, parseFloat(scoreInput.value), commentInput.value);
+            renderReconciliationPanel(container, repository, { onOpen, onResolved });
+            if (onResolved) onResolved();
+        });
+        item.querySelector('.open-exam-btn').addEventListener('click', () => onOpen && onOpen(student, question.id));
+        container.appendChild(item);
+    });
+}
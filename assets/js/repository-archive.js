@@ -0,0 +1,236 @@
+import { getStoredRepository, saveRepository, saveRepositoryFile, getRepositoryFile, deleteRepositoryFiles, STORED_FILE_PREFIX } from './repository-store.js';
+import { migrateRepository, validateRepository } from './repository-schema.js';
+
+/**
+ * Export and import of a repository as one portable zip archive.
+ *
+ * Archive layout:
+ *   manifest.json             - format marker, version and export metadata
+ *   repository.json           - the repository, with file URLs rewritten to `stored-file:` paths
+ *   template-checkpoints.json - checkpoints placed on the exam template (index.html)
+ *   files/<path>              - every PDF referenced by the repository
+ *
+ * Relies on JSZip, which is loaded from the CDN as `window.JSZip`.
+ */
+
+const ARCHIVE_FORMAT = 'grading-repository-archive';
+const ARCHIVE_VERSION = 1;
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * Collects every file reference of a repository.
+ * @param {Object} repository - The repository object.
+ * @returns {Array<{url: string, path: string, assign: Function}>} The references, each with a
+ *   suggested archive path and a setter that rewrites the URL in the repository.
+ */
+function collectFileReferences(repository) {
+    const references = [];
+    const fileName = (url, fallback) => {
+        const name = url.split('?')[0].split('/').pop();
+        return name || fallback;
+    };
+
+    if (repository.examTemplateUrl) {
+        references.push({
+            url: repository.examTemplateUrl,
+            path: `exam/${fileName(repository.examTemplateUrl, 'exam.pdf')}`,
+            assign: url => { repository.examTemplateUrl = url; }
+        });
+    }
+
+    (repository.studentSubmissions || []).forEach(student => {
+        if (!student.url) return;
+        references.push({
+            url: student.url,
+            // Prefix with the student ID so equal file names from different folders never collide
+            path: `submissions/${student.id}-${fileName(student.url, 'submission.pdf')}`,
+            assign: url => { student.url = url; }
+        });
+    });
+
+    ['rubrics', 'references'].forEach(section => {
+        (repository[section] || []).forEach((item, index) => {
+            if (!item.url) return;
+            references.push({
+                url: item.url,
+                path: `${section}/${index + 1}-${fileName(item.url, `${section}.pdf`)}`,
+                assign: url => { item.url = url; }
+            });
+        });
+    });
+
+    return references;
+}
+
+/**
+ * Reads the contents of a file referenced by a repository.
+ * @param {string} url - The URL as written in the repository.
+ * @param {string} repositoryId - The repository ID (for stored files).
+ * @returns {Promise<Blob|null>} The file contents, or null if it could not be read.
+ */
+async function readReferencedFile(url, repositoryId) {
+    if (url.startsWith(STORED_FILE_PREFIX)) {
+        return getRepositoryFile(repositoryId, url.slice(STORED_FILE_PREFIX.length));
+    }
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return null;
+        return await response.blob();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Builds a zip archive of a repository and all the PDFs it references.
+ * Files that cannot be read keep their original URL and are listed in the manifest.
+ *
+ * @param {Object} repository - The repository object.
+ * @param {Object} [options]
+ * @param {Array} [options.templateCheckpoints] - Checkpoints placed on the exam template.
+ * @returns {Promise<Blob>} The zip archive.
+ */
+export async function exportRepositoryArchive(repository, { templateCheckpoints = [] } = {}) {
+    const JSZip = window.JSZip;
+    if (!JSZip) throw new Error('The zip library is not loaded.');
+    if (!repository || !repository.id) throw new Error('No repository is loaded.');
+
+    const zip = new JSZip();
+    const copy = JSON.parse(JSON.stringify(repository));
+    const missingFiles = [];
+    const archivedPaths = new Map(); // url -> archive path, so shared files are stored once
+
+    for (const reference of collectFileReferences(copy)) {
+        if (archivedPaths.has(reference.url)) {
+            reference.assign(`${STORED_FILE_PREFIX}${archivedPaths.get(reference.url)}`);
+            continue;
+        }
+
+        const blob = await readReferencedFile(reference.url, repository.id);
+        if (!blob) {
+            console.warn(`[RepositoryArchive] Could not read '${reference.url}'. Keeping the original URL.`);
+            missingFiles.push(reference.url);
+            continue;
+        }
+
+        zip.file(`files/${reference.path}`, blob);
+        archivedPaths.set(reference.url, reference.path);
+        reference.assign(`${STORED_FILE_PREFIX}${reference.path}`);
+    }
+
+    zip.file('manifest.json', JSON.stringify({
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        repositoryId: repository.id,
+        repositoryName: repository.name,
+        exportedAt: new Date().toISOString(),
+        files: Array.from(archivedPaths.values()),
+        missingFiles
+    }, null, 2));
+    zip.file('repository.json', JSON.stringify(copy, null, 2));
+    zip.file('template-checkpoints.json', JSON.stringify(templateCheckpoints, null, 2));
+
+    console.log(`[RepositoryArchive] Exported '${repository.id}' with ${archivedPaths.size} files.`);
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+/**
+ * Reads and parses a JSON entry of an archive.
+ * @returns {Promise<*>} The parsed JSON, or undefined if the entry does not exist.
+ */
+async function readJsonEntry(zip, name) {
+    const entry = zip.file(name);
+    if (!entry) return undefined;
+    try {
+        return JSON.parse(await entry.async('string'));
+    } catch (error) {
+        throw new Error(`'${name}' in the archive is not valid JSON.`);
+    }
+}
+
+/**
+ * Checks that an archive has the expected structure before anything is stored: the manifest, the
+ * repository against the schema (see validateRepository) and the files it references.
+ * @returns {Array<string>} A list of problems (empty if the archive is valid).
+ */
+function validateArchive(zip, manifest, repository) {
+    const problems = [];
+
+    if (!manifest) {
+        problems.push('manifest.json is missing.');
+    } else {
+        if (manifest.format !== ARCHIVE_FORMAT) problems.push('manifest.json does not describe a repository archive.');
+        if (manifest.version > ARCHIVE_VERSION) problems.push(`Archive version ${manifest.version} is newer than this app supports (${ARCHIVE_VERSION}).`);
+    }
+
+    if (!repository) {
+        problems.push('repository.json is missing.');
+        return problems;
+    }
+    const { errors } = validateRepository(repository);
+    errors.slice(0, MAX_REPORTED_ERRORS).forEach(issue => problems.push(`${issue.path}: ${issue.message}`));
+    if (errors.length > MAX_REPORTED_ERRORS) problems.push(`…and ${errors.length - MAX_REPORTED_ERRORS} more schema errors.`);
+    // File references can only be followed in a repository of the expected shape
+    if (errors.length > 0) return problems;
+
+    collectFileReferences(repository).forEach(reference => {
+        if (!reference.url.startsWith(STORED_FILE_PREFIX)) return;
+        const path = reference.url.slice(STORED_FILE_PREFIX.length);
+        if (!zip.file(`files/${path}`)) problems.push(`Referenced file '${path}' is missing from the archive.`);
+    });
+
+    return problems;
+}
+
+/**
+ * Imports a repository archive: validates it, then stores the repository and its files.
+ *
+ * @param {File|Blob} file - The zip archive.
+ * @param {Object} [options]
+ * @param {Function} [options.confirmOverwrite] - Called with the repository if one with the same ID
+ *   is already stored; the import is cancelled unless it returns true.
+ * @returns {Promise<{repository: Object, templateCheckpoints: Array}|null>} The imported data, or null if cancelled.
+ * @throws {Error} If the archive cannot be read or fails validation.
+ */
+export async function importRepositoryArchive(file, { confirmOverwrite } = {}) {
+    const JSZip = window.JSZip;
+    if (!JSZip) throw new Error('The zip library is not loaded.');
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (error) {
+        throw new Error('The selected file is not a valid zip archive.');
+    }
+
+    const manifest = await readJsonEntry(zip, 'manifest.json');
+    const archivedRepository = await readJsonEntry(zip, 'repository.json');
+    // Archives exported by older versions are upgraded to the current schema
+    const isObject = archivedRepository !== null && typeof archivedRepository === 'object' && !Array.isArray(archivedRepository);
+    const repository = isObject ? migrateRepository(archivedRepository).repository : archivedRepository;
+    const templateCheckpoints = (await readJsonEntry(zip, 'template-checkpoints.json')) || [];
+
+    const problems = validateArchive(zip, manifest, repository);
+    if (problems.length > 0) {
+        throw new Error(`The archive is not a valid repository:\n- ${problems.join('\n- ')}`);
+    }
+
+    const replaces = Boolean(await getStoredRepository(repository.id));
+    if (replaces && confirmOverwrite && !confirmOverwrite(repository)) {
+        console.log(`[RepositoryArchive] Import of '${repository.id}' cancelled.`);
+        return null;
+    }
+    // The replaced repository's files would otherwise stay stored, referenced by nothing
+    if (replaces) await deleteRepositoryFiles(repository.id);
+
+    // Store the files first, so the repository never references a file that is not there yet
+    const fileEntries = zip.file(/^files\//);
+    for (const entry of fileEntries) {
+        const blob = await entry.async('blob');
+        await saveRepositoryFile(repository.id, entry.name.slice('files/'.length), new Blob([blob], { type: 'application/pdf' }));
+    }
+    await saveRepository(repository);
+
+    console.log(`[RepositoryArchive] Imported '${repository.id}' with ${fileEntries.length} files.`);
+    return { repository, templateCheckpoints };
+}
@@ -0,0 +1,121 @@
+/**
+ * Changes to a repository: a small edit (a grade, a comment, a broadcast) described as an
+ * operation at a path, so it can be stored, sent to other tabs or the collaboration server and
+ * applied to every copy of the repository.
+ *
+ * Shared by the browser (repository-store.js, repository-sync.js) and the collaboration server
+ * (server/repositories.js), which must apply changes exactly alike.
+ */
+
+export const CHANGE_OPS = ['set', 'insert', 'remove'];
+
+// Path keys that would reach Object.prototype instead of the repository
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Whether a change path only holds keys, array indexes and plain selector objects
+ * with string, number or boolean fields, none of which names a prototype key.
+ */
+export function isValidChangePath(path) {
+    if (!Array.isArray(path) || path.length === 0) return false;
+    return path.every(segment => {
+        if (typeof segment === 'string') return !FORBIDDEN_KEYS.has(segment);
+        if (typeof segment === 'number') return Number.isInteger(segment) && segment >= 0;
+        if (!segment || typeof segment !== 'object' || Object.getPrototypeOf(segment) !== Object.prototype) return false;
+        const entries = Object.entries(segment);
+        return entries.length > 0 && entries.every(([key, value]) => !FORBIDDEN_KEYS.has(key) && ['string', 'number', 'boolean'].includes(typeof value));
+    });
+}
+
+/**
+ * Resolves one path segment against a container.
+ * A segment is either a key/index, or a selector object such as `{ id: 'student_201' }`
+ * that matches the first array element whose fields all equal the selector's.
+ * @returns {number|string|null} The concrete key, or null if nothing matched.
+ */
+function resolveSegment(container, segment) {
+    if (segment === null || typeof segment !== 'object') return segment;
+    if (!Array.isArray(container)) return null;
+
+    const index = container.findIndex(item => item && Object.keys(segment).every(key => Object.hasOwn(item, key) && item[key] === segment[key]));
+    return index === -1 ? null : index;
+}
+
+/**
+ * Applies a change to a repository object in place.
+ *
+ * Supported changes:
+ * - `{ op: 'set', path, value }` sets the value at `path`. A missing array element
+ *   addressed by a selector is created from the selector's fields.
+ * - `{ op: 'insert', path, value, index }` inserts into the array at `path` (default: end).
+ * - `{ op: 'remove', path }` removes the array element or property at `path`.
+ *
+ * Only the target's own properties are followed, so no path reaches Object.prototype.
+ *
+ * @param {Object} target - The repository object.
+ * @param {Object} change - The change description.
+ * @returns {boolean} True if the change was applied.
+ */
+export function applyChange(target, change) {
+    const { op = 'set', path = [], value } = change;
+    if (!target || !CHANGE_OPS.includes(op) || !isValidChangePath(path)) return false;
+
+    // Walk to the parent of the last segment, creating intermediate containers for 'set'
+    let container = target;
+    for (let i = 0; i < path.length - 1; i++) {
+        const segment = path[i];
+        // A stale path can lead into a value that is not a container
+        if (container === null || typeof container !== 'object') return false;
+        let key = resolveSegment(container, segment);
+
+        if (key === null) {
+            if (op !== 'set' || typeof segment !== 'object' || !Array.isArray(container)) return false;
+            container.push({ ...segment });
+            key = container.length - 1;
+        }
+
+        if (!Object.hasOwn(container, key) || container[key] === undefined || container[key] === null) {
+            if (op !== 'set') return false;
+            container[key] = typeof path[i + 1] === 'object' || typeof path[i + 1] === 'number' ? [] : {};
+        }
+        container = container[key];
+    }
+
+    const lastSegment = path[path.length - 1];
+    if (container === null || typeof container !== 'object') return false;
+
+    if (op === 'insert') {
+        const key = resolveSegment(container, lastSegment);
+        if (key === null) return false;
+        if (!Object.hasOwn(container, key) || !Array.isArray(container[key])) container[key] = [];
+        const list = container[key];
+        const index = change.index === undefined ? list.length : change.index;
+        list.splice(index, 0, value);
+        return true;
+    }
+
+    const key = resolveSegment(container, lastSegment);
+
+    if (op === 'remove') {
+        if (key === null || !Object.hasOwn(container, key)) return false;
+        if (Array.isArray(container)) {
+            container.splice(key, 1);
+        } else {
+            delete container[key];
+        }
+        return true;
+    }
+
+    if (op === 'set') {
+        if (key === null) {
+            // Selector did not match: append a new element
+            if (!Array.isArray(container)) return false;
+            container.push(value);
+        } else {
+            container[key] = value;
+        }
+        return true;
+    }
+
+    return false;
+}
@@ -0,0 +1,596 @@
+import { pagePointFromDocument } from './page-coordinates.js';
+
+/**
+ * Versioned schema for repository JSON files.
+ *
+ * - REPOSITORY_SCHEMA describes the current shape (SCHEMA_VERSION).
+ * - validateRepository checks a repository against it and reports dangling IDs.
+ * - migrateRepository upgrades older shapes step by step before anything renders them.
+ *
+ * Repositories without a `schemaVersion` field are treated as version 1.
+ */
+
+export const SCHEMA_VERSION = 4;
+
+// Legacy checkpoints were placed in px on the stacked template pages, rendered at scale 1 (US Letter, in PDF points)
+const LEGACY_PAGE_WIDTH = 612;
+const LEGACY_PAGE_HEIGHT = 792;
+
+// --- Schema Definition ---
+// A small subset of JSON Schema: type (string or list of types), required, properties, items, pattern.
+
+const PERCENT = { type: 'string', pattern: /^-?\d+(\.\d+)?%$/ };
+
+const FILE_REFERENCE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'url'],
+    properties: { name: { type: 'string' }, url: { type: 'string' } }
+};
+
+// A box on a page, in percentages of the page size
+const PAGE_REGION_SCHEMA = {
+    type: 'object',
+    required: ['page', 'x', 'y', 'width', 'height'],
+    properties: { page: { type: 'integer' }, x: { type: 'number' }, y: { type: 'number' }, width: { type: 'number' }, height: { type: 'number' } }
+};
+
+const SUBQUESTION_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'points'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        points: { type: 'number' },
+        regions: { type: 'array', items: PAGE_REGION_SCHEMA }
+    }
+};
+
+const QUESTION_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'pages'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        pages: { type: 'string' },
+        points: { type: 'number' },
+        regions: { type: 'array', items: PAGE_REGION_SCHEMA },
+        subquestions: { type: 'array', items: SUBQUESTION_SCHEMA }
+    }
+};
+
+const RUBRIC_ITEM_SCHEMA = {
+    type: 'object',
+    required: ['id', 'type', 'label', 'points'],
+    properties: {
+        id: { type: 'string' },
+        type: { type: 'string', pattern: /^(criterion|deduction|bonus)$/ },
+        label: { type: 'string' },
+        description: { type: 'string' },
+        points: { type: 'number' }
+    }
+};
+
+// A point on a page, in percentages of the page size (see page-coordinates.js)
+const PAGE_POSITION_SCHEMA = {
+    type: 'object',
+    required: ['x', 'y'],
+    properties: { x: PERCENT, y: PERCENT }
+};
+
+const CHECKPOINT_SCHEMA = {
+    type: 'object',
+    required: ['questionId', 'page', 'position'],
+    properties: {
+        questionId: { type: 'string' },
+        page: { type: 'integer' },
+        rubricPage: { type: 'integer' },
+        position: PAGE_POSITION_SCHEMA,
+        rubric: {
+            type: 'object',
+            required: ['items'],
+            properties: { items: { type: 'array', items: RUBRIC_ITEM_SCHEMA } }
+        }
+    }
+};
+
+const GRADE_SCHEMA = {
+    type: 'object',
+    required: ['questionId'],
+    properties: {
+        questionId: { type: 'string' },
+        confidence: { type: 'number' },
+        aiSuggestedScore: { type: 'number' },
+        aiComment: { type: 'string' },
+        score: { type: ['number', 'null'] },
+        manualStatus: { type: 'integer' },
+        passScores: {
+            type: 'object',
+            properties: { first: { type: ['number', 'null'] }, second: { type: ['number', 'null'] } }
+        },
+        passComments: {
+            type: 'object',
+            properties: { first: { type: 'string' }, second: { type: 'string' } }
+        },
+        passRubricSelections: {
+            type: 'object',
+            properties: { first: { type: 'array', items: { type: 'string' } }, second: { type: 'array', items: { type: 'string' } } }
+        },
+        // The agreed score when the passes differed (see reconciliation.js)
+        reconciliation: {
+            type: 'object',
+            required: ['score', 'first', 'second', 'timestamp'],
+            properties: {
+                score: { type: 'number' },
+                first: { type: 'number' },
+                second: { type: 'number' },
+                graderId: { type: ['string', 'null'] },
+                graderName: { type: ['string', 'null'] },
+                timestamp: { type: 'string' }
+            }
+        },
+        comment: { type: 'string' },
+        rubricSelections: { type: 'array', items: { type: 'string' } },
+        appliedSnippets: { type: 'array', items: { type: 'string' } },
+        attentionRegions: { type: 'array', items: PAGE_REGION_SCHEMA }
+    }
+};
+
+const STUDENT_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name', 'grades'],
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        email: { type: 'string' },
+        url: { type: 'string' },
+        grades: { type: 'array', items: GRADE_SCHEMA }
+    }
+};
+
+const ROSTER_ENTRY_SCHEMA = {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: { id: { type: 'string' }, name: { type: 'string' }, email: { type: 'string' } }
+};
+
+const TASK_SCHEMA = {
+    type: 'object',
+    required: ['taskId', 'version'],
+    properties: { taskId: { type: 'string' }, version: { type: 'string' }, assigned: { type: 'boolean' } }
+};
+
+const APP_STATE_SCHEMA = {
+    type: 'object',
+    required: ['taskAllocation', 'gradingParameters', 'comments', 'broadcasts', 'annotations', 'auditLog', 'commentBank'],
+    properties: {
+        taskAllocation: {
+            type: 'object',
+            required: ['tas', 'tasks'],
+            properties: {
+                tas: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'name', 'tasks'],
+                        properties: { id: { type: 'string' }, name: { type: 'string' }, tasks: { type: 'array', items: TASK_SCHEMA } }
+                    }
+                },
+                tasks: { type: 'array', items: TASK_SCHEMA }
+            }
+        },
+        gradingParameters: {
+            type: 'object',
+            required: ['studentScoreThreshold', 'aiConfidenceThreshold'],
+            properties: {
+                studentScoreThreshold: { type: 'number' },
+                aiConfidenceThreshold: { type: 'number' },
+                blindSecondPass: { type: 'boolean' },
+                hideAiInSecondPass: { type: 'boolean' },
+                reconciliationTolerance: { type: 'number' }
+            }
+        },
+        automatedProcesses: { type: 'object' },
+        comments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'studentId', 'questionId', 'text', 'page', 'position'],
+                properties: {
+                    id: { type: 'string' },
+                    studentId: { type: 'string' },
+                    questionId: { type: 'string' },
+                    text: { type: 'string' },
+                    page: { type: 'integer' },
+                    position: PAGE_POSITION_SCHEMA,
+                    // The grading pass and grader it was added in (hidden during a blind second pass)
+                    pass: { type: 'string', pattern: /^(first|second)$/ },
+                    graderId: { type: ['string', 'null'] }
+                }
+            }
+        },
+        broadcasts: { type: 'array' },
+        // Freehand and shape marks on student papers (see grading-annotations.js)
+        annotations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'studentId', 'questionId', 'page', 'tool', 'points'],
+                properties: {
+                    id: { type: 'string' },
+                    studentId: { type: 'string' },
+                    questionId: { type: 'string' },
+                    page: { type: 'integer' },
+                    tool: { type: 'string', pattern: /^(pen|highlighter|underline|tick|cross|rectangle|stamp)$/ },
+                    color: { type: 'string' },
+                    points: { type: 'array', items: { type: 'array', items: { type: 'number' } } },
+                    text: { type: 'string' },
+                    pass: { type: 'string', pattern: /^(first|second)$/ },
+                    graderId: { type: ['string', 'null'] }
+                }
+            }
+        },
+        // Append-only record of grade changes (see grading-audit.js)
+        auditLog: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'timestamp', 'studentId', 'questionId', 'type'],
+                properties: {
+                    id: { type: 'string' },
+                    timestamp: { type: 'string' },
+                    graderId: { type: ['string', 'null'] },
+                    graderName: { type: ['string', 'null'] },
+                    studentId: { type: 'string' },
+                    questionId: { type: 'string' },
+                    type: { type: 'string', pattern: /^(score|comment|status|finalize|reconcile)$/ },
+                    pass: { type: 'string', pattern: /^(first|second)$/ },
+                    oldValue: { type: ['number', 'string', 'null'] },
+                    newValue: { type: ['number', 'string', 'null'] }
+                }
+            }
+        },
+        commentBank: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'questionId', 'text'],
+                properties: { id: { type: 'string' }, questionId: { type: 'string' }, text: { type: 'string' }, deduction: { type: ['number', 'null'] } }
+            }
+        }
+    }
+};
+
+export const REPOSITORY_SCHEMA = {
+    type: 'object',
+    required: ['schemaVersion', 'id', 'name', 'questions', 'gradingCheckpoints', 'studentSubmissions', 'appState'],
+    properties: {
+        schemaVersion: { type: 'integer' },
+        id: { type: 'string' },
+        name: { type: 'string' },
+        revision: { type: 'integer' },
+        examTemplateUrl: { type: 'string' },
+        questions: { type: 'array', items: QUESTION_SCHEMA },
+        gradingCheckpoints: { type: 'array', items: CHECKPOINT_SCHEMA },
+        rubrics: { type: 'array', items: FILE_REFERENCE_SCHEMA },
+        references: { type: 'array', items: FILE_REFERENCE_SCHEMA },
+        studentSubmissions: { type: 'array', items: STUDENT_SCHEMA },
+        roster: { type: 'array', items: ROSTER_ENTRY_SCHEMA },
+        appState: APP_STATE_SCHEMA
+    }
+};
+
+// --- Validation ---
+
+/**
+ * Returns the schema type name of a value.
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Checks a value against a schema node, collecting issues.
+ */
+function checkNode(value, schema, path, issues) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    // Integers are numbers too
+    const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+    if (!matches) {
+        issues.push({ severity: 'error', path, message: `Expected ${allowed.join(' or ')}, found ${actual}.` });
+        return;
+    }
+
+    if (schema.pattern && typeof value === 'string' && !schema.pattern.test(value)) {
+        issues.push({ severity: 'error', path, message: `'${value}' has the wrong format.` });
+    }
+
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                issues.push({ severity: 'error', path: `${path}.${key}`, message: 'Missing required field.' });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, childSchema]) => {
+            if (value[key] !== undefined) checkNode(value[key], childSchema, `${path}.${key}`, issues);
+        });
+    }
+
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, index) => checkNode(item, schema.items, `${path}[${index}]`, issues));
+    }
+}
+
+/**
+ * Collects all question IDs (top-level and subquestions) of a repository.
+ * @returns {Set<string>}
+ */
+function collectQuestionIds(repository) {
+    const ids = new Set();
+    (repository.questions || []).forEach(q => {
+        ids.add(q.id);
+        (q.subquestions || []).forEach(sq => ids.add(sq.id));
+    });
+    return ids;
+}
+
+/**
+ * Reports references to questions, students or TAs that do not exist, and duplicate IDs.
+ */
+function checkReferences(repository, issues) {
+    const questionIds = collectQuestionIds(repository);
+    const students = Array.isArray(repository.studentSubmissions) ? repository.studentSubmissions : [];
+    const studentIds = new Set(students.map(s => s.id));
+    const dangling = (path, kind, id) => issues.push({ severity: 'warning', path, message: `${kind} '${id}' does not exist.` });
+
+    // Duplicate IDs make every lookup by ID ambiguous
+    const seenQuestions = new Set();
+    (repository.questions || []).forEach((q, qi) => {
+        [q, ...(q.subquestions || [])].forEach(item => {
+            if (seenQuestions.has(item.id)) {
+                issues.push({ severity: 'error', path: `questions[${qi}]`, message: `Question ID '${item.id}' is used more than once.` });
+            }
+            seenQuestions.add(item.id);
+        });
+    });
+    if (studentIds.size !== students.length) {
+        issues.push({ severity: 'error', path: 'studentSubmissions', message: 'Student IDs are not unique.' });
+    }
+
+    (repository.gradingCheckpoints || []).forEach((cp, i) => {
+        if (!questionIds.has(cp.questionId)) dangling(`gradingCheckpoints[${i}].questionId`, 'Question', cp.questionId);
+    });
+
+    students.forEach((student, si) => {
+        (student.grades || []).forEach((grade, gi) => {
+            if (!questionIds.has(grade.questionId)) dangling(`studentSubmissions[${si}].grades[${gi}].questionId`, 'Question', grade.questionId);
+        });
+    });
+
+    const appState = repository.appState || {};
+    const allocation = appState.taskAllocation || {};
+    (allocation.tasks || []).forEach((task, i) => {
+        if (!questionIds.has(task.taskId)) dangling(`appState.taskAllocation.tasks[${i}].taskId`, 'Question', task.taskId);
+    });
+    (allocation.tas || []).forEach((ta, ti) => {
+        (ta.tasks || []).forEach((task, i) => {
+            if (!questionIds.has(task.taskId)) dangling(`appState.taskAllocation.tas[${ti}].tasks[${i}].taskId`, 'Question', task.taskId);
+        });
+    });
+
+    (appState.comments || []).forEach((comment, i) => {
+        if (!studentIds.has(comment.studentId)) dangling(`appState.comments[${i}].studentId`, 'Student', comment.studentId);
+        if (!questionIds.has(comment.questionId)) dangling(`appState.comments[${i}].questionId`, 'Question', comment.questionId);
+    });
+    (appState.annotations || []).forEach((annotation, i) => {
+        if (!studentIds.has(annotation.studentId)) dangling(`appState.annotations[${i}].studentId`, 'Student', annotation.studentId);
+        if (!questionIds.has(annotation.questionId)) dangling(`appState.annotations[${i}].questionId`, 'Question', annotation.questionId);
+    });
+
+    (appState.commentBank || []).forEach((snippet, i) => {
+        if (!questionIds.has(snippet.questionId)) dangling(`appState.commentBank[${i}].questionId`, 'Question', snippet.questionId);
+    });
+}
+
+/**
+ * Validates a repository against the current schema.
+ * @param {Object} repository - The repository object.
+ * @returns {{valid: boolean, errors: Array, warnings: Array}} The report. Each issue has
+ *   `severity`, `path` (e.g. 'questions[2].subquestions[0].points') and `message`.
+ */
+export function validateRepository(repository) {
+    const issues = [];
+    checkNode(repository, REPOSITORY_SCHEMA, 'repository', issues);
+    if (typeOf(repository) === 'object') checkReferences(repository, issues);
+
+    if (repository && repository.schemaVersion > SCHEMA_VERSION) {
+        issues.push({ severity: 'warning', path: 'repository.schemaVersion', message: `Schema version ${repository.schemaVersion} is newer than this app supports (${SCHEMA_VERSION}).` });
+    }
+
+    const errors = issues.filter(i => i.severity === 'error');
+    const warnings = issues.filter(i => i.severity === 'warning');
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+// --- Migration ---
+
+/**
+ * Version 1 -> 2:
+ * - Subquestion IDs like '1.A' become 'Q1A', and every reference to them is renamed.
+ * - Checkpoints with px `x`/`y` on the stacked template become `page` + percentage `position`.
+ * - Missing lists (grades, comments, broadcasts, rubrics, references) are created empty.
+ */
+function migrateV1ToV2(repository) {
+    const renamed = new Map();
+    (repository.questions || []).forEach(q => {
+        (q.subquestions || []).forEach(sq => {
+            const match = /^(\d+)\.([A-Za-z]+)$/.exec(sq.id);
+            if (match) {
+                const newId = `Q${match[1]}${match[2].toUpperCase()}`;
+                renamed.set(sq.id, newId);
+                sq.id = newId;
+            }
+        });
+    });
+    const rename = id => renamed.get(id) || id;
+
+    repository.gradingCheckpoints = (repository.gradingCheckpoints || []).map(cp => {
+        const migrated = { ...cp, questionId: rename(cp.questionId) };
+        if (!cp.position && cp.x !== undefined && cp.y !== undefined) {
+            const x = parseFloat(cp.x) || 0;
+            const y = parseFloat(cp.y) || 0;
+            const pageIndex = Math.floor(y / LEGACY_PAGE_HEIGHT);
+            migrated.page = cp.page || pageIndex + 1;
+            migrated.position = {
+                x: `${+((x / LEGACY_PAGE_WIDTH) * 100).toFixed(2)}%`,
+                y: `${+(((y - pageIndex * LEGACY_PAGE_HEIGHT) / LEGACY_PAGE_HEIGHT) * 100).toFixed(2)}%`
+            };
+            delete migrated.x;
+            delete migrated.y;
+        }
+        return migrated;
+    });
+
+    repository.rubrics = repository.rubrics || [];
+    repository.references = repository.references || [];
+    (repository.studentSubmissions || []).forEach(student => {
+        student.grades = (student.grades || []).map(g => ({ ...g, questionId: rename(g.questionId) }));
+    });
+
+    const appState = repository.appState = repository.appState || {};
+    const allocation = appState.taskAllocation = appState.taskAllocation || { tas: [], tasks: [] };
+    (allocation.tasks || []).forEach(task => { task.taskId = rename(task.taskId); });
+    (allocation.tas || []).forEach(ta => (ta.tasks || []).forEach(task => { task.taskId = rename(task.taskId); }));
+    appState.comments = (appState.comments || []).map(c => ({ ...c, questionId: rename(c.questionId) }));
+    appState.broadcasts = appState.broadcasts || [];
+    appState.broadcasts.forEach(b => {
+        if (b.examLink) b.examLink.question = rename(b.examLink.question);
+    });
+
+    return repository;
+}
+
+/**
+ * Returns the number of pages of the exam: the last page a question, region or checkpoint is on.
+ */
+function countExamPages(repository) {
+    const pages = [1];
+    (repository.questions || []).forEach(q => {
+        [q, ...(q.subquestions || [])].forEach(item => {
+            String(item.pages || '').split(/[,-]/).forEach(n => pages.push(parseInt(n, 10) || 1));
+            (item.regions || []).forEach(region => pages.push(region.page || 1));
+        });
+    });
+    (repository.gradingCheckpoints || []).forEach(cp => pages.push(cp.page || 1));
+    return Math.max(...pages);
+}
+
+/**
+ * Whether a grade still keeps the AI's text in `comment`, as repositories did before the grader's
+ * comment and the AI suggestion (`aiComment`) were stored apart: it has an AI score but no `aiComment`.
+ */
+function hasLegacyAiComment(grade) {
+    return typeof grade.aiSuggestedScore === 'number' && !!grade.comment && !Object.hasOwn(grade, 'aiComment');
+}
+
+/**
+ * Version 2 -> 3:
+ * - Comments saved before pages were tracked are positioned on the whole document (all pages
+ *   stacked). They get a `page` and a position on that page, assuming the submission has the exam's
+ *   pages, all of the same height. Comments without an `id` get one.
+ * - Grades finalized before the passes were stored separately get their score and comment as the
+ *   first pass (`passScores`, `passComments`). An AI comment (see hasLegacyAiComment) is not a pass's.
+ * - Missing lists (question regions, annotations, audit log, comment bank) are created empty.
+ */
+function migrateV2ToV3(repository) {
+    (repository.questions || []).forEach(q => {
+        [q, ...(q.subquestions || [])].forEach(item => { item.regions = item.regions || []; });
+    });
+
+    (repository.studentSubmissions || []).forEach(student => {
+        (student.grades || []).forEach(grade => {
+            if ((grade.manualStatus || 0) < 1 || grade.passScores) return;
+            grade.passScores = { first: grade.score ?? null };
+            if (grade.comment && !hasLegacyAiComment(grade)) grade.passComments = { first: grade.comment };
+        });
+    });
+
+    const appState = repository.appState = repository.appState || {};
+    const pageCount = countExamPages(repository);
+    appState.comments = (appState.comments || []).map((c, index) => {
+        const migrated = { ...c, id: c.id || `comment_v3_${index}` };
+        return c.page || !c.position ? migrated : { ...migrated, ...pagePointFromDocument(c.position, pageCount) };
+    });
+    appState.annotations = appState.annotations || [];
+    appState.auditLog = appState.auditLog || [];
+    appState.commentBank = appState.commentBank || [];
+    return repository;
+}
+
+/**
+ * Version 3 -> 4:
+ * - AI comments kept in `comment` (see hasLegacyAiComment) move to `aiComment`, so they show as the
+ *   AI suggestion instead of the grader's comment. A first pass comment copied from them is dropped.
+ */
+function migrateV3ToV4(repository) {
+    (repository.studentSubmissions || []).forEach(student => {
+        (student.grades || []).forEach(grade => {
+            if (!hasLegacyAiComment(grade)) return;
+            grade.aiComment = grade.comment;
+            delete grade.comment;
+            if (grade.passComments?.first === grade.aiComment) {
+                delete grade.passComments.first;
+                if (Object.keys(grade.passComments).length === 0) delete grade.passComments;
+            }
+        });
+    });
+    return repository;
+}
+
+// Ordered list of migration steps; each upgrades from `from` to `from + 1`
+const MIGRATIONS = [
+    { from: 1, description: 'Renamed subquestion IDs and converted px checkpoints to page percentages.', migrate: migrateV1ToV2 },
+    { from: 2, description: 'Placed comments on pages, gave them IDs and stored finalized grades as their first pass.', migrate: migrateV2ToV3 },
+    { from: 3, description: 'Moved AI comments from the grader\'s comment to the AI suggestion.', migrate: migrateV3ToV4 }
+];
+
+/**
+ * Returns the schema version of a repository.
+ * @param {Object} repository - The repository object.
+ * @returns {number}
+ */
+export function getSchemaVersion(repository) {
+    return (repository && repository.schemaVersion) || 1;
+}
+
+/**
+ * Upgrades a repository to the current schema version.
+ * The repository is migrated in place; each applied step is reported.
+ *
+ * @param {Object} repository - The repository object.
+ * @returns {{repository: Object, applied: Array<string>}} The migrated repository and the applied steps.
+ */
+export function migrateRepository(repository) {
+    const applied = [];
+    let version = getSchemaVersion(repository);
+
+    while (version < SCHEMA_VERSION) {
+        const step = MIGRATIONS.find(m => m.from === version);
+        if (!step) {
+            console.warn(`[RepositorySchema] No migration from version ${version}.`);
+            break;
+        }
+        repository = step.migrate(repository);
+        version = step.from + 1;
+        repository.schemaVersion = version;
+        applied.push(`v${step.from} → v${version}: ${step.description}`);
+    }
+
+    if (applied.length > 0) {
+        console.log(`[RepositorySchema] Migrated '${repository.id}' to version ${version}.`);
+    }
+    return { repository, applied };
+}
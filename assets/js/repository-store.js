@@ -0,0 +1,402 @@
+import { migrateRepository } from './repository-schema.js';
+import { applyChange } from './repository-changes.js';
+import {
+    getCollaborationServer, fetchServerRepository, listServerRepositories, putServerRepository, deleteServerRepository, postServerChange,
+    putServerFile, fetchServerFile, getServerFileUrl, deleteServerFiles
+} from './collaboration-client.js';
+
+/**
+ * Durable repository storage backed by IndexedDB.
+ *
+ * Every repository is stored as one record keyed by its `id`, so several
+ * repositories can live side by side and survive closing the tab.
+ * Small edits (a grade, a comment, a broadcast) are written as changes that are
+ * applied to the stored record inside a single transaction instead of
+ * re-serializing the whole repository from every module.
+ *
+ * Each write bumps the record's `revision`, so the order of writes from several
+ * tabs is known; onRepositorySaved lets repository-sync.js pass them on.
+ *
+ * When the app is served by the collaboration server, the repositories are read
+ * from and written to the server instead (see collaboration-client.js).
+ *
+ * Files that do not exist on the server (e.g. PDFs from an imported archive) are
+ * kept in a second object store and referenced from the repository as
+ * `stored-file:<path>` URLs, which resolveFileUrl turns into object URLs.
+ * With the collaboration server, these files are uploaded to it instead and
+ * resolveFileUrl points to the server's copy.
+ */
+
+const DB_NAME = 'grading-ui';
+const DB_VERSION = 2;
+const REPOSITORY_STORE = 'repositories';
+const FILE_STORE = 'files';
+
+// URL prefix for files that live in IndexedDB instead of on the server
+export const STORED_FILE_PREFIX = 'stored-file:';
+
+// Object URLs created for stored files, keyed by `<repositoryId>/<path>`
+const objectUrlCache = new Map();
+
+// Key of the repository that was opened last (shared by index.html and grading.html)
+export const CURRENT_REPOSITORY_KEY = 'currentRepositoryId';
+
+let dbPromise = null;
+
+// Called after each write made by this page (see onRepositorySaved)
+const saveListeners = new Set();
+// Called when the collaboration server refused a change of this page (see onRepositorySaveFailed)
+const saveFailureListeners = new Set();
+
+/**
+ * Opens (and upgrades, if needed) the IndexedDB database.
+ * The connection is cached for the lifetime of the page.
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable.
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (!window.indexedDB) {
+            console.warn('[RepositoryStore] IndexedDB is not available. Changes will not be persisted.');
+            resolve(null);
+            return;
+        }
+
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(REPOSITORY_STORE)) {
+                db.createObjectStore(REPOSITORY_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(FILE_STORE)) {
+                db.createObjectStore(FILE_STORE, { keyPath: 'key' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error('[RepositoryStore] Failed to open database:', request.error);
+            resolve(null);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Runs a callback inside a transaction on one object store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {Function} callback - Receives the object store and returns an IDBRequest (or nothing).
+ * @param {string} [storeName] - The object store (defaults to the repositories store).
+ * @returns {Promise<*>} Resolves with the request result once the transaction completes.
+ */
+async function withStore(mode, callback, storeName = REPOSITORY_STORE) {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const store = transaction.objectStore(storeName);
+        let result = null;
+
+        const request = callback(store);
+        if (request) {
+            request.onsuccess = () => { result = request.result; };
+        }
+
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Loads a repository from the store.
+ * @param {string} repositoryId - The repository ID.
+ * @returns {Promise<Object|null>} The stored repository, or null if it was never saved.
+ */
+export async function getStoredRepository(repositoryId) {
+    if (!repositoryId) return null;
+    if (await getCollaborationServer()) return fetchServerRepository(repositoryId);
+    const repository = await withStore('readonly', store => store.get(repositoryId));
+    return repository || null;
+}
+
+/**
+ * Lists all stored repositories.
+ * @returns {Promise<Array<{id: string, name: string, updatedAt: string}>>} A summary of each repository.
+ */
+export async function listStoredRepositories() {
+    if (await getCollaborationServer()) {
+        return (await listServerRepositories()).map(({ id, name, updatedAt }) => ({ id, name, updatedAt }));
+    }
+    const repositories = await withStore('readonly', store => store.getAll());
+    return (repositories || []).map(repo => ({
+        id: repo.id,
+        name: repo.name,
+        updatedAt: repo.updatedAt || null
+    }));
+}
+
+/**
+ * Saves a whole repository, replacing the stored copy.
+ * @param {Object} repository - The repository object (must have an `id`).
+ * @returns {Promise<void>}
+ */
+export async function saveRepository(repository) {
+    if (!repository || !repository.id) return;
+    repository.updatedAt = new Date().toISOString();
+    // Clone through JSON so non-serializable values (DOM nodes, functions) never reach IndexedDB
+    const record = JSON.parse(JSON.stringify(repository));
+    if (await getCollaborationServer()) {
+        repository.revision = await putServerRepository(record);
+        notifySaveListeners({ repositoryId: repository.id, revision: repository.revision, replaced: true });
+        return;
+    }
+    await withStore('readwrite', store => {
+        const request = store.get(repository.id);
+        request.onsuccess = () => {
+            record.revision = (request.result?.revision || 0) + 1;
+            store.put(record);
+        };
+    });
+    if (record.revision) {
+        repository.revision = record.revision;
+        notifySaveListeners({ repositoryId: repository.id, revision: record.revision, replaced: true });
+    }
+}
+
+/**
+ * Deletes a repository and its stored files from the store.
+ * @param {string} repositoryId - The repository ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteStoredRepository(repositoryId) {
+    if (await getCollaborationServer()) {
+        await deleteServerRepository(repositoryId);
+    } else {
+        await withStore('readwrite', store => store.delete(repositoryId));
+    }
+    await deleteRepositoryFiles(repositoryId);
+}
+
+/**
+ * Applies a single change to the stored copy of a repository.
+ * The read and the write happen in the same transaction, so concurrent changes
+ * to different fields do not overwrite each other.
+ *
+ * @param {string} repositoryId - The repository ID.
+ * @param {Object} change - The change to apply (see applyChange in repository-changes.js).
+ * @returns {Promise<boolean>} True if the repository was found and updated.
+ */
+export async function saveRepositoryChange(repositoryId, change) {
+    if (!repositoryId || !change) return false;
+
+    if (await getCollaborationServer()) {
+        try {
+            // Waits while the server is not reachable (see postServerChange)
+            const revision = await postServerChange(repositoryId, change);
+            notifySaveListeners({ repositoryId, revision, change });
+            return true;
+        } catch (error) {
+            // E.g. a change that does not fit the server's copy (409): the page's copy already shows it
+            console.warn(`[RepositoryStore] Change could not be saved to '${repositoryId}':`, change, error);
+            notifySaveFailureListeners({ repositoryId, change, error });
+            return false;
+        }
+    }
+
+    let applied = false;
+    let revision = 0;
+    await withStore('readwrite', store => {
+        const request = store.get(repositoryId);
+        request.onsuccess = () => {
+            const repository = request.result;
+            if (!repository) return;
+            applied = applyChange(repository, change);
+            if (applied) {
+                repository.updatedAt = new Date().toISOString();
+                repository.revision = revision = (repository.revision || 0) + 1;
+                store.put(repository);
+            }
+        };
+    });
+
+    if (!applied) {
+        console.warn(`[RepositoryStore] Change could not be applied to '${repositoryId}':`, change);
+    } else if (revision) {
+        notifySaveListeners({ repositoryId, revision, change });
+    }
+    return applied;
+}
+
+/**
+ * Registers a listener for the writes this page makes, called once each is stored with
+ * `{ repositoryId, revision, change }` for a change, or `{ repositoryId, revision, replaced: true }`
+ * when the whole repository was saved.
+ * @param {Function} listener - The listener.
+ * @returns {Function} Unregisters the listener.
+ */
+export function onRepositorySaved(listener) {
+    saveListeners.add(listener);
+    return () => saveListeners.delete(listener);
+}
+
+function notifySaveListeners(saved) {
+    saveListeners.forEach(listener => {
+        try {
+            listener(saved);
+        } catch (error) {
+            console.error('[RepositoryStore] Save listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Registers a listener for the changes the collaboration server refused, called with
+ * `{ repositoryId, change, error }`. The page already applied such a change to its copy,
+ * so the listener should tell the grader and load the repository again.
+ * @param {Function} listener - The listener.
+ * @returns {Function} Unregisters the listener.
+ */
+export function onRepositorySaveFailed(listener) {
+    saveFailureListeners.add(listener);
+    return () => saveFailureListeners.delete(listener);
+}
+
+function notifySaveFailureListeners(failure) {
+    saveFailureListeners.forEach(listener => {
+        try {
+            listener(failure);
+        } catch (error) {
+            console.error('[RepositoryStore] Save failure listener failed:', error);
+        }
+    });
+}
+
+/**
+ * Stores a file (e.g. a PDF) that belongs to a repository.
+ * @param {string} repositoryId - The repository ID.
+ * @param {string} path - The file path inside the repository (e.g. 'submissions/student_201.pdf').
+ * @param {Blob} blob - The file contents.
+ * @returns {Promise<string>} The `stored-file:` URL to reference the file with.
+ */
+export async function saveRepositoryFile(repositoryId, path, blob) {
+    if (await getCollaborationServer()) {
+        await putServerFile(repositoryId, path, blob);
+        return `${STORED_FILE_PREFIX}${path}`;
+    }
+
+    const key = `${repositoryId}/${path}`;
+    await withStore('readwrite', store => store.put({ key, repositoryId, path, blob }), FILE_STORE);
+
+    // Drop a stale object URL for a replaced file
+    if (objectUrlCache.has(key)) {
+        URL.revokeObjectURL(objectUrlCache.get(key));
+        objectUrlCache.delete(key);
+    }
+    return `${STORED_FILE_PREFIX}${path}`;
+}
+
+/**
+ * Deletes every stored file of a repository.
+ * @param {string} repositoryId - The repository ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteRepositoryFiles(repositoryId) {
+    if (await getCollaborationServer()) await deleteServerFiles(repositoryId);
+    // Files stored in this browser (also those from before the server was used)
+    await withStore('readwrite', store => store.delete(IDBKeyRange.bound(`${repositoryId}/`, `${repositoryId}/\uffff`)), FILE_STORE);
+    [...objectUrlCache.keys()].filter(key => key.startsWith(`${repositoryId}/`)).forEach(key => {
+        URL.revokeObjectURL(objectUrlCache.get(key));
+        objectUrlCache.delete(key);
+    });
+}
+
+/**
+ * Reads a stored file of a repository.
+ * @param {string} repositoryId - The repository ID.
+ * @param {string} path - The file path inside the repository.
+ * @returns {Promise<Blob|null>} The file contents, or null if there is no such file.
+ */
+export async function getRepositoryFile(repositoryId, path) {
+    if (await getCollaborationServer()) return fetchServerFile(repositoryId, path);
+    const record = await withStore('readonly', store => store.get(`${repositoryId}/${path}`), FILE_STORE);
+    return record ? record.blob : null;
+}
+
+/**
+ * Turns a URL from a repository into one that PDF.js (or a link) can open.
+ * Regular URLs are returned unchanged; `stored-file:` URLs become object URLs
+ * (or the server's URL of the file, with the collaboration server).
+ * @param {string} url - The URL as written in the repository.
+ * @param {string} [repositoryId] - The repository ID (defaults to the open repository).
+ * @returns {Promise<string|null>} The resolved URL, or null if a stored file is missing.
+ */
+export async function resolveFileUrl(url, repositoryId) {
+    if (!url || !url.startsWith(STORED_FILE_PREFIX)) return url;
+
+    const repoId = repositoryId || (window.currentRepository && window.currentRepository.id);
+    const path = url.slice(STORED_FILE_PREFIX.length);
+    if (await getCollaborationServer()) return getServerFileUrl(repoId, path);
+
+    const key = `${repoId}/${path}`;
+    if (objectUrlCache.has(key)) return objectUrlCache.get(key);
+
+    const blob = await getRepositoryFile(repoId, path);
+    if (!blob) {
+        console.warn(`[RepositoryStore] Stored file '${path}' not found for repository '${repoId}'.`);
+        return null;
+    }
+    const objectUrl = URL.createObjectURL(blob);
+    objectUrlCache.set(key, objectUrl);
+    return objectUrl;
+}
+
+/**
+ * Remembers which repository is currently open.
+ * @param {string|null} repositoryId - The repository ID, or null to clear it.
+ */
+export function setCurrentRepositoryId(repositoryId) {
+    if (repositoryId) {
+        localStorage.setItem(CURRENT_REPOSITORY_KEY, repositoryId);
+    } else {
+        localStorage.removeItem(CURRENT_REPOSITORY_KEY);
+    }
+}
+
+/**
+ * Returns the ID of the repository that was opened last.
+ * @returns {string|null}
+ */
+export function getCurrentRepositoryId() {
+    return localStorage.getItem(CURRENT_REPOSITORY_KEY);
+}
+
+/**
+ * Loads the current repository for a page: the stored copy if there is one,
+ * otherwise `data/<id>.json`, which is then saved to the store.
+ * Older repository shapes are migrated to the current schema on the way in.
+ * @param {string} repositoryId - The repository ID.
+ * @returns {Promise<Object>} The repository object.
+ */
+export async function loadRepository(repositoryId) {
+    const stored = await getStoredRepository(repositoryId);
+    if (stored) {
+        console.log(`[RepositoryStore] Loading repository '${repositoryId}' from ${await getCollaborationServer() ? 'the collaboration server' : 'IndexedDB'}.`);
+        const { repository, applied } = migrateRepository(stored);
+        if (applied.length > 0) await saveRepository(repository);
+        return repository;
+    }
+
+    console.log(`[RepositoryStore] Fetching repository '${repositoryId}' from file.`);
+    const response = await fetch(`data/${repositoryId}.json?t=${new Date().getTime()}`);
+    if (!response.ok) {
+        throw new Error(`Could not load repository: ${response.statusText}`);
+    }
+    const { repository } = migrateRepository(await response.json());
+    await saveRepository(repository);
+    return repository;
+}
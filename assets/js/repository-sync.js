@@ -0,0 +1,354 @@
+import { onRepositorySaved, onRepositorySaveFailed, saveRepositoryChange } from './repository-store.js';
+import { applyChange } from './repository-changes.js';
+import { getCollaborationServer, onServerMessage, onConnectionChange } from './collaboration-client.js';
+import { escapeHtml } from './html.js';
+
+/**
+ * Live sync of the open repository between tabs (index.html and grading.html).
+ *
+ * Every change a page stores with saveRepositoryChange is posted on a BroadcastChannel. The other
+ * tabs apply it to their copy (`window.currentRepository`) and re-render what it touches, so edits
+ * made at the same time in several tabs are merged field by field instead of the last tab to save
+ * overwriting the others. With the collaboration server the changes come from the server instead,
+ * including those of other TAs (see collaboration-client.js).
+ *
+ * The store numbers its writes (`revision`) and every change carries the revision its tab had seen
+ * when it was made. That orders the changes and tells when one overwrote a local edit the other tab
+ * did not know about. Such a conflict is shown to the grader whose edit was lost, who can keep it.
+ *
+ * With the collaboration server, a lost connection is shown until it is back (changes made meanwhile
+ * wait for it), and a change the server refused is reported and the repository loaded again, since
+ * the page's copy already showed it.
+ */
+
+const CHANNEL_NAME = 'grading-ui-repository';
+const LOCAL_CHANGE_LIMIT = 200; // Own changes remembered to merge with and to detect conflicts
+
+const SECTION_LABELS = {
+    gradingParameters: 'Grading parameters',
+    taskAllocation: 'Task allocation',
+    broadcasts: 'Broadcasts',
+    comments: 'Comments on the paper',
+    annotations: 'Annotations',
+    commentBank: 'Comment bank',
+    automatedProcesses: 'Automated processes'
+};
+
+let channel = null;
+let initialized = false;
+let handlers = {};
+let localChanges = []; // { repositoryId, revision, seen, change }, oldest first
+let failedChanges = []; // { repositoryId, change, error } refused by the server, reported together
+let waitingChanges = 0; // Changes waiting for the collaboration server to be reachable again
+const knownRevisions = new WeakMap(); // repository object -> highest revision applied to it
+
+// --- Paths ---
+
+function sameSegment(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isPathPrefix(prefix, path) {
+    return prefix.length <= path.length && prefix.every((segment, i) => sameSegment(segment, path[i]));
+}
+
+function pathsOverlap(a, b) {
+    return isPathPrefix(a, b) || isPathPrefix(b, a);
+}
+
+/**
+ * Reads the value at a change path (see applyChange for selector segments).
+ */
+function readPath(target, path) {
+    return path.reduce((container, segment) => {
+        if (container === null || container === undefined) return undefined;
+        if (segment !== null && typeof segment === 'object') {
+            return Array.isArray(container)
+                ? container.find(item => item && Object.keys(segment).every(key => item[key] === segment[key]))
+                : undefined;
+        }
+        return container[segment];
+    }, target);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// --- Revisions ---
+
+function getKnownRevision(repository) {
+    return knownRevisions.get(repository) ?? (repository.revision || 0);
+}
+
+function markKnownRevision(repository, revision) {
+    knownRevisions.set(repository, Math.max(getKnownRevision(repository), revision));
+}
+
+// --- Changes ---
+
+/**
+ * Posts a change this page stored to the other tabs.
+ */
+function handleLocalSave({ repositoryId, revision, change, replaced }) {
+    const repository = window.currentRepository;
+    const isOpen = repository?.id === repositoryId;
+
+    if (replaced) {
+        localChanges = localChanges.filter(c => c.repositoryId !== repositoryId);
+        if (channel) channel.postMessage({ type: 'replaced', repositoryId, revision });
+        return;
+    }
+
+    const message = { type: 'change', repositoryId, revision, seen: isOpen ? getKnownRevision(repository) : 0, change: clone(change) };
+    if (isOpen) markKnownRevision(repository, revision);
+    localChanges.push(message);
+    if (localChanges.length > LOCAL_CHANGE_LIMIT) localChanges.shift();
+    if (channel) channel.postMessage(message);
+}
+
+/**
+ * Whether a local change is missing after a change from another tab was applied.
+ */
+function isOverwritten(repository, local, remote) {
+    // The other tab changed a part of it: only that part can be lost
+    if (remote.path.length > local.change.path.length) {
+        if (local.change.op !== 'set') return false;
+        const mine = readPath(local.change.value, remote.path.slice(local.change.path.length));
+        return mine !== undefined && JSON.stringify(mine) !== JSON.stringify(readPath(repository, remote.path));
+    }
+    const current = readPath(repository, local.change.path);
+    if (local.change.op === 'insert') {
+        const inserted = JSON.stringify(local.change.value);
+        return !Array.isArray(current) || !current.some(item => JSON.stringify(item) === inserted);
+    }
+    return local.change.op === 'set' && JSON.stringify(current) !== JSON.stringify(local.change.value);
+}
+
+/**
+ * Applies a change from another tab to the open repository.
+ * @returns {Array<Object>} The local changes it overwrote.
+ */
+function applyRemoteChange(repository, { change, revision, seen }) {
+    const related = localChanges.filter(c => c.repositoryId === repository.id && pathsOverlap(c.change.path, change.path));
+    const replaces = change.op !== 'insert';
+
+    // A later local change that replaced the field (or what contains it) is what the store holds
+    const superseded = related.some(c => c.revision > revision && c.change.op !== 'insert' && isPathPrefix(c.change.path, change.path));
+    if (!superseded) {
+        applyChange(repository, change);
+        // Later local changes inside what was just replaced were stored on top of it
+        if (replaces) {
+            related
+                .filter(c => c.revision > revision && isPathPrefix(change.path, c.change.path))
+                .forEach(c => applyChange(repository, clone(c.change)));
+        }
+    }
+    markKnownRevision(repository, revision);
+
+    if (!replaces) return [];
+    // Local changes stored before this one that its tab had not seen yet
+    return related.filter(c => c.revision > seen && c.revision < revision && isOverwritten(repository, c, change));
+}
+
+function handleMessage({ data }) {
+    const repository = window.currentRepository;
+    if (!data || !repository || data.repositoryId !== repository.id) return;
+
+    if (data.type === 'replaced') {
+        if (data.revision > (repository.revision || 0) && handlers.onReplaced) handlers.onReplaced(repository.id);
+        return;
+    }
+    // Changes the loaded copy already contains
+    if (data.type !== 'change' || data.revision <= (repository.revision || 0)) return;
+
+    const overwritten = applyRemoteChange(repository, data);
+    if (handlers.onChange) handlers.onChange(data.change);
+
+    // One notice per field, for the latest local value
+    const latest = new Map();
+    overwritten.forEach(local => latest.set(JSON.stringify(local.change.path) + local.change.op, local));
+    latest.forEach(local => showConflictNotice(repository, local, data.change));
+}
+
+/**
+ * Stores a local change again after another tab overwrote it.
+ */
+function keepLocalChange(repository, local) {
+    if (window.currentRepository !== repository) return;
+    const change = clone(local.change);
+    applyChange(repository, clone(change));
+    saveRepositoryChange(repository.id, change)
+        .catch(error => console.error('[RepositorySync] Failed to save the kept change:', error));
+    if (handlers.onChange) handlers.onChange(change);
+}
+
+/**
+ * Collects a change the collaboration server refused; several refused at once are reported together.
+ */
+function handleSaveFailure(failure) {
+    if (failedChanges.length === 0) setTimeout(reportSaveFailures);
+    failedChanges.push(failure);
+}
+
+/**
+ * Tells the grader which changes were not saved and loads the open repository again from the server.
+ */
+function reportSaveFailures() {
+    const repository = window.currentRepository;
+    const failures = failedChanges;
+    failedChanges = [];
+
+    const fields = [...new Set(failures.map(({ repositoryId, change }) => (repositoryId === repository?.id ? describePath(repository, change.path) : `A change to '${repositoryId}'`)))];
+    const more = fields.length > 3 ? ` and ${fields.length - 3} more` : '';
+    const reloads = failures.some(({ repositoryId }) => repositoryId === repository?.id) && handlers.onReplaced;
+    alert(`Not saved on the server: ${fields.slice(0, 3).join(', ')}${more}.\n${failures[0].error.message}`
+        + (reloads ? '\n\nThe repository is loaded again, so you see what the server has.' : ''));
+    if (reloads) handlers.onReplaced(repository.id);
+}
+
+// --- UI ---
+
+/**
+ * Describes what a change path points at, e.g. "Q1a grade of Alice Smith".
+ */
+function describePath(repository, path) {
+    const [root, selector, field, fieldSelector] = path;
+    if (root === 'studentSubmissions') {
+        const student = readPath(repository, [root, selector]);
+        const name = student?.name || selector?.id || 'a student';
+        if (field === 'grades' && fieldSelector?.questionId) return `${fieldSelector.questionId} grade of ${name}`;
+        return field ? `${field} of ${name}` : `Submission of ${name}`;
+    }
+    if (root === 'appState' && SECTION_LABELS[selector]) {
+        return typeof field === 'string' && selector === 'gradingParameters' ? `Grading parameter "${field}"` : SECTION_LABELS[selector];
+    }
+    return path.map(segment => (segment !== null && typeof segment === 'object' ? Object.values(segment).join('/') : segment)).join(' › ');
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return '–';
+    if (Array.isArray(value)) return `${value.length} item${value.length === 1 ? '' : 's'}`;
+    if (typeof value === 'object') return 'changed';
+    const text = String(value);
+    return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
+
+/**
+ * Lists how two values of a field differ: per property for objects (e.g. a grade), else as a whole.
+ * @returns {Array<{label: string, mine: string, theirs: string}>}
+ */
+function describeDifferences(mine, theirs) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(mine) || !isObject(theirs)) return [{ label: '', mine: formatValue(mine), theirs: formatValue(theirs) }];
+    return [...new Set([...Object.keys(mine), ...Object.keys(theirs)])]
+        .filter(key => JSON.stringify(mine[key]) !== JSON.stringify(theirs[key]))
+        .map(key => ({ label: key, mine: formatValue(mine[key]), theirs: formatValue(theirs[key]) }));
+}
+
+function getNoticeContainer() {
+    let container = document.getElementById('sync-conflict-notices');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'sync-conflict-notices';
+        container.className = 'fixed bottom-4 left-4 z-[100] flex flex-col gap-2 max-w-sm';
+        document.body.appendChild(container);
+    }
+    return container;
+}
+
+/**
+ * Shows that the collaboration server cannot be reached, and how many changes wait for it.
+ * @param {Object} status - See onConnectionChange in collaboration-client.js.
+ */
+function showConnectionStatus({ connected, pendingChanges }) {
+    waitingChanges = pendingChanges;
+    let notice = document.getElementById('sync-connection-notice');
+    if (connected) {
+        notice?.remove();
+        return;
+    }
+    if (!notice) {
+        notice = document.createElement('div');
+        notice.id = 'sync-connection-notice';
+        notice.className = 'p-3 rounded-lg shadow-lg bg-white dark:bg-gray-800 border border-red-300 dark:border-red-700 text-sm';
+        getNoticeContainer().appendChild(notice);
+    }
+    notice.innerHTML = `
+        <div class="flex items-start gap-2">
+            <span class="material-symbols-outlined text-red-500">cloud_off</span>
+            <div class="min-w-0 text-gray-700 dark:text-gray-200">
+                <p><strong>Not connected to the collaboration server.</strong> Reconnecting…</p>
+                ${pendingChanges > 0 ? `<p class="mt-1 text-xs text-gray-500 dark:text-gray-400">${pendingChanges} change${pendingChanges === 1 ? '' : 's'} will be saved once it is back. Keep this tab open.</p>` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Tells the grader that another tab overwrote one of their edits and lets them keep it.
+ * @param {Object} repository - The open repository.
+ * @param {Object} local - The overwritten local change.
+ * @param {Object} remote - The change from the other tab.
+ */
+function showConflictNotice(repository, local, remote) {
+    const isInsert = local.change.op === 'insert';
+    const differences = isInsert ? [] : describeDifferences(local.change.value, readPath(repository, local.change.path));
+    const notice = document.createElement('div');
+    notice.className = 'p-3 rounded-lg shadow-lg bg-white dark:bg-gray-800 border border-amber-300 dark:border-amber-700 text-sm';
+    notice.innerHTML = `
+        <div class="flex items-start gap-2">
+            <span class="material-symbols-outlined text-amber-500">sync_problem</span>
+            <div class="min-w-0 text-gray-700 dark:text-gray-200">
+                <p><strong>${escapeHtml(describePath(repository, local.change.path))}</strong> was changed in another tab while you were editing it. The other change was kept.</p>
+                ${isInsert ? '<p class="mt-1 text-xs text-gray-500 dark:text-gray-400">Your addition was removed.</p>' : differences.slice(0, 3).map(d => `
+                <p class="mt-1 text-xs text-gray-500 dark:text-gray-400">${d.label ? `${escapeHtml(d.label)}: ` : ''}yours ${escapeHtml(d.mine)} · theirs ${escapeHtml(d.theirs)}</p>`).join('')}
+            </div>
+        </div>
+        <div class="mt-2 flex justify-end gap-2">
+            <button class="dismiss-conflict-btn px-3 py-1 rounded-md text-xs font-medium text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700">Keep theirs</button>
+            <button class="keep-mine-btn px-3 py-1 rounded-md text-xs font-medium bg-primary text-white hover:bg-primary/90">Keep mine</button>
+        </div>
+    `;
+    notice.querySelector('.dismiss-conflict-btn').addEventListener('click', () => notice.remove());
+    notice.querySelector('.keep-mine-btn').addEventListener('click', () => {
+        keepLocalChange(repository, local);
+        notice.remove();
+    });
+    getNoticeContainer().appendChild(notice);
+    console.warn(`[RepositorySync] A change from another tab overwrote ${describePath(repository, local.change.path)}:`, remote);
+}
+
+/**
+ * Starts syncing the open repository with the other tabs.
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - Called with a change after it was applied to
+ *   `window.currentRepository` (from another tab, or a local edit kept after a conflict) to re-render
+ *   what its `path` touches.
+ * @param {Function} [options.onReplaced] - Called with the repository ID when another tab saved the
+ *   whole repository (e.g. an import); the page should load it again.
+ */
+export function initializeRepositorySync({ onChange, onReplaced } = {}) {
+    handlers = { onChange, onReplaced };
+    if (initialized) return;
+    initialized = true;
+    onRepositorySaved(handleLocalSave);
+    onRepositorySaveFailed(handleSaveFailure);
+
+    getCollaborationServer().then(server => {
+        if (server) {
+            // The server passes every change on to all tabs
+            onServerMessage(message => handleMessage({ data: message }));
+            onConnectionChange(showConnectionStatus);
+            // Changes still waiting for the server would be lost with the tab
+            window.addEventListener('beforeunload', (event) => {
+                if (waitingChanges > 0) event.preventDefault();
+            });
+        } else if (typeof BroadcastChannel === 'undefined') {
+            console.warn('[RepositorySync] BroadcastChannel is not available. Changes from other tabs appear after a reload.');
+        } else {
+            channel = new BroadcastChannel(CHANNEL_NAME);
+            channel.addEventListener('message', handleMessage);
+        }
+    });
+}
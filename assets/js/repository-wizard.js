@@ -0,0 +1,526 @@
+import { createQuestionElement, nextQuestionId } from './question-editor.js';
+import { saveRepository, saveRepositoryFile, STORED_FILE_PREFIX } from './repository-store.js';
+import { validateRepository, SCHEMA_VERSION } from './repository-schema.js';
+
+/**
+ * "Create new repository" wizard (index.html, #repository-wizard-modal).
+ *
+ * Steps: exam details -> template PDF -> questions -> checkpoints -> rubrics & solutions -> TAs.
+ * Nothing is stored until the last step; the result has the same shape as data/testing-exam.json.
+ */
+
+const STEPS = ['Exam', 'Template', 'Questions', 'Checkpoints', 'Files', 'TAs'];
+
+let draft = null;
+let currentStep = 1;
+let wizardOptions = {};
+let templateUrl = null; // Object URL of the uploaded template
+
+/**
+ * Returns an empty wizard draft.
+ */
+function createDraft() {
+    return {
+        name: '',
+        id: '',
+        templateFile: null,
+        questions: [],
+        checkpoints: [],
+        rubricFiles: [],
+        submissions: [], // { file, name }
+        tas: [
+            { name: 'TA 1', maxWorkload: 20 },
+            { name: 'TA 2', maxWorkload: 20 }
+        ]
+    };
+}
+
+/**
+ * Turns an exam name into a repository ID (e.g. 'Midterm 2024' -> 'midterm-2024').
+ */
+function slugify(text) {
+    return text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Returns all questions that are graded directly (questions without subquestions, and subquestions).
+ */
+function getLeafQuestions(questions) {
+    return questions.flatMap(q => (q.subquestions && q.subquestions.length > 0) ? q.subquestions : [q]);
+}
+
+/**
+ * Wires up the wizard modal. Call once after the DOM is ready.
+ *
+ * @param {Object} options
+ * @param {Function} options.isIdTaken - Async check whether a repository ID is already used.
+ * @param {Function} options.onCreated - Called with the stored repository when the wizard finishes.
+ */
+export function initializeRepositoryWizard(options) {
+    wizardOptions = options;
+    const modal = document.getElementById('repository-wizard-modal');
+    if (!modal) return;
+
+    document.getElementById('close-repository-wizard').addEventListener('click', closeRepositoryWizard);
+    document.getElementById('wizard-back-btn').addEventListener('click', () => showStep(currentStep - 1));
+    document.getElementById('wizard-next-btn').addEventListener('click', goToNextStep);
+    document.getElementById('wizard-create-btn').addEventListener('click', createRepository);
+
+    // Step 1: Exam details
+    document.getElementById('wizard-exam-name').addEventListener('input', (e) => {
+        draft.name = e.target.value;
+        draft.id = slugify(draft.name);
+        document.getElementById('wizard-exam-id').textContent = draft.id || '—';
+    });
+
+    // Step 2: Template
+    document.getElementById('wizard-template-upload').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        draft.templateFile = file;
+        draft.checkpoints = []; // Checkpoints belong to the previous template
+        if (templateUrl) URL.revokeObjectURL(templateUrl);
+        templateUrl = URL.createObjectURL(file);
+        document.getElementById('wizard-template-status').textContent = `Selected: ${file.name}`;
+    });
+
+    // Step 3: Questions
+    document.getElementById('wizard-add-question').addEventListener('click', () => {
+        const id = nextQuestionId(draft.questions);
+        draft.questions.push({ id, name: `${id}: New Question`, pages: '', points: 1 });
+        renderQuestions();
+    });
+
+    // Step 4: Checkpoints
+    document.getElementById('wizard-checkpoint-question').addEventListener('change', renderCheckpointMarkers);
+
+    // Step 5: Rubrics and student solutions
+    document.getElementById('wizard-rubrics-upload').addEventListener('change', (e) => {
+        draft.rubricFiles.push(...Array.from(e.target.files));
+        e.target.value = '';
+        renderFileLists();
+    });
+    document.getElementById('wizard-submissions-upload').addEventListener('change', (e) => {
+        Array.from(e.target.files).forEach(file => {
+            draft.submissions.push({ file, name: file.name.replace(/\.pdf$/i, '') });
+        });
+        e.target.value = '';
+        renderFileLists();
+    });
+
+    // Step 6: TAs
+    document.getElementById('wizard-add-ta').addEventListener('click', () => {
+        draft.tas.push({ name: `TA ${draft.tas.length + 1}`, maxWorkload: 20 });
+        renderTas();
+    });
+}
+
+/**
+ * Opens the wizard with an empty draft.
+ */
+export function openRepositoryWizard() {
+    draft = createDraft();
+    if (templateUrl) URL.revokeObjectURL(templateUrl);
+    templateUrl = null;
+
+    document.getElementById('wizard-exam-name').value = '';
+    document.getElementById('wizard-exam-id').textContent = '—';
+    document.getElementById('wizard-template-upload').value = '';
+    document.getElementById('wizard-template-status').textContent = 'No file selected.';
+
+    renderQuestions();
+    renderFileLists();
+    renderTas();
+    showStep(1);
+
+    document.getElementById('repository-wizard-modal').classList.remove('hidden');
+}
+
+/**
+ * Closes the wizard and discards the draft.
+ */
+export function closeRepositoryWizard() {
+    document.getElementById('repository-wizard-modal').classList.add('hidden');
+    draft = null;
+}
+
+// --- Navigation ---
+
+function showStep(step) {
+    currentStep = Math.min(Math.max(step, 1), STEPS.length);
+    showErrors([]);
+
+    document.querySelectorAll('#repository-wizard-modal [data-wizard-step]').forEach(panel => {
+        panel.classList.toggle('hidden', parseInt(panel.dataset.wizardStep, 10) !== currentStep);
+    });
+
+    const indicator = document.getElementById('wizard-step-indicator');
+    indicator.innerHTML = STEPS.map((label, index) => {
+        const stepNumber = index + 1;
+        const stateClass = stepNumber === currentStep
+            ? 'bg-primary text-white'
+            : stepNumber < currentStep
+                ? 'bg-primary/20 text-primary dark:text-blue-300'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400';
+        return `<li class="px-3 py-1 rounded-full text-xs font-medium ${stateClass}">${stepNumber}. ${label}</li>`;
+    }).join('');
+
+    document.getElementById('wizard-back-btn').classList.toggle('invisible', currentStep === 1);
+    document.getElementById('wizard-next-btn').classList.toggle('hidden', currentStep === STEPS.length);
+    document.getElementById('wizard-create-btn').classList.toggle('hidden', currentStep !== STEPS.length);
+
+    if (currentStep === 4) renderCheckpointStep();
+}
+
+async function goToNextStep() {
+    const errors = await validateStep(currentStep);
+    if (errors.length > 0) {
+        showErrors(errors);
+        return;
+    }
+    showStep(currentStep + 1);
+}
+
+/**
+ * Checks the inputs of one step.
+ * @returns {Promise<Array<string>>} Problems that block moving on.
+ */
+async function validateStep(step) {
+    const errors = [];
+    const leafQuestions = getLeafQuestions(draft.questions);
+
+    switch (step) {
+        case 1:
+            if (!draft.name.trim()) errors.push('Enter a name for the exam.');
+            else if (!draft.id) errors.push('The name must contain at least one letter or digit.');
+            else if (await wizardOptions.isIdTaken(draft.id)) errors.push(`A repository with the ID '${draft.id}' already exists. Choose another name.`);
+            break;
+        case 2:
+            if (!draft.templateFile) errors.push('Upload the exam template PDF.');
+            else if (draft.templateFile.type !== 'application/pdf') errors.push('The exam template must be a PDF file.');
+            break;
+        case 3:
+            if (draft.questions.length === 0) errors.push('Add at least one question.');
+            draft.questions.forEach(q => {
+                if (!q.pages) errors.push(`${q.name}: enter the page range.`);
+            });
+            leafQuestions.forEach(q => {
+                if (!(q.points > 0)) errors.push(`${q.name}: points must be greater than 0.`);
+            });
+            break;
+        case 4:
+            leafQuestions.forEach(q => {
+                if (!draft.checkpoints.some(cp => cp.questionId === q.id)) errors.push(`${q.name}: place a checkpoint on the template.`);
+            });
+            break;
+        case 5:
+            if (draft.submissions.length === 0) errors.push('Upload at least one student solution.');
+            draft.submissions.forEach((s, i) => {
+                if (!s.name.trim()) errors.push(`Student solution ${i + 1}: enter the student's name.`);
+            });
+            break;
+        case 6:
+            if (draft.tas.length === 0) errors.push('Add at least one TA.');
+            draft.tas.forEach((ta, i) => {
+                if (!ta.name.trim()) errors.push(`TA ${i + 1}: enter a name.`);
+            });
+            break;
+    }
+    return errors;
+}
+
+function showErrors(errors) {
+    const container = document.getElementById('wizard-errors');
+    container.innerHTML = '';
+    container.classList.toggle('hidden', errors.length === 0);
+    errors.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        container.appendChild(item);
+    });
+}
+
+// --- Step Rendering ---
+
+function renderQuestions() {
+    const list = document.getElementById('wizard-question-list');
+    list.innerHTML = '';
+    if (draft.questions.length === 0) {
+        list.innerHTML = `<div class="text-center text-gray-500 dark:text-gray-400 py-8">No questions yet. Add the first one.</div>`;
+        return;
+    }
+    draft.questions.forEach(q => {
+        list.appendChild(createQuestionElement(q, {
+            siblings: draft.questions,
+            onChange: () => {
+                // Drop checkpoints of deleted questions
+                const ids = new Set(getLeafQuestions(draft.questions).map(leaf => leaf.id));
+                draft.checkpoints = draft.checkpoints.filter(cp => ids.has(cp.questionId));
+                if (draft.questions.length === 0) renderQuestions();
+            }
+        }));
+    });
+}
+
+async function renderCheckpointStep() {
+    const select = document.getElementById('wizard-checkpoint-question');
+    const previous = select.value;
+    select.innerHTML = '';
+    getLeafQuestions(draft.questions).forEach(q => select.add(new Option(q.name, q.id)));
+    if (previous && select.querySelector(`option[value="${previous}"]`)) select.value = previous;
+
+    const pagesContainer = document.getElementById('wizard-template-pages');
+    if (pagesContainer.dataset.renderedUrl === templateUrl) {
+        renderCheckpointMarkers();
+        return;
+    }
+
+    const pdfjsLib = window.pdfjsLib;
+    if (!pdfjsLib) { console.error("PDF.js library not loaded."); return; }
+    pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.6.347/pdf.worker.min.js`;
+
+    pagesContainer.innerHTML = `<div class="text-center text-gray-500 dark:text-gray-400 py-8">Rendering template...</div>`;
+    try {
+        const pdf = await pdfjsLib.getDocument(templateUrl).promise;
+        pagesContainer.innerHTML = '';
+        const width = pagesContainer.clientWidth || 800;
+
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            const viewport = page.getViewport({ scale: 1 });
+            const scaledViewport = page.getViewport({ scale: width / viewport.width });
+
+            const wrapper = document.createElement('div');
+            wrapper.className = 'relative mb-4 shadow-md';
+            wrapper.dataset.pageNumber = pageNum;
+
+            const canvas = document.createElement('canvas');
+            canvas.width = scaledViewport.width;
+            canvas.height = scaledViewport.height;
+            canvas.className = 'block w-full';
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport: scaledViewport }).promise;
+
+            const overlay = document.createElement('div');
+            overlay.className = 'wizard-page-overlay absolute inset-0 cursor-crosshair';
+            overlay.addEventListener('click', (e) => {
+                if (e.target !== overlay) return;
+                const questionId = select.value;
+                if (!questionId) return;
+                const rect = overlay.getBoundingClientRect();
+                draft.checkpoints.push({
+                    questionId,
+                    page: pageNum,
+                    rubricPage: pageNum,
+                    position: {
+                        x: `${(((e.clientX - rect.left) / rect.width) * 100).toFixed(2)}%`,
+                        y: `${(((e.clientY - rect.top) / rect.height) * 100).toFixed(2)}%`
+                    }
+                });
+                renderCheckpointMarkers();
+            });
+
+            wrapper.appendChild(canvas);
+            wrapper.appendChild(overlay);
+            pagesContainer.appendChild(wrapper);
+        }
+        pagesContainer.dataset.renderedUrl = templateUrl;
+        renderCheckpointMarkers();
+    } catch (error) {
+        console.error('[RepositoryWizard] Failed to render template:', error);
+        pagesContainer.innerHTML = `<div class="p-8 text-center text-red-500">Failed to load the exam template.</div>`;
+    }
+}
+
+function renderCheckpointMarkers() {
+    const selectedId = document.getElementById('wizard-checkpoint-question').value;
+    document.querySelectorAll('#wizard-template-pages .wizard-page-overlay').forEach(overlay => overlay.innerHTML = '');
+
+    draft.checkpoints.forEach(cp => {
+        const overlay = document.querySelector(`#wizard-template-pages [data-page-number="${cp.page}"] .wizard-page-overlay`);
+        if (!overlay) return;
+
+        const isSelected = cp.questionId === selectedId;
+        const marker = document.createElement('div');
+        marker.className = `absolute flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold shadow ${isSelected ? 'bg-primary text-white' : 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300'}`;
+        marker.style.left = cp.position.x;
+        marker.style.top = cp.position.y;
+        marker.style.transform = 'translate(-50%, -50%)';
+        marker.innerHTML = `
+            <span>${cp.questionId}</span>
+            <button class="material-symbols-outlined text-sm leading-none hover:text-red-400" title="Remove checkpoint">close</button>
+        `;
+        marker.querySelector('button').addEventListener('click', (e) => {
+            e.stopPropagation();
+            draft.checkpoints.splice(draft.checkpoints.indexOf(cp), 1);
+            renderCheckpointMarkers();
+        });
+        overlay.appendChild(marker);
+    });
+}
+
+function renderFileLists() {
+    const rubricList = document.getElementById('wizard-rubrics-list');
+    rubricList.innerHTML = '';
+    draft.rubricFiles.forEach((file, index) => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center justify-between p-2 bg-gray-50 dark:bg-gray-700/50 rounded-md text-sm';
+        item.innerHTML = `<span class="truncate"></span><button class="p-1 rounded-full hover:bg-red-500/20 text-red-500"><span class="material-symbols-outlined text-base">delete</span></button>`;
+        item.querySelector('span').textContent = file.name;
+        item.querySelector('button').addEventListener('click', () => {
+            draft.rubricFiles.splice(index, 1);
+            renderFileLists();
+        });
+        rubricList.appendChild(item);
+    });
+
+    const submissionList = document.getElementById('wizard-submissions-list');
+    submissionList.innerHTML = '';
+    draft.submissions.forEach((submission, index) => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center gap-2 p-2 bg-gray-50 dark:bg-gray-700/50 rounded-md text-sm';
+        item.innerHTML = `
+            <span class="material-symbols-outlined text-base text-gray-500">person</span>
+            <input type="text" class="form-input flex-1 bg-transparent border-gray-200 dark:border-gray-600 rounded-md text-sm p-1" placeholder="Student name">
+            <span class="text-xs text-gray-500 dark:text-gray-400 truncate max-w-[40%]"></span>
+            <button class="p-1 rounded-full hover:bg-red-500/20 text-red-500"><span class="material-symbols-outlined text-base">delete</span></button>
+        `;
+        const nameInput = item.querySelector('input');
+        nameInput.value = submission.name;
+        nameInput.addEventListener('input', (e) => { submission.name = e.target.value; });
+        item.querySelector('.text-xs').textContent = submission.file.name;
+        item.querySelector('button').addEventListener('click', () => {
+            draft.submissions.splice(index, 1);
+            renderFileLists();
+        });
+        submissionList.appendChild(item);
+    });
+}
+
+function renderTas() {
+    const list = document.getElementById('wizard-ta-list');
+    list.innerHTML = '';
+    draft.tas.forEach((ta, index) => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center gap-3 p-2 bg-gray-50 dark:bg-gray-700/50 rounded-md text-sm';
+        item.innerHTML = `
+            <span class="material-symbols-outlined text-base text-gray-500">badge</span>
+            <input type="text" class="ta-name-input form-input flex-1 bg-transparent border-gray-200 dark:border-gray-600 rounded-md text-sm p-1" placeholder="TA name">
+            <label class="flex items-center gap-1 text-gray-500 dark:text-gray-400">Max workload
+                <input type="number" min="1" class="ta-max-input form-input w-16 bg-transparent border-gray-200 dark:border-gray-600 rounded-md text-sm p-1 text-center">
+            </label>
+            <button class="p-1 rounded-full hover:bg-red-500/20 text-red-500"><span class="material-symbols-outlined text-base">delete</span></button>
+        `;
+        const nameInput = item.querySelector('.ta-name-input');
+        const maxInput = item.querySelector('.ta-max-input');
+        nameInput.value = ta.name;
+        maxInput.value = ta.maxWorkload;
+        nameInput.addEventListener('input', (e) => { ta.name = e.target.value; });
+        maxInput.addEventListener('input', (e) => { ta.maxWorkload = parseInt(e.target.value, 10) || 1; });
+        item.querySelector('button').addEventListener('click', () => {
+            draft.tas.splice(index, 1);
+            renderTas();
+        });
+        list.appendChild(item);
+    });
+}
+
+// --- Repository Creation ---
+
+/**
+ * Builds the repository object from the draft (without storing anything).
+ * File URLs point at the paths the files will be stored under.
+ */
+function buildRepository() {
+    const templatePath = `exam/${draft.templateFile.name}`;
+    const leafQuestions = getLeafQuestions(draft.questions);
+    const emptyProgress = () => ({ aiHigh: 0, aiLow: 0, gradedOnce: 0, graded2Plus: 0 });
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        id: draft.id,
+        name: draft.name.trim(),
+        examTemplateUrl: `${STORED_FILE_PREFIX}${templatePath}`,
+        questions: draft.questions.map(q => ({ ...q, progress: emptyProgress() })),
+        gradingCheckpoints: draft.checkpoints.map(cp => ({ ...cp, position: { ...cp.position } })),
+        rubrics: draft.rubricFiles.map((file, index) => ({
+            name: file.name.replace(/\.pdf$/i, ''),
+            url: `${STORED_FILE_PREFIX}rubrics/${index + 1}-${file.name}`
+        })),
+        references: [],
+        studentSubmissions: draft.submissions.map((submission, index) => {
+            const id = `student_${String(index + 1).padStart(3, '0')}`;
+            return { id, name: submission.name.trim(), url: `${STORED_FILE_PREFIX}submissions/${id}-${submission.file.name}`, grades: [] };
+        }),
+        appState: {
+            gradingProgress: emptyProgress(),
+            taskAllocation: {
+                tas: draft.tas.map((ta, index) => ({
+                    id: `TA${index + 1}`,
+                    name: ta.name.trim(),
+                    workload: 0,
+                    maxWorkload: ta.maxWorkload,
+                    tasks: []
+                })),
+                // Every question is graded twice (first and second version)
+                tasks: leafQuestions.flatMap(q => ['first', 'second'].map(version => ({
+                    taskId: q.id, version, confidence: 0, assigned: false
+                })))
+            },
+            gradingParameters: {
+                studentScoreThreshold: 30,
+                aiConfidenceThreshold: 80,
+                highlightAIAttention: false,
+                showAIReasoning: true
+            },
+            automatedProcesses: {
+                aiGrading: { lastRun: 'N/A', status: 'ready' },
+                consistencyChecker: { lastRun: 'N/A', status: 'ready', conflictCount: 0 },
+                rubricEvaluator: { lastRun: 'N/A', status: 'ready' }
+            },
+            comments: [],
+            broadcasts: [],
+            annotations: [],
+            auditLog: [],
+            commentBank: []
+        }
+    };
+}
+
+async function createRepository() {
+    const errors = await validateStep(STEPS.length);
+    if (errors.length > 0) {
+        showErrors(errors);
+        return;
+    }
+
+    const repository = buildRepository();
+    const report = validateRepository(repository);
+    if (!report.valid) {
+        showErrors(report.errors.map(issue => `${issue.path}: ${issue.message}`));
+        return;
+    }
+
+    const createButton = document.getElementById('wizard-create-btn');
+    createButton.disabled = true;
+    try {
+        // Store the files first, so the repository never references a missing file
+        await saveRepositoryFile(repository.id, `exam/${draft.templateFile.name}`, draft.templateFile);
+        for (const [index, file] of draft.rubricFiles.entries()) {
+            await saveRepositoryFile(repository.id, `rubrics/${index + 1}-${file.name}`, file);
+        }
+        for (const [index, submission] of draft.submissions.entries()) {
+            const student = repository.studentSubmissions[index];
+            await saveRepositoryFile(repository.id, `submissions/${student.id}-${submission.file.name}`, submission.file);
+        }
+        await saveRepository(repository);
+
+        console.log(`[RepositoryWizard] Created repository '${repository.id}'.`);
+        closeRepositoryWizard();
+        if (wizardOptions.onCreated) await wizardOptions.onCreated(repository);
+    } catch (error) {
+        console.error('[RepositoryWizard] Failed to create repository:', error);
+        showErrors([`Could not save the repository: ${error.message}`]);
+    } finally {
+        createButton.disabled = false;
+    }
+}
@@ -0,0 +1,124 @@
+import { listGradableQuestions } from './ai-grading.js';
+
+/**
+ * Rubric evaluator (index.html, "Rubric Change Evaluator" card).
+ *
+ * Summarizes the stored grades of every gradable item (question or subquestion) to show where
+ * the rubric is unclear: score distribution, how often full / partial / zero points are given,
+ * the gap between AI and human scores, and how much the two manual passes disagree.
+ */
+
+export const RUBRIC_FLAG_THRESHOLDS = {
+    minGraded: 3,           // items with fewer scores are not flagged
+    aiGap: 0.2,             // mean |AI - human| as a share of the max points
+    passDisagreement: 0.15  // mean |first - second| as a share of the max points
+};
+
+export const RUBRIC_FLAG_LABELS = {
+    'ai-gap': 'AI and TAs disagree',
+    'pass-disagreement': 'TAs disagree',
+    'no-partial-credit': 'Partial credit never used',
+    'uniform-scores': 'Everyone got the same score'
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const mean = values => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Evaluates a single gradable item.
+ * @param {Object} question - An item from listGradableQuestions.
+ * @param {Array} students - The repository's students.
+ * @param {number} checkpointCount - Checkpoints placed for the item.
+ */
+function evaluateItem(question, students, checkpointCount) {
+    const scores = [];
+    const aiGaps = [];
+    const passGaps = [];
+
+    students.forEach(student => {
+        const grade = student.grades.find(g => g.questionId === question.id);
+        if (!grade) return;
+
+        const humanScore = typeof grade.score === 'number' ? grade.score : null;
+        const aiScore = typeof grade.aiSuggestedScore === 'number' ? grade.aiSuggestedScore : null;
+        const score = humanScore ?? aiScore;
+        if (score !== null) scores.push(score);
+        if (humanScore !== null && aiScore !== null) aiGaps.push(humanScore - aiScore);
+
+        const first = grade.passScores?.first;
+        const second = grade.passScores?.second;
+        if (typeof first === 'number' && typeof second === 'number') passGaps.push(Math.abs(first - second));
+    });
+
+    const maxPoints = question.maxPoints;
+    const distribution = {};
+    scores.forEach(score => {
+        const key = String(round(score, 1));
+        distribution[key] = (distribution[key] || 0) + 1;
+    });
+
+    const full = scores.filter(s => s >= maxPoints).length;
+    const zero = scores.filter(s => s <= 0).length;
+    const partial = scores.length - full - zero;
+
+    const meanAiGap = mean(aiGaps.map(Math.abs));
+    const meanPassGap = mean(passGaps);
+
+    const flags = [];
+    if (scores.length >= RUBRIC_FLAG_THRESHOLDS.minGraded && maxPoints > 0) {
+        if (meanAiGap !== null && meanAiGap / maxPoints > RUBRIC_FLAG_THRESHOLDS.aiGap) flags.push('ai-gap');
+        if (meanPassGap !== null && meanPassGap / maxPoints > RUBRIC_FLAG_THRESHOLDS.passDisagreement) flags.push('pass-disagreement');
+        if (Object.keys(distribution).length === 1) flags.push('uniform-scores');
+        else if (partial === 0 && maxPoints > 1) flags.push('no-partial-credit');
+    }
+
+    return {
+        questionId: question.id,
+        name: question.name,
+        maxPoints,
+        checkpointCount,
+        graded: scores.length,
+        meanScore: scores.length > 0 ? round(mean(scores)) : null,
+        distribution,
+        full,
+        partial,
+        zero,
+        aiComparisons: aiGaps.length,
+        meanAiGap: meanAiGap !== null ? round(meanAiGap) : null,
+        aiBias: aiGaps.length > 0 ? round(mean(aiGaps)) : null, // positive: TAs give more than the AI
+        doubleGraded: passGaps.length,
+        meanPassGap: meanPassGap !== null ? round(meanPassGap) : null,
+        flags
+    };
+}
+
+/**
+ * Evaluates every gradable item of a repository.
+ *
+ * @param {Object} repository - The repository.
+ * @returns {Object} The new `appState.automatedProcesses.rubricEvaluator` entry:
+ *   { lastRun, status: 'evaluated', flaggedCount, items }. Items are sorted so the ones where
+ *   the TAs disagree most come first.
+ */
+export function runRubricEvaluation(repository) {
+    const checkpointCounts = {};
+    (repository.gradingCheckpoints || []).forEach(cp => {
+        checkpointCounts[cp.questionId] = (checkpointCounts[cp.questionId] || 0) + 1;
+    });
+
+    const disagreement = item => (item.meanPassGap !== null ? item.meanPassGap / (item.maxPoints || 1) : -1);
+    const items = listGradableQuestions(repository.questions)
+        .map(question => evaluateItem(question, repository.studentSubmissions, checkpointCounts[question.id] || 0))
+        .sort((a, b) => disagreement(b) - disagreement(a));
+
+    const flaggedCount = items.filter(item => item.flags.length > 0).length;
+    console.log(`[RubricEvaluator] Evaluated ${items.length} items, ${flaggedCount} flagged.`);
+
+    return {
+        ...(repository.appState.automatedProcesses?.rubricEvaluator || {}),
+        lastRun: new Date().toLocaleString(),
+        status: 'evaluated',
+        flaggedCount,
+        items
+    };
+}
@@ -0,0 +1,201 @@
+/**
+ * Structured rubrics attached to grading checkpoints.
+ *
+ * A checkpoint may carry `rubric: { items: [{ id, type, label, description, points }] }` where type is
+ *   'criterion' - points awarded when the criterion is met
+ *   'deduction' - points taken off
+ *   'bonus'     - extra points (still capped at the max points)
+ * The items a TA selected for a student are stored in `grade.rubricSelections` (item IDs).
+ *
+ * The rubric PDFs stay available as a reference; `rubricPage` still links a checkpoint to its page.
+ */
+
+export const RUBRIC_ITEM_TYPES = {
+    criterion: { label: 'Criterion', sign: '+', color: 'text-green-500' },
+    deduction: { label: 'Deduction', sign: '−', color: 'text-red-500' },
+    bonus: { label: 'Bonus', sign: '+', color: 'text-blue-400' }
+};
+
+/**
+ * Computes the score for a set of selected rubric items.
+ * Criteria are added up; a rubric without criteria starts from the max points (deductions only).
+ * Bonuses are added and deductions subtracted. The result is kept within 0..maxPoints.
+ *
+ * @param {Object} rubric - The checkpoint's rubric.
+ * @param {Array<string>} selectedIds - The selected item IDs.
+ * @param {number} maxPoints - The max points of the question.
+ * @returns {number} The score.
+ */
+export function computeRubricScore(rubric, selectedIds, maxPoints) {
+    const items = rubric?.items || [];
+    const selected = new Set(selectedIds || []);
+    const hasCriteria = items.some(item => item.type === 'criterion');
+
+    let score = hasCriteria ? 0 : maxPoints;
+    items.forEach(item => {
+        if (!selected.has(item.id)) return;
+        const points = Math.abs(item.points || 0);
+        score += item.type === 'deduction' ? -points : points;
+    });
+    return Math.min(Math.max(score, 0), maxPoints);
+}
+
+/**
+ * Returns the next free rubric item ID of a rubric (e.g. 'R4').
+ */
+function nextRubricItemId(rubric) {
+    let number = rubric.items.length + 1;
+    while (rubric.items.some(item => item.id === `R${number}`)) number++;
+    return `R${number}`;
+}
+
+/**
+ * Creates the editor for a checkpoint's rubric (Manage Resources modal).
+ * Every input writes straight back into the checkpoint.
+ *
+ * @param {Object} checkpoint - The grading checkpoint; `checkpoint.rubric` is created if missing.
+ * @param {Object} [options]
+ * @param {string} [options.title] - Heading of the editor.
+ * @param {number} [options.maxPoints] - The question's max points (shown for reference).
+ * @param {Function} [options.onChange] - Called after any edit.
+ * @returns {HTMLElement} The editor element.
+ */
+export function createRubricEditor(checkpoint, { title = 'Rubric', maxPoints, onChange } = {}) {
+    if (!checkpoint.rubric) checkpoint.rubric = { items: [] };
+    const rubric = checkpoint.rubric;
+    const notifyChange = () => { if (onChange) onChange(checkpoint); };
+
+    const editor = document.createElement('div');
+    editor.className = 'rubric-editor p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg space-y-2';
+
+    const render = () => {
+        const typeOptions = type => Object.entries(RUBRIC_ITEM_TYPES)
+            .map(([value, { label }]) => `<option value="${value}" ${value === type ? 'selected' : ''}>${label}</option>`).join('');
+
+        editor.innerHTML = `
+            <div class="flex justify-between items-center">
+                <h4 class="text-sm font-semibold">${title}</h4>
+                <span class="text-xs text-gray-500 dark:text-gray-400">${maxPoints !== undefined ? `Max ${maxPoints} pts` : ''}</span>
+            </div>
+            <div class="rubric-item-list space-y-2"></div>
+            <button class="add-rubric-item-btn text-sm text-primary hover:underline">+ Add Rubric Item</button>
+        `;
+
+        const list = editor.querySelector('.rubric-item-list');
+        if (rubric.items.length === 0) {
+            list.innerHTML = `<p class="text-xs text-gray-500 dark:text-gray-400">No rubric items yet. TAs type the score directly.</p>`;
+        }
+
+        rubric.items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'flex flex-col gap-1 p-2 bg-white dark:bg-gray-800 rounded-md border border-gray-200 dark:border-gray-600';
+            row.innerHTML = `
+                <div class="flex items-center gap-2">
+                    <select class="rubric-item-type form-select text-xs p-1 bg-transparent border-gray-300 dark:border-gray-600 rounded-md">${typeOptions(item.type)}</select>
+                    <input type="text" class="rubric-item-label flex-1 text-sm bg-transparent border-gray-300 dark:border-gray-600 rounded-md p-1" placeholder="Criterion name">
+                    <input type="number" min="0" step="0.5" class="rubric-item-points w-16 text-sm text-center bg-transparent border-gray-300 dark:border-gray-600 rounded-md p-1">
+                    <span class="text-xs text-gray-500">pts</span>
+                    <button class="delete-rubric-item-btn p-1 rounded-full hover:bg-red-500/20 text-red-500" title="Delete item">
+                        <span class="material-symbols-outlined text-base">delete</span>
+                    </button>
+                </div>
+                <input type="text" class="rubric-item-description text-xs bg-transparent border-gray-300 dark:border-gray-600 rounded-md p-1" placeholder="Description (shown to TAs)">
+            `;
+            row.querySelector('.rubric-item-label').value = item.label;
+            row.querySelector('.rubric-item-points').value = item.points;
+            row.querySelector('.rubric-item-description').value = item.description || '';
+
+            row.querySelector('.rubric-item-type').addEventListener('change', (e) => {
+                item.type = e.target.value;
+                notifyChange();
+            });
+            row.querySelector('.rubric-item-label').addEventListener('change', (e) => {
+                item.label = e.target.value.trim() || item.label;
+                e.target.value = item.label;
+                notifyChange();
+            });
+            row.querySelector('.rubric-item-points').addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                item.points = isNaN(value) || value < 0 ? 0 : value;
+                e.target.value = item.points;
+                notifyChange();
+            });
+            row.querySelector('.rubric-item-description').addEventListener('change', (e) => {
+                item.description = e.target.value.trim();
+                notifyChange();
+            });
+            row.querySelector('.delete-rubric-item-btn').addEventListener('click', () => {
+                rubric.items.splice(rubric.items.indexOf(item), 1);
+                render();
+                notifyChange();
+            });
+            list.appendChild(row);
+        });
+
+        editor.querySelector('.add-rubric-item-btn').addEventListener('click', () => {
+            const id = nextRubricItemId(rubric);
+            rubric.items.push({ id, type: 'criterion', label: `Criterion ${id.slice(1)}`, description: '', points: 1 });
+            render();
+            notifyChange();
+        });
+    };
+
+    render();
+    return editor;
+}
+
+/**
+ * Creates the list of rubric items a TA clicks to compose a score (grading view).
+ *
+ * @param {Object} rubric - The checkpoint's rubric.
+ * @param {Object} options
+ * @param {Array<string>} [options.selected] - Initially selected item IDs.
+ * @param {number} options.maxPoints - The question's max points.
+ * @param {Function} options.onChange - Called with (selectedIds, score) after every click.
+ * @returns {HTMLElement} The picker element.
+ */
+export function createRubricPicker(rubric, { selected = [], maxPoints, onChange }) {
+    const selection = new Set(selected);
+    const picker = document.createElement('div');
+    picker.className = 'rubric-picker space-y-1';
+
+    (rubric?.items || []).forEach(item => {
+        const type = RUBRIC_ITEM_TYPES[item.type] || RUBRIC_ITEM_TYPES.criterion;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.rubricItemId = item.id;
+        button.className = 'rubric-item w-full flex items-start gap-2 p-2 rounded border text-left transition-colors';
+        button.innerHTML = `
+            <span class="material-symbols-outlined text-[18px] rubric-item-check"></span>
+            <span class="flex-1 min-w-0">
+                <span class="block text-sm text-gray-200 rubric-item-label"></span>
+                <span class="block text-xs text-gray-400 rubric-item-description"></span>
+            </span>
+            <span class="text-sm font-bold ${type.color} whitespace-nowrap">${type.sign}${Math.abs(item.points || 0)}</span>
+        `;
+        button.querySelector('.rubric-item-label').textContent = item.label;
+        button.querySelector('.rubric-item-description').textContent = item.description || '';
+
+        const update = () => {
+            const isSelected = selection.has(item.id);
+            button.querySelector('.rubric-item-check').textContent = isSelected ? 'check_box' : 'check_box_outline_blank';
+            button.classList.toggle('border-blue-500', isSelected);
+            button.classList.toggle('bg-blue-500/10', isSelected);
+            button.classList.toggle('border-gray-700', !isSelected);
+        };
+        update();
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (selection.has(item.id)) selection.delete(item.id);
+            else selection.add(item.id);
+            update();
+            const ids = Array.from(selection);
+            onChange(ids, computeRubricScore(rubric, ids, maxPoints));
+        });
+        button.addEventListener('mousedown', e => e.stopPropagation());
+        picker.appendChild(button);
+    });
+
+    return picker;
+}
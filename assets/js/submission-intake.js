@@ -0,0 +1,487 @@
+import { saveRepositoryFile, saveRepositoryChange, resolveFileUrl } from './repository-store.js';
+
+/**
+ * Bulk intake of student submissions (index.html, Student Submissions tab).
+ *
+ * - Many PDFs at once, or one merged scan split into exams of N pages (pdf-lib, `window.PDFLib`).
+ * - A CSV roster (id, name, email) stored as `repository.roster`.
+ * - Files are matched to roster entries by file name, then by an ID printed on the cover page.
+ *   Files that match nothing (or more than one student) are flagged for manual assignment.
+ */
+
+// Files waiting to be added: { file, studentId, method, note }
+let pendingFiles = [];
+let intakeOptions = {};
+
+const PDF_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/2.6.347/pdf.worker.min.js';
+
+// --- Roster ---
+
+/**
+ * Splits one CSV line into fields (supports quoted fields with commas and "" escapes).
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') { current += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else current += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',' || char === ';') {
+            fields.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current.trim());
+    return fields;
+}
+
+/**
+ * Parses a roster CSV with a header row. Recognized columns: id (or 'student id', 'student number'),
+ * name (or 'first name' + 'last name'), and email.
+ *
+ * @param {string} text - The CSV contents.
+ * @returns {Array<{id: string, name: string, email: string}>} The roster entries.
+ * @throws {Error} If required columns are missing or IDs are duplicated.
+ */
+export function parseRosterCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) throw new Error('The roster needs a header row and at least one student.');
+
+    const header = parseCsvLine(lines[0]).map(h => h.toLowerCase().replace(/[^a-z]/g, ''));
+    const column = (...names) => header.findIndex(h => names.includes(h));
+    const idCol = column('id', 'studentid', 'studentnumber', 'matriculationnumber');
+    const nameCol = column('name', 'fullname', 'studentname');
+    const firstCol = column('firstname', 'givenname');
+    const lastCol = column('lastname', 'surname', 'familyname');
+    const emailCol = column('email', 'emailaddress', 'mail');
+
+    if (idCol === -1) throw new Error('The roster has no ID column.');
+    if (nameCol === -1 && (firstCol === -1 || lastCol === -1)) throw new Error('The roster has no name column.');
+
+    const roster = [];
+    const seen = new Set();
+    lines.slice(1).forEach((line, index) => {
+        const fields = parseCsvLine(line);
+        const id = fields[idCol];
+        if (!id) throw new Error(`Row ${index + 2} has no ID.`);
+        if (seen.has(id)) throw new Error(`The ID '${id}' appears more than once.`);
+        seen.add(id);
+
+        const name = nameCol !== -1 ? fields[nameCol] : `${fields[firstCol] || ''} ${fields[lastCol] || ''}`.trim();
+        roster.push({ id, name: name || id, email: emailCol !== -1 ? (fields[emailCol] || '') : '' });
+    });
+    return roster;
+}
+
+// --- Merged Scans ---
+
+/**
+ * Splits one merged scan into one PDF per exam.
+ * @param {File} file - The merged scan.
+ * @param {number} pagesPerExam - Pages of one exam (normally the template's page count).
+ * @returns {Promise<{files: Array<File>, remainder: number}>} The split files and the number of left-over pages.
+ */
+export async function splitMergedPdf(file, pagesPerExam) {
+    const PDFLib = window.PDFLib;
+    if (!PDFLib) throw new Error('The PDF editing library is not loaded.');
+    if (!(pagesPerExam > 0)) throw new Error('Enter the number of pages per exam.');
+
+    const source = await PDFLib.PDFDocument.load(await file.arrayBuffer());
+    const pageCount = source.getPageCount();
+    const examCount = Math.ceil(pageCount / pagesPerExam);
+    const baseName = file.name.replace(/\.pdf$/i, '');
+    const files = [];
+
+    for (let exam = 0; exam < examCount; exam++) {
+        const indices = [];
+        for (let page = exam * pagesPerExam; page < Math.min((exam + 1) * pagesPerExam, pageCount); page++) {
+            indices.push(page);
+        }
+        const doc = await PDFLib.PDFDocument.create();
+        const pages = await doc.copyPages(source, indices);
+        pages.forEach(page => doc.addPage(page));
+        const bytes = await doc.save();
+        files.push(new File([bytes], `${baseName}-${String(exam + 1).padStart(3, '0')}.pdf`, { type: 'application/pdf' }));
+    }
+
+    return { files, remainder: pageCount % pagesPerExam };
+}
+
+/**
+ * Counts the pages of a PDF with PDF.js.
+ * @param {string} url - The PDF URL (may be a `stored-file:` URL).
+ * @returns {Promise<number|null>} The page count, or null if the PDF cannot be read.
+ */
+export async function countPdfPages(url) {
+    const pdfjsLib = window.pdfjsLib;
+    if (!pdfjsLib || !url) return null;
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+    try {
+        const pdf = await pdfjsLib.getDocument(await resolveFileUrl(url)).promise;
+        return pdf.numPages;
+    } catch (error) {
+        return null;
+    }
+}
+
+// --- Matching ---
+
+/**
+ * Lower-cases a text and removes everything except letters and digits.
+ */
+function compact(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Returns the candidates whose ID or name occurs in a piece of text.
+ * IDs must appear as a whole token, names anywhere (ignoring spaces and punctuation).
+ */
+function findCandidates(text, candidates) {
+    const tokens = new Set((text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+    const compactText = compact(text);
+    return candidates.filter(candidate => {
+        const idToken = candidate.id.toLowerCase();
+        const idMatch = tokens.has(idToken) || compact(candidate.id).length >= 4 && compactText.includes(compact(candidate.id));
+        const nameMatch = compact(candidate.name).length >= 4 && compactText.includes(compact(candidate.name));
+        return idMatch || nameMatch;
+    });
+}
+
+/**
+ * Reads the text of the first page of a PDF file.
+ */
+async function readCoverPageText(file) {
+    const pdfjsLib = window.pdfjsLib;
+    if (!pdfjsLib) return '';
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+    const url = URL.createObjectURL(file);
+    try {
+        const pdf = await pdfjsLib.getDocument(url).promise;
+        const page = await pdf.getPage(1);
+        const content = await page.getTextContent();
+        return content.items.map(item => item.str).join(' ');
+    } catch (error) {
+        // Scans without a text layer simply cannot be matched by cover page
+        return '';
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Matches uploaded files to students by file name, falling back to the cover page text.
+ *
+ * @param {Array<File>} files - The uploaded PDFs.
+ * @param {Array<{id: string, name: string}>} candidates - Roster entries and existing students.
+ * @returns {Promise<Array<{file: File, studentId: string|null, method: string|null, note: string}>>}
+ */
+export async function matchSubmissions(files, candidates) {
+    const results = [];
+    for (const file of files) {
+        let matches = findCandidates(file.name.replace(/\.pdf$/i, ''), candidates);
+        let method = 'filename';
+
+        if (matches.length !== 1) {
+            const coverMatches = findCandidates(await readCoverPageText(file), candidates);
+            if (coverMatches.length === 1 || matches.length === 0) {
+                matches = coverMatches;
+                method = 'cover-page';
+            }
+        }
+
+        if (matches.length === 1) {
+            results.push({ file, studentId: matches[0].id, method, note: '' });
+        } else {
+            results.push({
+                file,
+                studentId: null,
+                method: null,
+                note: matches.length > 1 ? `Matches ${matches.length} students` : 'No match'
+            });
+        }
+    }
+    return results;
+}
+
+// --- Repository Updates ---
+
+/**
+ * Returns everyone a file can be assigned to: roster entries and existing students.
+ */
+function getCandidates(repository) {
+    const candidates = new Map();
+    (repository.roster || []).forEach(entry => candidates.set(entry.id, entry));
+    repository.studentSubmissions.forEach(student => {
+        if (!candidates.has(student.id)) candidates.set(student.id, { id: student.id, name: student.name, email: student.email || '' });
+    });
+    return Array.from(candidates.values());
+}
+
+/**
+ * Stores the assigned files and creates (or updates) the students they belong to.
+ * New students start with an empty `grades` array.
+ *
+ * @param {Object} repository - The repository (updated in place).
+ * @param {Array} assignments - Pending files with a `studentId`.
+ * @returns {Promise<number>} The number of students that were added or updated.
+ * @throws {Error} If a file or student could not be stored; `error.addedCount` tells how many
+ *   assignments (from the start) were stored before.
+ */
+export async function addStudentSubmissions(repository, assignments) {
+    const candidates = new Map(getCandidates(repository).map(c => [c.id, c]));
+    let count = 0;
+
+    for (const { file, studentId } of assignments) {
+        if (!studentId) continue;
+        try {
+            const path = `submissions/${studentId}-${file.name}`;
+            const url = await saveRepositoryFile(repository.id, path, file);
+
+            let student = repository.studentSubmissions.find(s => s.id === studentId);
+            if (student) {
+                student.url = url;
+            } else {
+                const entry = candidates.get(studentId) || { id: studentId, name: studentId, email: '' };
+                student = { id: entry.id, name: entry.name, url, grades: [] };
+                if (entry.email) student.email = entry.email;
+                repository.studentSubmissions.push(student);
+            }
+
+            await saveRepositoryChange(repository.id, { op: 'set', path: ['studentSubmissions', { id: student.id }], value: student });
+        } catch (error) {
+            error.addedCount = count;
+            throw error;
+        }
+        count++;
+    }
+    return count;
+}
+
+// --- UI ---
+
+/**
+ * Wires up the Student Submissions tab. Call once after the DOM is ready.
+ *
+ * @param {Object} options
+ * @param {Function} options.getRepository - Returns the open repository (or null).
+ * @param {Function} options.onSubmissionsAdded - Called after students were added or updated.
+ */
+export function initializeSubmissionIntake(options) {
+    intakeOptions = options;
+    const uploadInput = document.getElementById('student-submissions-upload');
+    if (!uploadInput) return;
+
+    uploadInput.addEventListener('change', (e) => {
+        queueFiles(Array.from(e.target.files));
+        e.target.value = '';
+    });
+
+    document.getElementById('merged-scan-upload').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const pagesPerExam = parseInt(document.getElementById('pages-per-exam-input').value, 10);
+        try {
+            setIntakeStatus(`Splitting ${file.name}...`);
+            const { files, remainder } = await splitMergedPdf(file, pagesPerExam);
+            if (remainder !== 0) {
+                alert(`The scan does not divide evenly: the last exam has only ${remainder} page(s). Check it before adding it.`);
+            }
+            await queueFiles(files);
+        } catch (error) {
+            console.error('[SubmissionIntake] Failed to split scan:', error);
+            alert(`Could not split the scan: ${error.message}`);
+            setIntakeStatus('');
+        }
+    });
+
+    document.getElementById('roster-upload').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        const repository = intakeOptions.getRepository();
+        if (!file || !repository) return;
+        try {
+            repository.roster = parseRosterCsv(await file.text());
+            await saveRepositoryChange(repository.id, { op: 'set', path: ['roster'], value: repository.roster });
+            renderSubmissionIntake();
+            // Re-match pending files against the new roster
+            if (pendingFiles.length > 0) await queueFiles(pendingFiles.splice(0).map(p => p.file));
+        } catch (error) {
+            console.error('[SubmissionIntake] Roster import failed:', error);
+            alert(`Roster import failed: ${error.message}`);
+        }
+    });
+
+    document.getElementById('confirm-submissions-btn').addEventListener('click', async () => {
+        const repository = intakeOptions.getRepository();
+        if (!repository) return;
+        const assigned = pendingFiles.filter(p => p.studentId);
+        if (assigned.length === 0) return;
+
+        const duplicates = assigned.map(p => p.studentId).filter((id, i, ids) => ids.indexOf(id) !== i);
+        if (duplicates.length > 0) {
+            alert(`More than one file is assigned to: ${[...new Set(duplicates)].join(', ')}`);
+            return;
+        }
+
+        const confirmButton = document.getElementById('confirm-submissions-btn');
+        confirmButton.disabled = true;
+        setIntakeStatus(`Adding ${assigned.length} submission(s)...`);
+        let count = 0;
+        try {
+            count = await addStudentSubmissions(repository, assigned);
+            setIntakeStatus('');
+        } catch (error) {
+            // Keep the files that were not stored, so they can be added again
+            count = error.addedCount || 0;
+            console.error('[SubmissionIntake] Failed to add submissions:', error);
+            alert(`Only ${count} of ${assigned.length} submission(s) could be added: ${error.message}`);
+            setIntakeStatus('');
+        }
+        const added = assigned.slice(0, count);
+        pendingFiles = pendingFiles.filter(p => !added.includes(p));
+        renderSubmissionIntake();
+        if (count > 0 && intakeOptions.onSubmissionsAdded) intakeOptions.onSubmissionsAdded(count);
+    });
+
+    // Drag & drop onto the upload area
+    const dropZone = document.getElementById('student-submissions-dropzone');
+    dropZone.addEventListener('dragover', e => {
+        e.preventDefault();
+        dropZone.classList.add('border-primary');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('border-primary'));
+    dropZone.addEventListener('drop', e => {
+        e.preventDefault();
+        dropZone.classList.remove('border-primary');
+        queueFiles(Array.from(e.dataTransfer.files).filter(f => f.type === 'application/pdf'));
+    });
+}
+
+/**
+ * Matches new files and adds them to the pending list.
+ */
+async function queueFiles(files) {
+    const repository = intakeOptions.getRepository();
+    if (!repository) {
+        alert('Select a repository first.');
+        return;
+    }
+    if (files.length === 0) return;
+
+    setIntakeStatus(`Matching ${files.length} file(s)...`);
+    pendingFiles.push(...await matchSubmissions(files, getCandidates(repository)));
+    setIntakeStatus('');
+    renderSubmissionIntake();
+}
+
+function setIntakeStatus(text) {
+    const status = document.getElementById('submission-intake-status');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Renders the roster summary, the pending files and the students of the open repository.
+ */
+export async function renderSubmissionIntake() {
+    const repository = intakeOptions.getRepository ? intakeOptions.getRepository() : null;
+    const rosterSummary = document.getElementById('roster-summary');
+    const pendingList = document.getElementById('submission-intake-list');
+    const studentList = document.getElementById('student-submissions-list');
+    if (!pendingList || !studentList) return;
+
+    pendingList.innerHTML = '';
+    studentList.innerHTML = '';
+
+    if (!repository) {
+        rosterSummary.textContent = 'No repository loaded.';
+        studentList.innerHTML = `<p class="text-sm text-gray-500 dark:text-gray-400">No repository loaded.</p>`;
+        return;
+    }
+
+    const roster = repository.roster || [];
+    rosterSummary.textContent = roster.length > 0 ? `Roster: ${roster.length} students` : 'No roster imported.';
+
+    // Default the split size to the template's page count
+    const pagesInput = document.getElementById('pages-per-exam-input');
+    if (!pagesInput.value) {
+        const templatePages = await countPdfPages(repository.examTemplateUrl);
+        if (templatePages) pagesInput.value = templatePages;
+    }
+
+    // Pending files
+    const candidates = getCandidates(repository);
+    document.getElementById('pending-submissions-section').classList.toggle('hidden', pendingFiles.length === 0);
+    document.getElementById('pending-submissions-count').textContent = pendingFiles.length;
+
+    pendingFiles.forEach(pending => {
+        const item = document.createElement('div');
+        const isMatched = Boolean(pending.studentId);
+        item.className = `p-3 rounded-lg flex justify-between items-center gap-3 ${isMatched ? 'bg-gray-50 dark:bg-gray-700/50' : 'bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-300 dark:border-yellow-700'}`;
+
+        const methodLabel = pending.method === 'filename' ? 'Matched by file name'
+            : pending.method === 'cover-page' ? 'Matched by cover page'
+                : pending.method === 'manual' ? 'Assigned manually'
+                    : pending.note;
+
+        item.innerHTML = `
+            <p class="font-mono text-sm truncate flex-1"></p>
+            <span class="text-xs ${isMatched ? 'text-success' : 'text-yellow-600 dark:text-yellow-400'}">${methodLabel}</span>
+            <select class="form-select text-sm p-1 bg-transparent border-gray-200 dark:border-gray-600 rounded-md max-w-[40%]">
+                <option value="">-- Assign student --</option>
+            </select>
+            <button class="p-1 rounded-full hover:bg-red-500/20 text-red-500" title="Remove file">
+                <span class="material-symbols-outlined text-base">delete</span>
+            </button>
+        `;
+        item.querySelector('p').textContent = pending.file.name;
+
+        const select = item.querySelector('select');
+        candidates.forEach(c => select.add(new Option(`${c.name} (${c.id})`, c.id)));
+        select.value = pending.studentId || '';
+        select.addEventListener('change', (e) => {
+            pending.studentId = e.target.value || null;
+            pending.method = pending.studentId ? 'manual' : null;
+            pending.note = pending.studentId ? '' : 'No match';
+            renderSubmissionIntake();
+        });
+
+        item.querySelector('button').addEventListener('click', () => {
+            pendingFiles.splice(pendingFiles.indexOf(pending), 1);
+            renderSubmissionIntake();
+        });
+        pendingList.appendChild(item);
+    });
+
+    const unmatched = pendingFiles.filter(p => !p.studentId).length;
+    document.getElementById('unmatched-submissions-note').textContent = unmatched > 0 ? `${unmatched} file(s) need a student before they can be added.` : '';
+    document.getElementById('confirm-submissions-btn').disabled = pendingFiles.length === unmatched;
+
+    // Students in the repository
+    document.getElementById('student-submissions-count').textContent = repository.studentSubmissions.length;
+    repository.studentSubmissions.forEach(student => {
+        const item = document.createElement('div');
+        item.className = 'p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg flex justify-between items-center';
+        item.innerHTML = `
+            <div class="flex items-center gap-2">
+                <span class="material-symbols-outlined text-base text-gray-500">person</span>
+                <span class="text-sm font-medium"></span>
+                <span class="text-xs text-gray-500 dark:text-gray-400 font-mono"></span>
+            </div>
+            <p class="font-mono text-xs text-gray-500 dark:text-gray-400 truncate max-w-[50%]"></p>
+        `;
+        item.querySelector('.text-sm').textContent = student.name;
+        item.querySelector('.font-mono.text-xs').textContent = student.id;
+        item.querySelector('p').textContent = student.url ? student.url.split('/').pop() : 'No submission';
+        studentList.appendChild(item);
+    });
+}
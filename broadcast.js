@@ -10,15 +10,19 @@ function getBroadcasts() {
 }
 
 /**
- * Saves all broadcasts to localStorage.
- * @param {Array} broadcasts - The array of broadcast objects to save.
+ * Saves a change to a single broadcast of the current repository.
+ * The repository store is exposed on window by the page's module script.
+ * @param {string} broadcastId - The ID of the broadcast that changed.
+ * @param {string} field - The changed field (e.g. 'archived').
+ * @param {*} value - The new value.
  */
-function saveRepositoryToSession() {
-    if (window.currentRepository) {
-        sessionStorage.setItem('currentRepository', JSON.stringify(window.currentRepository));
-    } else {
-        sessionStorage.removeItem('currentRepository');
-    }
+function saveBroadcastChange(broadcastId, field, value) {
+    if (!window.currentRepository || typeof window.saveRepositoryChange !== 'function') return;
+    window.saveRepositoryChange(window.currentRepository.id, {
+        op: 'set',
+        path: ['appState', 'broadcasts', { id: broadcastId }, field],
+        value
+    }).catch(error => console.error('[Broadcast] Failed to save broadcast change:', error));
 }
 
 /**
@@ -56,7 +60,7 @@ function updateBroadcastArchivedStatus(broadcastId, isArchived) {
     const broadcastIndex = broadcasts.findIndex(b => b.id === broadcastId);
     if (broadcastIndex !== -1) {
         broadcasts[broadcastIndex].archived = isArchived;
-        saveRepositoryToSession();
+        saveBroadcastChange(broadcastId, 'archived', isArchived);
     }
 }
 
@@ -70,7 +74,7 @@ function updateBroadcastDismissedStatus(broadcastId, isDismissed) {
     const broadcastIndex = broadcasts.findIndex(b => b.id === broadcastId);
     if (broadcastIndex !== -1) {
         broadcasts[broadcastIndex].dismissed = isDismissed;
-        saveRepositoryToSession();
+        saveBroadcastChange(broadcastId, 'dismissed', isDismissed);
     }
 }
 /**
@@ -107,10 +111,12 @@ function renderBroadcastItem(broadcast, isArchivedView = false) {
 
     let description = broadcast.description;
     // If there's an exam link, add a clickable element to the description.
+    // Same URL format as grading.html's router (assets/js/grading-router.js); older links carry the student's name
     if (broadcast.examLink) {
-        const { student, question } = broadcast.examLink;
-        const link = `grading.html?student=${encodeURIComponent(student)}&question=${encodeURIComponent(question)}`;
-        description += `<br><a href="${link}" class="mt-2 inline-block text-xs font-semibold text-blue-600 dark:text-blue-400 hover:underline"><span class="material-symbols-outlined text-sm align-middle">link</span> View Exam: ${student} - ${question}</a>`;
+        const { student, question, checkpoint } = broadcast.examLink;
+        const link = `grading.html?student=${encodeURIComponent(student)}&question=${encodeURIComponent(question)}${checkpoint ? `&checkpoint=${checkpoint}` : ''}`;
+        const studentName = window.currentRepository?.studentSubmissions?.find(s => s.id === student)?.name || student;
+        description += `<br><a href="${link}" class="mt-2 inline-block text-xs font-semibold text-blue-600 dark:text-blue-400 hover:underline"><span class="material-symbols-outlined text-sm align-middle">link</span> View Exam: ${studentName} - ${question}${checkpoint ? `, checkpoint ${checkpoint}` : ''}</a>`;
     }
 
     const actionButtons = isArchivedView
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createRepositoryStore, RepositoryError } = require('./repositories');
+const { acceptWebSocket } = require('./websocket');
+
+/**
+ * Collaboration server: lets a team of TAs grade one repository together.
+ *
+ *   npm run serve -- [--port 8080] [--host localhost] [--store server/store] [--token <team token>]
+ *
+ * Serves the app (index.html, grading.html, assets/, data/...) and shares the repositories between
+ * everyone who opens it. Use `--host 0.0.0.0` to reach it from other machines on the LAN.
+ *
+ * Only the team may use it: every request needs the team token (`--token` or TEAM_TOKEN, otherwise a
+ * random one is made at start). Opening the printed link `/?token=<team token>` saves the token in a
+ * cookie of the browser; other tools send it in the `X-Team-Token` header. The API is not shared
+ * with other origins (no CORS), and requests and WebSockets from another origin are refused.
+ *
+ * REST API (JSON):
+ * - GET    /api/status                      -> { server: 'grading-ui', version }
+ * - GET    /api/repositories                -> [{ id, name, updatedAt, revision }]
+ * - GET    /api/repositories/:id            -> the repository
+ * - PUT    /api/repositories/:id            <- the repository            -> { revision }
+ * - DELETE /api/repositories/:id
+ * - POST   /api/repositories/:id/changes    <- { change, seen, clientId } -> { revision }
+ *   (`change` as in assets/js/repository-changes.js; `seen` is the revision the client's copy had)
+ * - PUT    /api/repositories/:id/files/:path <- the file contents (raw body)
+ * - GET    /api/repositories/:id/files/:path -> the file (the `stored-file:<path>` URLs of the repository)
+ * - DELETE /api/repositories/:id/files       (every file of the repository)
+ *
+ * WebSocket /api/live: every change is pushed to all clients as
+ * `{ type: 'change', repositoryId, revision, seen, change, clientId }`, and a replaced repository as
+ * `{ type: 'replaced', repositoryId, revision, clientId }`. After reconnecting, a client sends
+ * `{ type: 'resume', revisions: { <repositoryId>: <revision> } }` and gets what it missed (or
+ * `replaced` if the server no longer knows every change).
+ */
+
+const VERSION = 1;
+const ROOT_DIR = path.resolve(__dirname, '..');
+const MAX_BODY_SIZE = 64 * 1024 * 1024;
+const TOKEN_COOKIE = 'grading_team_token';
+const TOKEN_COOKIE_MAX_AGE = 30 * 24 * 60 * 60; // s
+
+// Not served: the server itself and its store, installed packages, dotfiles (.git)
+const PRIVATE_DIRS = ['server', 'node_modules'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.zip': 'application/zip',
+    '.csv': 'text/csv; charset=utf-8'
+};
+
+function parseArgs(argv) {
+    const options = {
+        port: parseInt(process.env.PORT, 10) || 8080,
+        host: process.env.HOST || 'localhost',
+        store: path.join(__dirname, 'store'),
+        token: process.env.TEAM_TOKEN || null
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const [name, inlineValue] = argv[i].split('=');
+        const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+        if (name === '--port') options.port = parseInt(value(), 10);
+        else if (name === '--host') options.host = value();
+        else if (name === '--store') options.store = path.resolve(value());
+        else if (name === '--token') options.token = value();
+        else if (name === '--help') {
+            console.log('Usage: npm run serve -- [--port 8080] [--host localhost] [--store server/store] [--token <team token>]');
+            process.exit(0);
+        } else {
+            console.warn(`[Server] Unknown option '${argv[i]}'.`);
+        }
+    }
+    return options;
+}
+
+// --- Access ---
+
+/**
+ * Reads the team token a request carries, from the X-Team-Token header or the cookie set by the token link.
+ */
+function getRequestToken(request) {
+    if (request.headers['x-team-token']) return request.headers['x-team-token'];
+    const cookie = (request.headers.cookie || '').split(';')
+        .map(part => part.trim().split('='))
+        .find(([name]) => name === TOKEN_COOKIE);
+    return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+}
+
+/**
+ * Compares a token to the team token in constant time.
+ */
+function isTeamToken(candidate, token) {
+    if (typeof candidate !== 'string') return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(candidate), digest(token));
+}
+
+/**
+ * Whether a request was made by a page of another origin (a missing Origin header is a non-browser client).
+ */
+function isForeignOrigin(request) {
+    const origin = request.headers.origin;
+    if (!origin) return false;
+    try {
+        return new URL(origin).host !== request.headers.host;
+    } catch (error) {
+        return true; // e.g. 'null' from file: pages and sandboxed frames
+    }
+}
+
+// --- HTTP helpers ---
+
+function sendJson(response, status, body) {
+    response.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new RepositoryError('Request body too large.', 413));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+async function readJsonBody(request) {
+    const body = await readBody(request);
+    try {
+        return JSON.parse(body.toString('utf8') || 'null');
+    } catch (error) {
+        throw new RepositoryError('The request body is not valid JSON.', 400);
+    }
+}
+
+function sendFile(request, response, file, headers = {}) {
+    fs.stat(file, (error, stats) => {
+        if (error || !stats.isFile()) {
+            sendJson(response, 404, { error: 'Not found.' });
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stats.size,
+            'Cache-Control': 'no-cache',
+            ...headers
+        });
+        if (request.method === 'HEAD') {
+            response.end();
+            return;
+        }
+        fs.createReadStream(file).pipe(response);
+    });
+}
+
+function serveStatic(request, response, pathname) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+    } catch (error) {
+        sendJson(response, 400, { error: 'Invalid path.' });
+        return;
+    }
+    const segments = relative.split('/');
+    const file = path.resolve(ROOT_DIR, relative);
+    if (!file.startsWith(ROOT_DIR + path.sep) || PRIVATE_DIRS.includes(segments[0]) || segments.some(s => s.startsWith('.'))) {
+        sendJson(response, 404, { error: 'Not found.' });
+        return;
+    }
+    sendFile(request, response, file);
+}
+
+// --- API ---
+
+async function handleApi(request, response, pathname, store) {
+    const parts = pathname.split('/').filter(Boolean).slice(1); // Without 'api'
+    const method = request.method;
+
+    if (parts[0] === 'status' && parts.length === 1 && method === 'GET') {
+        sendJson(response, 200, { server: 'grading-ui', version: VERSION });
+        return;
+    }
+    if (parts[0] !== 'repositories') {
+        sendJson(response, 404, { error: 'Unknown API endpoint.' });
+        return;
+    }
+
+    const id = parts[1] ? decodeURIComponent(parts[1]) : null;
+    if (!id && method === 'GET') {
+        sendJson(response, 200, store.list());
+    } else if (id && parts.length === 2 && method === 'GET') {
+        sendJson(response, 200, store.get(id));
+    } else if (id && parts.length === 2 && method === 'PUT') {
+        const repository = await readJsonBody(request);
+        const revision = store.replace(id, repository, { clientId: request.headers['x-client-id'] || null });
+        sendJson(response, 200, { revision });
+    } else if (id && parts.length === 2 && method === 'DELETE') {
+        store.remove(id);
+        sendJson(response, 204);
+    } else if (id && parts[2] === 'changes' && parts.length === 3 && method === 'POST') {
+        const body = await readJsonBody(request);
+        if (!body || !body.change) throw new RepositoryError('Expected { change, seen, clientId }.', 400);
+        const revision = store.applyChange(id, body.change, { seen: body.seen || 0, clientId: body.clientId || null });
+        sendJson(response, 200, { revision });
+    } else if (id && parts[2] === 'files' && parts.length === 3 && method === 'DELETE') {
+        store.removeFiles(id);
+        sendJson(response, 204);
+    } else if (id && parts[2] === 'files' && parts.length > 3) {
+        let filePath;
+        try {
+            filePath = parts.slice(3).map(decodeURIComponent).join('/');
+        } catch (error) {
+            throw new RepositoryError('Invalid file path.', 400);
+        }
+        if (method === 'PUT') {
+            store.saveFile(id, filePath, await readBody(request));
+            sendJson(response, 204);
+        } else if (method === 'GET' || method === 'HEAD') {
+            // Uploaded files must not run as pages of this origin
+            sendFile(request, response, store.getFile(id, filePath), { 'Content-Security-Policy': 'sandbox', 'X-Content-Type-Options': 'nosniff' });
+        } else {
+            sendJson(response, 405, { error: `${method} is not supported here.` });
+        }
+    } else {
+        sendJson(response, 405, { error: `${method} is not supported here.` });
+    }
+}
+
+// --- Server ---
+
+/**
+ * Creates the collaboration server.
+ * @param {Object} options
+ * @param {string} options.store - The directory written repositories are kept in.
+ * @param {string} options.token - The team token every request has to carry.
+ * @returns {{server: http.Server, store: Object}} The HTTP server (not listening yet) and its repositories.
+ */
+function createServer({ store: storeDir, token }) {
+    if (!token) throw new Error('The collaboration server needs a team token.');
+    const clients = new Set();
+    const store = createRepositoryStore({
+        dataDir: path.join(ROOT_DIR, 'data'),
+        storeDir,
+        onChange: message => {
+            const text = JSON.stringify(message);
+            clients.forEach(client => client.send(text));
+        }
+    });
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const { pathname } = url;
+        const isApi = pathname === '/api' || pathname.startsWith('/api/');
+
+        try {
+            if (isForeignOrigin(request)) {
+                sendJson(response, 403, { error: 'Requests from other origins are not accepted.' });
+            } else if (url.searchParams.has('token')) {
+                // The token link: keep the token in a cookie and drop it from the address bar
+                if (!isTeamToken(url.searchParams.get('token'), token)) {
+                    sendJson(response, 401, { error: 'Wrong team token.' });
+                    return;
+                }
+                url.searchParams.delete('token');
+                response.writeHead(303, {
+                    'Location': url.pathname + url.search,
+                    'Set-Cookie': `${TOKEN_COOKIE}=${encodeURIComponent(token)}; Path=/; Max-Age=${TOKEN_COOKIE_MAX_AGE}; HttpOnly; SameSite=Strict`,
+                    'Cache-Control': 'no-store'
+                });
+                response.end();
+            } else if (!isTeamToken(getRequestToken(request), token)) {
+                if (isApi) {
+                    sendJson(response, 401, { error: 'Missing or wrong team token (X-Team-Token header).' });
+                } else {
+                    response.writeHead(401, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' });
+                    response.end('Open the link the collaboration server printed at start (it ends in ?token=...) to sign in.\n');
+                }
+            } else if (isApi) {
+                await handleApi(request, response, pathname, store);
+            } else if (request.method === 'GET' || request.method === 'HEAD') {
+                serveStatic(request, response, pathname);
+            } else {
+                sendJson(response, 405, { error: `${request.method} is not supported here.` });
+            }
+        } catch (error) {
+            if (!(error instanceof RepositoryError)) console.error('[Server] Request failed:', error);
+            if (!response.headersSent) sendJson(response, error.status || 500, { error: error.message });
+        }
+    });
+
+    server.on('upgrade', (request, socket) => {
+        if (new URL(request.url, 'http://localhost').pathname !== '/api/live') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        // Browsers always send Origin with a WebSocket, and other sites must not read the changes
+        if (isForeignOrigin(request)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+        if (!isTeamToken(getRequestToken(request), token)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        const client = acceptWebSocket(request, socket);
+        if (!client) return;
+        clients.add(client);
+        client.on('close', () => clients.delete(client));
+        client.on('message', text => {
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                return;
+            }
+            if (message?.type !== 'resume') return;
+            Object.entries(message.revisions || {}).forEach(([repositoryId, revision]) => {
+                try {
+                    const missed = store.changesSince(repositoryId, revision);
+                    const replies = missed || [{ type: 'replaced', repositoryId, revision: store.get(repositoryId).revision, clientId: null }];
+                    replies.forEach(reply => client.send(JSON.stringify(reply)));
+                } catch (error) {
+                    console.warn(`[Server] Cannot resume '${repositoryId}': ${error.message}`);
+                }
+            });
+        });
+    });
+
+    server.on('close', () => store.flush());
+    return { server, store };
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.token) options.token = crypto.randomBytes(18).toString('base64url');
+    const { server, store } = createServer(options);
+    server.listen(options.port, options.host, () => {
+        console.log(`[Server] Grading UI at http://${options.host}:${options.port}/?token=${encodeURIComponent(options.token)} (repositories in ${path.relative(process.cwd(), options.store) || '.'})`);
+        console.log('[Server] Share this link with the team only: the token in it gives access to every repository.');
+    });
+    const stop = () => {
+        store.flush();
+        process.exit(0);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+}
+
+module.exports = { createServer };
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+// The browser applies changes with the same module (an ES module: needs Node 20.19 or later to require)
+const { applyChange, isValidChangePath, CHANGE_OPS } = require('../assets/js/repository-changes.js');
+
+/**
+ * Repositories shared by the collaboration server.
+ *
+ * A repository is read from `<store>/<id>.json` if a client has written it, otherwise from
+ * `data/<id>.json` (which is never modified). Loaded repositories stay in memory; changes are applied
+ * there in the order they arrive, numbered with the repository's `revision` like the browser store
+ * does (see assets/js/repository-store.js), and written to the store shortly after.
+ *
+ * The last changes of every repository are kept so clients that lost their connection can catch up.
+ */
+
+const WRITE_DELAY = 500; // ms to collect changes before writing a repository to disk
+const CHANGE_LOG_LIMIT = 1000;
+const ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+class RepositoryError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RepositoryError';
+        this.status = status;
+    }
+}
+
+/**
+ * Creates the repository store of a server.
+ * @param {Object} options
+ * @param {string} options.dataDir - The directory with the repository JSON files shipped with the app.
+ * @param {string} options.storeDir - The directory written repositories are kept in.
+ * @param {Function} [options.onChange] - Called with every change message after it was applied.
+ */
+function createRepositoryStore({ dataDir, storeDir, onChange = () => { } }) {
+    const repositories = new Map(); // id -> repository
+    const changeLogs = new Map(); // id -> change messages, oldest first
+    const writeTimers = new Map();
+
+    fs.mkdirSync(storeDir, { recursive: true });
+
+    function checkId(id) {
+        if (!ID_PATTERN.test(id || '')) throw new RepositoryError(`Invalid repository ID '${id}'.`, 400);
+    }
+
+    // Files of a repository live in files/<id>/<path>; a path never leaves that directory
+    function resolveFile(id, filePath) {
+        checkId(id);
+        const segments = String(filePath || '').split('/');
+        if (segments.some(segment => !segment || segment === '.' || segment === '..' || /[\\\0]/.test(segment))) {
+            throw new RepositoryError(`Invalid file path '${filePath}'.`, 400);
+        }
+        return path.join(storeDir, 'files', id, ...segments);
+    }
+
+    function removeFiles(id) {
+        checkId(id);
+        fs.rmSync(path.join(storeDir, 'files', id), { recursive: true, force: true });
+    }
+
+    function readJson(file) {
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    function load(id) {
+        checkId(id);
+        if (!repositories.has(id)) {
+            const repository = readJson(path.join(storeDir, `${id}.json`)) || readJson(path.join(dataDir, `${id}.json`));
+            if (!repository || repository.id !== id) throw new RepositoryError(`Repository '${id}' not found.`, 404);
+            repositories.set(id, repository);
+        }
+        return repositories.get(id);
+    }
+
+    function scheduleWrite(id) {
+        clearTimeout(writeTimers.get(id));
+        writeTimers.set(id, setTimeout(() => write(id), WRITE_DELAY));
+    }
+
+    function write(id) {
+        clearTimeout(writeTimers.get(id));
+        writeTimers.delete(id);
+        const repository = repositories.get(id);
+        if (!repository) return;
+        // Write a temporary file first so a crash never leaves half a repository
+        const file = path.join(storeDir, `${id}.json`);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(repository));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    function publish(id, message) {
+        if (!changeLogs.has(id)) changeLogs.set(id, []);
+        const log = changeLogs.get(id);
+        log.push(message);
+        if (log.length > CHANGE_LOG_LIMIT) log.shift();
+        onChange(message);
+    }
+
+    return {
+        /**
+         * Lists the repositories that can be opened.
+         * @returns {Array<{id: string, name: string, updatedAt: string|null, revision: number}>}
+         */
+        list() {
+            const ids = new Set(repositories.keys());
+            [storeDir, dataDir].forEach(dir => fs.readdirSync(dir)
+                .filter(file => file.endsWith('.json'))
+                .forEach(file => ids.add(file.slice(0, -'.json'.length))));
+            return [...ids].sort().flatMap(id => {
+                try {
+                    const repository = load(id);
+                    return [{ id, name: repository.name, updatedAt: repository.updatedAt || null, revision: repository.revision || 0 }];
+                } catch (error) {
+                    return []; // Not a repository (e.g. fixtures)
+                }
+            });
+        },
+
+        get(id) {
+            return load(id);
+        },
+
+        /**
+         * Replaces a whole repository (e.g. one created by the wizard or imported from an archive).
+         * @returns {number} The new revision.
+         */
+        replace(id, repository, { clientId = null } = {}) {
+            checkId(id);
+            if (!repository || repository.id !== id) throw new RepositoryError('The repository ID does not match the URL.', 400);
+            const previous = repositories.get(id) || readJson(path.join(storeDir, `${id}.json`)) || readJson(path.join(dataDir, `${id}.json`));
+            repository.revision = (previous?.revision || 0) + 1;
+            repository.updatedAt = new Date().toISOString();
+            repositories.set(id, repository);
+            // Earlier changes cannot be replayed on top of a new copy
+            changeLogs.delete(id);
+            scheduleWrite(id);
+            publish(id, { type: 'replaced', repositoryId: id, revision: repository.revision, clientId });
+            return repository.revision;
+        },
+
+        /**
+         * Applies a change to a repository.
+         * @param {string} id - The repository ID.
+         * @param {Object} change - The change (see applyChange in assets/js/repository-changes.js).
+         * @param {Object} [context]
+         * @param {number} [context.seen] - The revision the client's copy had when the change was made.
+         * @param {string} [context.clientId] - The client (browser tab) that made the change.
+         * @returns {number} The revision of the change.
+         */
+        applyChange(id, change, { seen = 0, clientId = null } = {}) {
+            if (!change || !CHANGE_OPS.includes(change.op || 'set') || !isValidChangePath(change.path)) {
+                throw new RepositoryError('Expected a change with op set, insert or remove and a path of keys, indexes and selector objects.', 400);
+            }
+            const repository = load(id);
+            if (!applyChange(repository, change)) throw new RepositoryError('The change could not be applied.', 409);
+            repository.revision = (repository.revision || 0) + 1;
+            repository.updatedAt = new Date().toISOString();
+            scheduleWrite(id);
+            publish(id, { type: 'change', repositoryId: id, revision: repository.revision, seen, change, clientId });
+            return repository.revision;
+        },
+
+        remove(id) {
+            checkId(id);
+            clearTimeout(writeTimers.get(id));
+            writeTimers.delete(id);
+            repositories.delete(id);
+            changeLogs.delete(id);
+            fs.rmSync(path.join(storeDir, `${id}.json`), { force: true });
+            removeFiles(id);
+        },
+
+        /**
+         * Deletes every stored file of a repository (e.g. before an archive replaces it).
+         */
+        removeFiles(id) {
+            removeFiles(id);
+        },
+
+        /**
+         * Stores a file of a repository (e.g. a submission PDF), replacing an earlier one at the same path.
+         * The repository itself does not have to exist yet: the wizard uploads its files first.
+         * @param {string} id - The repository ID.
+         * @param {string} filePath - The file path inside the repository (e.g. 'submissions/student_201.pdf').
+         * @param {Buffer} data - The file contents.
+         */
+        saveFile(id, filePath, data) {
+            const file = resolveFile(id, filePath);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, data);
+            fs.renameSync(`${file}.tmp`, file);
+        },
+
+        /**
+         * Finds a stored file of a repository.
+         * @returns {string} The file on disk.
+         */
+        getFile(id, filePath) {
+            const file = resolveFile(id, filePath);
+            if (!fs.statSync(file, { throwIfNoEntry: false })?.isFile()) {
+                throw new RepositoryError(`File '${filePath}' not found in repository '${id}'.`, 404);
+            }
+            return file;
+        },
+
+        /**
+         * Returns the changes after a revision, or null if they are no longer all known.
+         * @returns {Array<Object>|null} Change messages, oldest first.
+         */
+        changesSince(id, revision) {
+            const repository = load(id);
+            if ((repository.revision || 0) <= revision) return [];
+            const log = changeLogs.get(id) || [];
+            const missed = log.filter(message => message.revision > revision);
+            return missed.length > 0 && missed[0].revision === revision + 1 ? missed : null;
+        },
+
+        /**
+         * Writes every repository with pending changes now (before the server stops).
+         */
+        flush() {
+            [...writeTimers.keys()].forEach(write);
+        }
+    };
+}
+
+module.exports = { createRepositoryStore, RepositoryError };
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+/**
+ * A minimal WebSocket server side (RFC 6455) for the collaboration server: enough for JSON text
+ * messages between browsers and the server, without a dependency.
+ * Not supported: extensions (e.g. compression) and binary messages, which are ignored.
+ */
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024; // A whole repository fits; more is refused
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * Encodes a frame sent by the server (servers never mask).
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Reads one frame from the start of a buffer.
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, size: number}|null} Null if the frame is incomplete.
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const longLength = buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(MAX_MESSAGE_SIZE) ? Infinity : Number(longLength);
+        offset = 10;
+    }
+    if (length > MAX_MESSAGE_SIZE) throw new Error('Message too large.');
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    return { fin, opcode, payload, size: offset + length };
+}
+
+/**
+ * One WebSocket connection. Emits 'message' (with the text) and 'close'.
+ */
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        try {
+            let frame;
+            while (!this.closed && (frame = decodeFrame(this.buffer))) {
+                this.buffer = this.buffer.subarray(frame.size);
+                this.handleFrame(frame);
+            }
+        } catch (error) {
+            this.close(1009, error.message);
+        }
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.ping) {
+            this.write(OPCODES.pong, payload);
+        } else if (opcode === OPCODES.close) {
+            this.close();
+        } else if (opcode === OPCODES.text || opcode === OPCODES.binary || opcode === OPCODES.continuation) {
+            if (opcode !== OPCODES.continuation) this.fragments = [{ opcode, payload }];
+            else this.fragments.push({ opcode, payload });
+            if (this.fragments.reduce((sum, f) => sum + f.payload.length, 0) > MAX_MESSAGE_SIZE) throw new Error('Message too large.');
+            if (!fin) return;
+            const [first] = this.fragments;
+            const message = Buffer.concat(this.fragments.map(f => f.payload));
+            this.fragments = [];
+            if (first && first.opcode === OPCODES.text) this.emit('message', message.toString('utf8'));
+        }
+    }
+
+    write(opcode, payload) {
+        if (this.closed || this.socket.destroyed) return;
+        this.socket.write(encodeFrame(opcode, payload));
+    }
+
+    /**
+     * Sends a text message.
+     * @param {string} text - The message.
+     */
+    send(text) {
+        this.write(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * Closes the connection.
+     * @param {number} [code=1000] - The close code.
+     * @param {string} [reason] - Why it was closed.
+     */
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.write(OPCODES.close, payload);
+        this.finish();
+        this.socket.end();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+/**
+ * Completes the handshake of an HTTP upgrade request (the server's 'upgrade' event).
+ * @param {http.IncomingMessage} request - The upgrade request.
+ * @param {net.Socket} socket - Its socket.
+ * @returns {WebSocketConnection|null} The connection, or null if the request was refused.
+ */
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };